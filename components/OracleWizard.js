@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import styles from '../styles/OracleWizard.module.css';
+import { validateSchedule, getNextFireTimes } from '../utils/schedule.js';
 
 const STEPS = {
   BASIC_INFO: 1,
@@ -19,8 +20,8 @@ const STEPS = {
  * This component guides users through the oracle creation process:
  * 1. Basic Information - Oracle ID, description
  * 2. API Configuration - Endpoint, data path, multiplier
- * 3. Update Settings - Frequency configuration
- * 4. Wallet Setup - Address derivation and funding check
+ * 3. Update Settings - Interval or cron schedule, publish policy
+ * 4. Wallet Setup - Network, address derivation and funding check
  * 5. Confirmation - Review and deploy
  */
 export default function OracleWizard({ onComplete, onCancel }) {
@@ -34,7 +35,13 @@ export default function OracleWizard({ onComplete, onCancel }) {
     description: '',
     apiEndpoint: '',
     dataPath: '',
-    updateIntervalMinutes: 60
+    updateIntervalMinutes: 60,
+    scheduleType: 'interval',
+    cronExpression: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    deviationThresholdBps: '',
+    heartbeatMinutes: '',
+    chainId: null
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
@@ -42,6 +49,11 @@ export default function OracleWizard({ onComplete, onCancel }) {
   const [walletInfo, setWalletInfo] = useState(null);
   const [fundingCheck, setFundingCheck] = useState(null);
   const [checkingFunding, setCheckingFunding] = useState(false);
+  const [chains, setChains] = useState([]);
+
+  // Network the oracle will be deployed on (chains come from /api/chains)
+  const selectedChain = chains.find(chain => chain.chainId === formData.chainId) || null;
+  const nativeSymbol = selectedChain ? selectedChain.nativeSymbol : 'ETH';
 
   const updateFormData = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -51,6 +63,28 @@ export default function OracleWizard({ onComplete, onCancel }) {
     }
   };
 
+  /**
+   * Schedule settings for the API (undefined for plain interval schedules)
+   */
+  const getSchedule = () => {
+    if (formData.scheduleType !== 'cron') {
+      return undefined;
+    }
+    return { cron: formData.cronExpression.trim(), timezone: formData.timezone };
+  };
+
+  /**
+   * Next five fire times of the schedule being configured, or an error message
+   */
+  const getFireTimePreview = () => {
+    try {
+      const times = getNextFireTimes({ updateInterval: formData.updateIntervalMinutes, schedule: getSchedule() }, 5);
+      return { times };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
   const validateStep = () => {
     const newErrors = {};
 
@@ -84,18 +118,33 @@ export default function OracleWizard({ onComplete, onCancel }) {
         break;
 
       case STEPS.UPDATE_SETTINGS:
-        if (!formData.updateIntervalMinutes || formData.updateIntervalMinutes < 1) {
+        if (formData.scheduleType === 'cron') {
+          const scheduleValidation = validateSchedule(getSchedule());
+          if (!formData.cronExpression.trim()) {
+            newErrors.cronExpression = 'Cron expression is required';
+          } else if (!scheduleValidation.valid) {
+            newErrors.cronExpression = scheduleValidation.error;
+          }
+        } else if (!formData.updateIntervalMinutes || formData.updateIntervalMinutes < 1) {
           newErrors.updateIntervalMinutes = 'Update interval must be at least 1 minute';
         } else if (formData.updateIntervalMinutes > 10080) {
           newErrors.updateIntervalMinutes = 'Update interval cannot exceed 1 week (10080 minutes)';
         }
+        if (formData.deviationThresholdBps !== '' && formData.deviationThresholdBps <= 0) {
+          newErrors.deviationThresholdBps = 'Deviation threshold must be greater than 0';
+        }
+        if (formData.scheduleType === 'interval' && formData.heartbeatMinutes !== '' && formData.heartbeatMinutes < formData.updateIntervalMinutes) {
+          newErrors.heartbeatMinutes = 'Heartbeat cannot be shorter than the update interval';
+        }
         break;
 
       case STEPS.WALLET_SETUP:
         if (!walletInfo) {
           newErrors.wallet = 'Wallet address not generated';
         } else if (!fundingCheck || !fundingCheck.isFunded) {
-          newErrors.funding = 'Wallet must be funded with at least 0.001 ETH before proceeding';
+          newErrors.funding = fundingCheck
+            ? `Wallet must be funded with at least ${fundingCheck.minimum} ${nativeSymbol} before proceeding`
+            : 'Check the wallet funding before proceeding';
         }
         break;
     }
@@ -186,12 +235,13 @@ export default function OracleWizard({ onComplete, onCancel }) {
 
     setCheckingFunding(true);
     try {
-      const response = await fetch(`/api/oracles/${formData.name}/balance`);
+      const response = await fetch(`/api/oracles/${formData.name}/balance?chainId=${formData.chainId}`);
       const result = await response.json();
 
       if (response.ok) {
         setFundingCheck({
-          balance: result.balance.eth, // Extract the ETH formatted value
+          balance: result.balance.formatted, // Balance in the chain's native currency
+          minimum: result.balance.minimum, // Creation plus a few updates at current fees
           isFunded: result.balance.hasMinimum // Use the hasMinimum flag from API
         });
       } else {
@@ -215,9 +265,26 @@ export default function OracleWizard({ onComplete, onCancel }) {
         apiEndpoint: formData.apiEndpoint,
         dataPath: formData.dataPath,
         updateInterval: formData.updateIntervalMinutes, // Map to correct field name
-        priceMultiplier: 10000 // Higher precision multiplier (4 decimal places)
+        priceMultiplier: 10000, // Higher precision multiplier (4 decimal places)
+        chainId: formData.chainId
       };
 
+      // Cron schedules replace the interval for timing
+      if (formData.scheduleType === 'cron') {
+        oracleData.schedule = getSchedule();
+      }
+
+      // Optional deviation/heartbeat policy (the interval then only controls polling)
+      if (formData.deviationThresholdBps !== '' || formData.heartbeatMinutes !== '') {
+        oracleData.updatePolicy = {};
+        if (formData.deviationThresholdBps !== '') {
+          oracleData.updatePolicy.deviationThresholdBps = formData.deviationThresholdBps;
+        }
+        if (formData.heartbeatMinutes !== '') {
+          oracleData.updatePolicy.heartbeatMinutes = formData.heartbeatMinutes;
+        }
+      }
+
       const response = await fetch('/api/oracles/create', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -232,7 +299,7 @@ export default function OracleWizard({ onComplete, onCancel }) {
         if (result.needsFunding) {
           setErrors(prev => ({ 
             ...prev, 
-            create: `${result.error}. Please fund the wallet with at least ${result.required} ETH.` 
+            create: `${result.error}. Please fund the wallet with at least ${result.required} ${nativeSymbol}.` 
           }));
         } else {
           setErrors(prev => ({ ...prev, create: result.error || 'Failed to create oracle' }));
@@ -245,6 +312,19 @@ export default function OracleWizard({ onComplete, onCancel }) {
     }
   };
 
+  // Load the networks oracles can be deployed on
+  useEffect(() => {
+    fetch('/api/chains')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) {
+          setChains(result.chains);
+          setFormData(prev => ({ ...prev, chainId: prev.chainId || result.defaultChainId }));
+        }
+      })
+      .catch(error => console.error('Error loading chains:', error));
+  }, []);
+
   // Auto-generate wallet when moving to wallet setup step
   useEffect(() => {
     if (currentStep === STEPS.WALLET_SETUP && !walletInfo && formData.name) {
@@ -316,7 +396,7 @@ export default function OracleWizard({ onComplete, onCancel }) {
                 className={errors.dataPath ? styles.error : ''}
               />
               {errors.dataPath && <span className={styles.errorText}>{errors.dataPath}</span>}
-              <small>Use dot notation to navigate JSON structure</small>
+              <small>Use dot notation, indices (data[0].price) or filters ($.tickers[?(@.symbol=='ETHUSD')].last)</small>
             </div>
 
             <button
@@ -349,23 +429,110 @@ export default function OracleWizard({ onComplete, onCancel }) {
           <div className={styles.step}>
             <h3>Update Settings</h3>
             <div className={styles.field}>
-              <label htmlFor="updateIntervalMinutes">Update Interval (minutes)</label>
+              <label htmlFor="scheduleType">Schedule Type</label>
+              <select
+                id="scheduleType"
+                value={formData.scheduleType}
+                onChange={(e) => updateFormData('scheduleType', e.target.value)}
+              >
+                <option value="interval">Fixed interval</option>
+                <option value="cron">Cron expression</option>
+              </select>
+            </div>
+            {formData.scheduleType === 'cron' ? (
+              <>
+                <div className={styles.field}>
+                  <label htmlFor="cronExpression">Cron Expression</label>
+                  <input
+                    id="cronExpression"
+                    type="text"
+                    placeholder="e.g. */5 9-16 * * MON-FRI"
+                    value={formData.cronExpression}
+                    onChange={(e) => updateFormData('cronExpression', e.target.value)}
+                    className={errors.cronExpression ? styles.error : ''}
+                  />
+                  {errors.cronExpression && <span className={styles.errorText}>{errors.cronExpression}</span>}
+                  <small>minute hour day-of-month month day-of-week (e.g. every 5 minutes during weekday market hours)</small>
+                </div>
+                <div className={styles.field}>
+                  <label htmlFor="timezone">Timezone</label>
+                  <input
+                    id="timezone"
+                    type="text"
+                    placeholder="e.g. America/New_York"
+                    value={formData.timezone}
+                    onChange={(e) => updateFormData('timezone', e.target.value)}
+                  />
+                  <small>IANA timezone the cron expression is evaluated in</small>
+                </div>
+              </>
+            ) : (
+              <div className={styles.field}>
+                <label htmlFor="updateIntervalMinutes">Update Interval (minutes)</label>
+                <input
+                  id="updateIntervalMinutes"
+                  type="number"
+                  min="1"
+                  max="10080"
+                  value={formData.updateIntervalMinutes}
+                  onChange={(e) => updateFormData('updateIntervalMinutes', parseInt(e.target.value) || 0)}
+                  className={errors.updateIntervalMinutes ? styles.error : ''}
+                />
+                {errors.updateIntervalMinutes && <span className={styles.errorText}>{errors.updateIntervalMinutes}</span>}
+                <small>
+                  How often should this oracle update? (1 minute to 1 week)
+                  <br />
+                  Current setting: Every {formData.updateIntervalMinutes} minute{formData.updateIntervalMinutes !== 1 ? 's' : ''}
+                  {formData.updateIntervalMinutes >= 60 && ` (${Math.floor(formData.updateIntervalMinutes / 60)}h ${formData.updateIntervalMinutes % 60}m)`}
+                </small>
+              </div>
+            )}
+            {(formData.scheduleType === 'interval' || formData.cronExpression.trim()) && (() => {
+              const preview = getFireTimePreview();
+              return (
+                <div className={styles.field}>
+                  <label>Next 5 Runs</label>
+                  {preview.error ? (
+                    <span className={styles.errorText}>{preview.error}</span>
+                  ) : (
+                    <ol className={styles.firePreview}>
+                      {preview.times.map((time) => (
+                        <li key={time.toISOString()}>
+                          {time.toLocaleString(undefined, formData.scheduleType === 'cron' ? { timeZone: formData.timezone, timeZoneName: 'short' } : undefined)}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              );
+            })()}
+            <div className={styles.field}>
+              <label htmlFor="deviationThresholdBps">Deviation Threshold (basis points, optional)</label>
+              <input
+                id="deviationThresholdBps"
+                type="number"
+                min="1"
+                placeholder="e.g. 50 = 0.5%"
+                value={formData.deviationThresholdBps}
+                onChange={(e) => updateFormData('deviationThresholdBps', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                className={errors.deviationThresholdBps ? styles.error : ''}
+              />
+              {errors.deviationThresholdBps && <span className={styles.errorText}>{errors.deviationThresholdBps}</span>}
+              <small>Only publish when the value moves at least this much. The interval above then only controls how often the API is checked.</small>
+            </div>
+            <div className={styles.field}>
+              <label htmlFor="heartbeatMinutes">Heartbeat (minutes, optional)</label>
               <input
-                id="updateIntervalMinutes"
+                id="heartbeatMinutes"
                 type="number"
                 min="1"
-                max="10080"
-                value={formData.updateIntervalMinutes}
-                onChange={(e) => updateFormData('updateIntervalMinutes', parseInt(e.target.value) || 0)}
-                className={errors.updateIntervalMinutes ? styles.error : ''}
+                placeholder="e.g. 1440 = daily"
+                value={formData.heartbeatMinutes}
+                onChange={(e) => updateFormData('heartbeatMinutes', e.target.value === '' ? '' : parseInt(e.target.value))}
+                className={errors.heartbeatMinutes ? styles.error : ''}
               />
-              {errors.updateIntervalMinutes && <span className={styles.errorText}>{errors.updateIntervalMinutes}</span>}
-              <small>
-                How often should this oracle update? (1 minute to 1 week)
-                <br />
-                Current setting: Every {formData.updateIntervalMinutes} minute{formData.updateIntervalMinutes !== 1 ? 's' : ''}
-                {formData.updateIntervalMinutes >= 60 && ` (${Math.floor(formData.updateIntervalMinutes / 60)}h ${formData.updateIntervalMinutes % 60}m)`}
-              </small>
+              {errors.heartbeatMinutes && <span className={styles.errorText}>{errors.heartbeatMinutes}</span>}
+              <small>Publish at least this often, even if the value hasn't moved.</small>
             </div>
           </div>
         );
@@ -374,6 +541,22 @@ export default function OracleWizard({ onComplete, onCancel }) {
         return (
           <div className={styles.step}>
             <h3>Wallet Setup</h3>
+            <div className={styles.field}>
+              <label htmlFor="chainId">Network</label>
+              <select
+                id="chainId"
+                value={formData.chainId || ''}
+                onChange={(e) => {
+                  updateFormData('chainId', parseInt(e.target.value));
+                  setFundingCheck(null); // Balances are per network
+                }}
+              >
+                {chains.map(chain => (
+                  <option key={chain.chainId} value={chain.chainId}>{chain.name}</option>
+                ))}
+              </select>
+              <small>The wallet address is the same on every network, but it must be funded on the one you deploy to.</small>
+            </div>
             {walletInfo ? (
               <div className={styles.walletInfo}>
                 <h4>Generated Wallet Address</h4>
@@ -389,16 +572,18 @@ export default function OracleWizard({ onComplete, onCancel }) {
                 </div>
                 
                 <div className={styles.fundingInstructions}>
-                  <p><strong>⚠️ Important:</strong> This wallet needs to be funded with ETH tokens to operate.</p>
-                  <p>Send at least <strong>0.001 ETH</strong> to this address to cover deployment and transaction fees.</p>
-                  <a
-                    href="https://cloud.google.com/application/web3/faucet/ethereum/sepolia"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className={styles.link}
-                  >
-                    Get Sepolia ETH from faucet →
-                  </a>
+                  <p><strong>⚠️ Important:</strong> This wallet needs to be funded with {nativeSymbol} on {selectedChain ? selectedChain.name : 'the selected network'} to operate.</p>
+                  <p>Send enough {nativeSymbol} to this address to cover deployment and the first updates. The check below shows the minimum at current network fees.</p>
+                  {selectedChain && selectedChain.faucetUrl && (
+                    <a
+                      href={selectedChain.faucetUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={styles.link}
+                    >
+                      Get {selectedChain.name} {nativeSymbol} from faucet →
+                    </a>
+                  )}
                 </div>
 
                 <div className={styles.fundingCheck}>
@@ -413,7 +598,8 @@ export default function OracleWizard({ onComplete, onCancel }) {
                   
                   {fundingCheck && (
                     <div className={`${styles.fundingResult} ${fundingCheck.isFunded ? styles.funded : styles.needsFunding}`}>
-                      <p><strong>Balance:</strong> {fundingCheck.balance} ETH</p>
+                      <p><strong>Balance:</strong> {fundingCheck.balance} {nativeSymbol}</p>
+                      <p><strong>Minimum:</strong> {fundingCheck.minimum} {nativeSymbol}</p>
                       <p><strong>Status:</strong> {fundingCheck.isFunded ? '✅ Funded (Ready to deploy)' : '❌ Needs more funding'}</p>
                     </div>
                   )}
@@ -447,9 +633,30 @@ export default function OracleWizard({ onComplete, onCancel }) {
               <div className={styles.summaryItem}>
                 <strong>Data Path:</strong> {formData.dataPath}
               </div>
-              <div className={styles.summaryItem}>
-                <strong>Update Interval:</strong> Every {formData.updateIntervalMinutes} minute{formData.updateIntervalMinutes !== 1 ? 's' : ''}
-              </div>
+              {formData.scheduleType === 'cron' ? (
+                <div className={styles.summaryItem}>
+                  <strong>Schedule:</strong> <code>{formData.cronExpression}</code> ({formData.timezone})
+                </div>
+              ) : (
+                <div className={styles.summaryItem}>
+                  <strong>Update Interval:</strong> Every {formData.updateIntervalMinutes} minute{formData.updateIntervalMinutes !== 1 ? 's' : ''}
+                </div>
+              )}
+              {formData.deviationThresholdBps !== '' && (
+                <div className={styles.summaryItem}>
+                  <strong>Deviation Threshold:</strong> {formData.deviationThresholdBps} bps
+                </div>
+              )}
+              {formData.heartbeatMinutes !== '' && (
+                <div className={styles.summaryItem}>
+                  <strong>Heartbeat:</strong> Every {formData.heartbeatMinutes} minutes
+                </div>
+              )}
+              {selectedChain && (
+                <div className={styles.summaryItem}>
+                  <strong>Network:</strong> {selectedChain.name}
+                </div>
+              )}
               {walletInfo && (
                 <div className={styles.summaryItem}>
                   <strong>Wallet Address:</strong> {walletInfo.address}
@@ -0,0 +1,64 @@
+import { listAlerts, evaluateAlerts } from '../../../utils/alerts.js';
+import { listAlertChannels } from '../../../utils/alert-channels.js';
+
+// ============================================================================
+// ALERTS API
+// ============================================================================
+
+/**
+ * API endpoint for the state of alerts (see utils/alerts.js)
+ *
+ * GET /api/alerts
+ * GET /api/alerts?status=firing       // firing or resolved
+ * GET /api/alerts?evaluate=true       // Evaluate the rules now (notifying channels) first
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   alerts?: Array<{
+ *     id, rule, subject, severity, status, title, message, details,
+ *     firedAt, resolvedAt, lastNotifiedAt, notifyCount,
+ *     lastDelivery: Array<{channel, delivered, error?}>,
+ *     updatedAt
+ *   }>,                    // Most recently changed first
+ *   channels?: Array<{name, configured}>,
+ *   evaluation?: {firing, notified, evaluatedAt},   // With ?evaluate=true
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { status } = req.query;
+  if (status !== undefined && !['firing', 'resolved'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'status must be firing or resolved'
+    });
+  }
+
+  try {
+    const evaluation = req.query.evaluate === 'true' ? await evaluateAlerts() : undefined;
+
+    res.status(200).json({
+      success: true,
+      alerts: listAlerts({ status }),
+      channels: listAlertChannels(),
+      ...(evaluation ? { evaluation } : {})
+    });
+
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list alerts'
+    });
+  }
+}
@@ -0,0 +1,79 @@
+import { sendTestAlert } from '../../../utils/alerts.js';
+import { listAlertChannels } from '../../../utils/alert-channels.js';
+
+// ============================================================================
+// ALERT TEST API
+// ============================================================================
+
+/**
+ * API endpoint for sending a test alert to the alert channels
+ *
+ * The test alert bypasses the rules and deduplication, so it can be sent
+ * any number of times to check a channel's settings.
+ *
+ * POST /api/alerts/test
+ *
+ * Request body (optional):
+ * {
+ *   channel?: string       // webhook, slack, discord or email (all configured channels if omitted)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,      // True if every channel received the alert
+ *   deliveries?: Array<{channel, delivered: boolean, error?: string}>,
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { channel } = req.body || {};
+  const channels = listAlertChannels();
+
+  if (channel !== undefined) {
+    const known = channels.find((item) => item.name === channel);
+    if (!known) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown alert channel '${channel}'`
+      });
+    }
+    if (!known.configured) {
+      return res.status(400).json({
+        success: false,
+        error: `Alert channel '${channel}' is not configured`
+      });
+    }
+  } else if (!channels.some((item) => item.configured)) {
+    return res.status(400).json({
+      success: false,
+      error: 'No alert channel is configured'
+    });
+  }
+
+  try {
+    const deliveries = await sendTestAlert(channel !== undefined ? [channel] : undefined);
+    const delivered = deliveries.every((delivery) => delivery.delivered);
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      deliveries,
+      ...(delivered ? {} : { error: 'Some channels did not receive the test alert' })
+    });
+
+  } catch (error) {
+    console.error('Error sending test alert:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to send test alert'
+    });
+  }
+}
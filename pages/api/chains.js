@@ -0,0 +1,46 @@
+import { listChains, DEFAULT_CHAIN_ID } from '../../utils/chains.js';
+
+// ============================================================================
+// CHAINS API
+// ============================================================================
+
+/**
+ * API endpoint listing the chains new oracles can be created on
+ *
+ * Only chains with the oracle contract deployed are returned (see
+ * utils/chains.js). RPC URLs are not exposed.
+ *
+ * GET /api/chains
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   defaultChainId: number,
+ *   chains: Array<{chainId, name, nativeSymbol, explorerUrl, faucetUrl, contractAddress}>,
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const chains = listChains({ deployedOnly: true }).map((chain) => ({
+    chainId: chain.chainId,
+    name: chain.name,
+    nativeSymbol: chain.nativeSymbol,
+    explorerUrl: chain.explorerUrl || null,
+    faucetUrl: chain.faucetUrl || null,
+    contractAddress: chain.contractAddress
+  }));
+
+  res.status(200).json({
+    success: true,
+    defaultChainId: DEFAULT_CHAIN_ID,
+    chains
+  });
+}
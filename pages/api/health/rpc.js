@@ -0,0 +1,65 @@
+import { listChains } from '../../../utils/chains.js';
+import { checkRpcHealth, getRpcStatus } from '../../../utils/rpc-pool.js';
+
+// ============================================================================
+// RPC HEALTH API
+// ============================================================================
+
+/**
+ * API endpoint for the health of each chain's RPC endpoints
+ *
+ * Probes every endpoint of the chains with the oracle contract deployed and
+ * shows which one is active (see utils/rpc-pool.js). Answers 503 when a
+ * chain has no healthy endpoint, so it can back an uptime monitor.
+ *
+ * GET /api/health/rpc
+ * GET /api/health/rpc?refresh=false   (last known state, no probes)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   healthy: boolean,            // Every chain has a healthy endpoint
+ *   chains: Array<{
+ *     chainId, name,
+ *     activeUrl: string|null,
+ *     healthy: boolean,
+ *     checkedAt: string|null,
+ *     endpoints: Array<{url, healthy, latencyMs, blockNumber, blocksBehind, failures, lastError, lastCheckedAt, unhealthyUntil}>
+ *   }>,
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const refresh = req.query.refresh !== 'false';
+    const chainIds = listChains({ deployedOnly: true }).map((chain) => chain.chainId);
+
+    const chains = refresh
+      ? await Promise.all(chainIds.map((chainId) => checkRpcHealth(chainId)))
+      : chainIds.map((chainId) => getRpcStatus(chainId));
+    const healthy = chains.every((chain) => chain.healthy);
+
+    res.status(healthy ? 200 : 503).json({
+      success: true,
+      healthy,
+      chains,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error checking RPC health:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to check RPC health'
+    });
+  }
+}
@@ -1,5 +1,8 @@
 import { getWalletBalance, deriveWalletAddress } from '../../../../utils/wallet-manager.js';
+import { estimateRunway, formatRunway } from '../../../../utils/gas-runway.js';
 import { convertToDecimal } from '../../../../utils/theta.js';
+import { getOracleConfig } from '../../../../utils/oracle-manager.js';
+import { getChain, getOracleChainId } from '../../../../utils/chains.js';
 
 // ============================================================================
 // ORACLE BALANCE API
@@ -8,20 +11,36 @@ import { convertToDecimal } from '../../../../utils/theta.js';
 /**
  * API endpoint for checking an oracle's wallet balance
  * 
- * This endpoint retrieves the current ETH balance of an oracle's wallet
- * and returns it in both raw Wei and formatted ETH values.
+ * This endpoint retrieves the current native balance of an oracle's wallet
+ * on its chain and returns it in both raw Wei and formatted values.
  * 
  * GET /api/oracles/[id]/balance
+ * GET /api/oracles/[id]/balance?chainId=84532   (oracles not created yet)
  * 
  * Response:
  * {
  *   success: boolean,
  *   oracleId: string,
  *   address: string,
+ *   chainId: number,
  *   balance: {
  *     raw: string,           // Balance in Wei (as string to avoid BigInt serialization)
- *     eth: string,           // Balance in ETH (formatted)
- *     hasMinimum: boolean    // Whether balance meets 0.001 ETH minimum
+ *     formatted: string,     // Balance in the chain's native currency
+ *     symbol: string,        // Native currency symbol, e.g. ETH
+ *     eth: string,           // Same as formatted (kept for older clients)
+ *     minimum: string,       // Minimum balance at current fees (formatted)
+ *     hasMinimum: boolean    // Whether balance meets the minimum
+ *   },
+ *   runway: {
+ *     gasPerUpdate, gasSource, sampleSize,   // Gas per update from recent receipts (or the default)
+ *     gasPriceGwei, maxFeePerGasGwei,
+ *     costPerUpdate, costPerUpdateFormatted,
+ *     minimumBalance, minimumBalanceFormatted,
+ *     updatesPerDay: number|null,            // null for oracles not created yet
+ *     dailyCostFormatted: string|null,
+ *     estimatedUpdates: number|null,         // Updates the balance pays for at current fees
+ *     runwayDays: number|null,
+ *     hasMinimum: boolean
  *   },
  *   error?: string
  * }
@@ -36,7 +55,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { id: oracleId } = req.query;
+    const { id: oracleId, chainId: requestedChainId } = req.query;
 
     // ========================================================================
     // VALIDATION
@@ -50,6 +69,18 @@ export default async function handler(req, res) {
       });
     }
 
+    // Existing oracles use their own chain; the wizard passes the chain it is about to deploy on
+    const oracleConfig = getOracleConfig(oracleId);
+    let chain;
+    try {
+      chain = getChain(oracleConfig ? getOracleChainId(oracleConfig) : requestedChainId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // ========================================================================
     // FETCH WALLET DATA
     // ========================================================================
@@ -58,7 +89,7 @@ export default async function handler(req, res) {
     const address = await deriveWalletAddress(oracleId);
     
     // Get current balance in Wei
-    const balanceResult = await getWalletBalance(oracleId);
+    const balanceResult = await getWalletBalance(oracleId, chain.chainId);
     console.log('Balance result:', balanceResult, 'type:', typeof balanceResult);
     
     // Handle different return types from getWalletBalance
@@ -74,12 +105,11 @@ export default async function handler(req, res) {
     
     console.log('Processed balance Wei:', balanceWei, 'type:', typeof balanceWei);
     
-    // Convert to ETH for display (18 decimals, show 6 decimal places)
+    // Convert to the native currency for display (18 decimals, show 6 decimal places)
     const balanceEth = convertToDecimal(balanceWei, 18, 6);
     
-    // Check if balance meets minimum requirement (0.001 ETH)
-    const minimumBalance = BigInt('100000000000000'); // 0.001 ETH in Wei
-    const hasMinimum = balanceWei >= minimumBalance;
+    // Estimate gas runway; the minimum balance follows current fees (see utils/gas-runway.js)
+    const runway = formatRunway(await estimateRunway(oracleId, balanceWei, { chainId: chain.chainId, config: oracleConfig }));
 
     // ========================================================================
     // RESPONSE
@@ -89,11 +119,16 @@ export default async function handler(req, res) {
       success: true,
       oracleId,
       address,
+      chainId: chain.chainId,
       balance: {
         raw: balanceWei.toString(), // Convert BigInt to string for JSON serialization
+        formatted: balanceEth,
+        symbol: chain.nativeSymbol,
         eth: balanceEth,
-        hasMinimum
+        minimum: runway.minimumBalanceFormatted,
+        hasMinimum: runway.hasMinimum
       },
+      runway,
       timestamp: new Date().toISOString()
     });
 
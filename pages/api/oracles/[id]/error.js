@@ -0,0 +1,115 @@
+import { getOracleConfig } from '../../../../utils/oracle-manager.js';
+import { setOnChainErrorFlag } from '../../../../utils/oracle-errors.js';
+
+// ============================================================================
+// ORACLE ERROR FLAG API
+// ============================================================================
+
+/**
+ * API endpoint for setting or clearing an oracle's on-chain error flag
+ *
+ * While the flag is set, the contract's `getOracleValueSafe` reverts so
+ * consumers stop reading the value. The contract clears the flag on the
+ * next successful update, so an oracle flagged here is not updated until
+ * the flag is cleared again.
+ *
+ * PUT /api/oracles/[id]/error
+ *
+ * Request body:
+ * {
+ *   hasError: boolean,     // True to flag the oracle, false to clear the flag
+ *   message?: string       // Reason shown on the dashboard
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   txHash?: string,       // Transaction hash (also set when the transaction reverted or is unconfirmed)
+ *   blockNumber?: number,  // Block the transaction was confirmed in
+ *   error?: string         // Error message (on failure)
+ * }
+ *
+ * The flag is only recorded locally once the transaction is confirmed.
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const { id: oracleId } = req.query;
+    const { hasError, message } = req.body || {};
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    if (!oracleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Oracle ID is required'
+      });
+    }
+
+    if (typeof hasError !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'hasError must be a boolean'
+      });
+    }
+
+    if (!getOracleConfig(oracleId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Oracle not found'
+      });
+    }
+
+    // ========================================================================
+    // BLOCKCHAIN UPDATE
+    // ========================================================================
+
+    const txRecord = await setOnChainErrorFlag(oracleId, hasError, message || 'Flagged manually', 'manual');
+
+    res.status(200).json({
+      success: true,
+      message: hasError ? 'Oracle error flag set on-chain' : 'Oracle error flag cleared on-chain',
+      txHash: txRecord.hash,
+      blockNumber: txRecord.blockNumber
+    });
+
+  } catch (error) {
+    console.error('Error setting oracle error flag:', error);
+
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to set oracle error flag',
+      ...(error.txHash ? { txHash: error.txHash } : {})
+    });
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Map an error-flag error to an HTTP status code
+ * @param {Error} error - Error from setOnChainErrorFlag
+ * @returns {number} HTTP status code
+ */
+function getHttpStatus(error) {
+  switch (error.code) {
+    case 'TX_REVERTED':
+      return 400;
+    case 'TX_UNCONFIRMED':
+      return 504;
+    default:
+      return 500;
+  }
+}
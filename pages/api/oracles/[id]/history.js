@@ -0,0 +1,84 @@
+import { getOracleConfig } from '../../../../utils/oracle-manager.js';
+import { getOracleHistory, parseHistoryFilters } from '../../../../utils/run-history.js';
+
+// ============================================================================
+// ORACLE UPDATE HISTORY API
+// ============================================================================
+
+/**
+ * API endpoint for the persisted update attempts of an oracle
+ *
+ * Every run of the update pipeline is logged, whether it was triggered by
+ * the scheduler or manually, and whether it published, skipped or failed.
+ *
+ * GET /api/oracles/[id]/history
+ *
+ * Query parameters (all optional):
+ *   ?limit=50              // Number of attempts (1-1000, default 50)
+ *   ?since=<ISO date>      // Only attempts started at or after this time
+ *   ?until=<ISO date>      // Only attempts started at or before this time
+ *   ?status=failed         // published, skipped or failed
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   history?: Array<{
+ *     id, oracleId, runId, trigger, startedAt, finishedAt, durationMs,
+ *     status, reason, message, oldValue, newValue, txHash, error
+ *   }>,                    // Newest first
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { id: oracleId } = req.query;
+
+  if (!oracleId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Oracle ID is required'
+    });
+  }
+
+  if (!getOracleConfig(oracleId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Oracle not found'
+    });
+  }
+
+  let filters;
+  try {
+    filters = parseHistoryFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const history = getOracleHistory(oracleId, filters);
+
+    res.status(200).json({
+      success: true,
+      history,
+      count: history.length
+    });
+
+  } catch (error) {
+    console.error(`Error reading history of oracle ${oracleId}:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read oracle history'
+    });
+  }
+}
@@ -0,0 +1,296 @@
+import {
+  getOracleConfig,
+  editOracleSettings,
+  mergeOracleSettings,
+  validateOracleSettings,
+  deleteOracleConfig,
+  archiveOracleConfig,
+  validateDataPath
+} from '../../../../utils/oracle-manager.js';
+import { getOracle } from '../../../../utils/theta.js';
+import { validateSourceSettings } from '../../../../utils/data-sources.js';
+import { validateGuards } from '../../../../utils/value-guards.js';
+import { validateUpdatePolicy } from '../../../../utils/update-policy.js';
+import { validateSchedule } from '../../../../utils/schedule.js';
+import { validateRetryPolicy } from '../../../../utils/retry-policy.js';
+import { getNonceState } from '../../../../utils/nonce-manager.js';
+import { validateTopUpPolicy } from '../../../../utils/treasury.js';
+import { getOracleChainId } from '../../../../utils/chains.js';
+
+// ============================================================================
+// SINGLE ORACLE API
+// ============================================================================
+
+/**
+ * API endpoint for reading, editing and removing a single oracle
+ *
+ * GET /api/oracles/[id]    - Oracle configuration merged with on-chain state
+ * PUT /api/oracles/[id]    - Edit mutable settings
+ * DELETE /api/oracles/[id] - Delete (default) or archive the oracle
+ *
+ * Body for PUT (all fields optional; null removes an optional field, e.g. schedule: null):
+ * {
+ *   description: string,     // Local description (the on-chain description is immutable)
+ *   apiEndpoint: string,     // API URL to fetch data from
+ *   dataPath: string,        // Data path to the price value (see utils/data-path.js)
+ *   updateInterval: number,  // Update frequency in minutes
+ *   priceMultiplier: number, // Multiplier applied before publishing
+ *   sources: Array,          // Multi-source list [{apiEndpoint, dataPath, weight}]
+ *   aggregation: string,     // median, mean, weighted_mean, trimmed_mean
+ *   minSources: number,      // Successful sources required per update
+ *   trimPercent: number,     // Percent trimmed from each end for trimmed_mean
+ *   guards: Object,          // Outlier guards (see utils/value-guards.js)
+ *   updatePolicy: Object,    // Deviation/heartbeat policy (see utils/update-policy.js)
+ *   schedule: Object,        // Cron, timezone and blackout windows (see utils/schedule.js)
+ *   retryPolicy: Object,     // Backoff for failed updates (see utils/retry-policy.js)
+ *   maxFeePerGasGwei: number // Max fee per gas cap for the oracle's transactions (0 = uncapped)
+ * }
+ *
+ * Query for DELETE:
+ *   ?mode=archive            // Keep the config but stop updates (default: delete)
+ *
+ * Deleted and archived oracles keep their derivation path reserved, so a new
+ * oracle can never be created on top of the same wallet by accident.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   oracle?: Object,         // Oracle configuration (+ onChain state and wallet nonces for GET)
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  const { id: oracleId } = req.query;
+
+  if (!oracleId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Oracle ID is required'
+    });
+  }
+
+  try {
+    const oracleConfig = getOracleConfig(oracleId);
+    if (!oracleConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Oracle not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return await handleGet(req, res, oracleId, oracleConfig);
+    } else if (req.method === 'PUT') {
+      return await handlePut(req, res, oracleId, oracleConfig);
+    } else if (req.method === 'DELETE') {
+      return handleDelete(req, res, oracleId);
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error(`Error handling ${req.method} for oracle ${oracleId}:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+// ============================================================================
+// METHOD HANDLERS
+// ============================================================================
+
+/**
+ * Return the oracle configuration merged with its on-chain state
+ */
+async function handleGet(req, res, oracleId, oracleConfig) {
+  const chainId = getOracleChainId(oracleConfig);
+  let onChain = null;
+
+  try {
+    const [value, lastUpdateBlock, creator, hasError, description] = await getOracle(oracleId, chainId);
+    const currentValue = Number(value);
+
+    onChain = {
+      value: currentValue,
+      displayValue: currentValue / oracleConfig.priceMultiplier,
+      lastUpdateBlock: Number(lastUpdateBlock),
+      creator,
+      hasError,
+      description
+    };
+  } catch (error) {
+    console.log(`Oracle ${oracleId} not readable on-chain:`, error.message);
+  }
+
+  return res.status(200).json({
+    success: true,
+    oracle: {
+      ...oracleConfig,
+      id: oracleId,
+      isDeployed: onChain !== null,
+      chainId,
+      onChain,
+      nonces: oracleConfig.walletAddress ? getNonceState(oracleConfig.walletAddress, chainId) : null
+    }
+  });
+}
+
+/**
+ * Edit mutable oracle settings after validating them
+ */
+async function handlePut(req, res, oracleId, oracleConfig) {
+  if (oracleConfig.archived) {
+    return res.status(409).json({
+      success: false,
+      error: 'Archived oracles cannot be edited'
+    });
+  }
+
+  const changes = req.body || {};
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No fields to update'
+    });
+  }
+
+  // Fields set to null are removed; only the new values go through the per-field checks
+  const updates = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== null));
+  const merged = mergeOracleSettings(oracleConfig, changes);
+
+  // Checked against the stored settings too (e.g. minSources against the existing sources)
+  const sourceValidation = validateSourceSettings(merged);
+  if (!sourceValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: sourceValidation.error
+    });
+  }
+
+  const guardValidation = validateGuards(updates.guards);
+  if (!guardValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: guardValidation.error
+    });
+  }
+
+  const policyValidation = validateUpdatePolicy(updates.updatePolicy);
+  if (!policyValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: policyValidation.error
+    });
+  }
+
+  const scheduleValidation = validateSchedule(updates.schedule);
+  if (!scheduleValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: scheduleValidation.error
+    });
+  }
+
+  const retryValidation = validateRetryPolicy(updates.retryPolicy);
+  if (!retryValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: retryValidation.error
+    });
+  }
+
+  const topUpValidation = validateTopUpPolicy(updates.topUp);
+  if (!topUpValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: topUpValidation.error
+    });
+  }
+
+  if (updates.maxFeePerGasGwei !== undefined && (typeof updates.maxFeePerGasGwei !== 'number' || isNaN(updates.maxFeePerGasGwei) || updates.maxFeePerGasGwei < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'maxFeePerGasGwei must be a non-negative number'
+    });
+  }
+
+  // The edited configuration as a whole (required fields, types, source mode)
+  const configValidation = validateOracleSettings(oracleConfig, changes);
+  if (!configValidation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: configValidation.error
+    });
+  }
+
+  // A new source must produce a number before it replaces the working one
+  for (const [index, source] of (updates.sources || []).entries()) {
+    const pathValidation = await validateDataPath(source.apiEndpoint, source.dataPath);
+    if (!pathValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: `sources[${index}]: ${pathValidation.error}`
+      });
+    }
+  }
+
+  if (updates.apiEndpoint !== undefined || updates.dataPath !== undefined) {
+    const pathValidation = await validateDataPath(merged.apiEndpoint, merged.dataPath);
+    if (!pathValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: pathValidation.error
+      });
+    }
+  }
+
+  let oracle;
+  try {
+    oracle = editOracleSettings(oracleId, changes);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Oracle settings updated',
+    oracle
+  });
+}
+
+/**
+ * Delete or archive the oracle, keeping its derivation path reserved
+ */
+function handleDelete(req, res, oracleId) {
+  const mode = req.query.mode || 'delete';
+
+  if (mode === 'archive') {
+    archiveOracleConfig(oracleId);
+    return res.status(200).json({
+      success: true,
+      message: `Oracle '${oracleId}' archived`,
+      oracle: getOracleConfig(oracleId)
+    });
+  } else if (mode === 'delete') {
+    deleteOracleConfig(oracleId);
+    return res.status(200).json({
+      success: true,
+      message: `Oracle '${oracleId}' deleted. Its derivation path stays reserved.`
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid mode. Use "delete" or "archive"'
+  });
+}
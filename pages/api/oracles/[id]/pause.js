@@ -0,0 +1,67 @@
+import { pauseOracle } from '../../../../utils/oracle-manager.js';
+
+// ============================================================================
+// ORACLE PAUSE API
+// ============================================================================
+
+/**
+ * API endpoint for pausing scheduled updates of an oracle
+ * 
+ * Paused oracles are skipped by the scheduler but can still be updated
+ * manually. With `until`, the scheduler resumes the oracle automatically
+ * once that time has passed.
+ * 
+ * POST /api/oracles/[id]/pause
+ * 
+ * Request body (optional):
+ * {
+ *   until: string          // ISO timestamp to resume at (default: paused until resumed)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   oracle?: Object,       // Updated oracle configuration (on success)
+ *   error?: string         // Error message (on failure)
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      success: false, 
+      error: 'Method not allowed' 
+    });
+  }
+
+  const { id: oracleId } = req.query;
+
+  if (!oracleId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Oracle ID is required'
+    });
+  }
+
+  try {
+    const { until } = req.body || {};
+    const oracle = pauseOracle(oracleId, until || null);
+
+    res.status(200).json({
+      success: true,
+      message: oracle.pausedUntil
+        ? `Oracle '${oracleId}' paused until ${oracle.pausedUntil}`
+        : `Oracle '${oracleId}' paused`,
+      oracle
+    });
+
+  } catch (error) {
+    console.error('Error pausing oracle:', error);
+
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      error: error.message || 'Failed to pause oracle'
+    });
+  }
+}
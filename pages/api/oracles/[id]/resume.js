@@ -0,0 +1,55 @@
+import { resumeOracle } from '../../../../utils/oracle-manager.js';
+
+// ============================================================================
+// ORACLE RESUME API
+// ============================================================================
+
+/**
+ * API endpoint for resuming scheduled updates of a paused oracle
+ * 
+ * POST /api/oracles/[id]/resume
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   oracle?: Object,       // Updated oracle configuration (on success)
+ *   error?: string         // Error message (on failure)
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      success: false, 
+      error: 'Method not allowed' 
+    });
+  }
+
+  const { id: oracleId } = req.query;
+
+  if (!oracleId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Oracle ID is required'
+    });
+  }
+
+  try {
+    const oracle = resumeOracle(oracleId);
+
+    res.status(200).json({
+      success: true,
+      message: `Oracle '${oracleId}' resumed`,
+      oracle
+    });
+
+  } catch (error) {
+    console.error('Error resuming oracle:', error);
+
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      error: error.message || 'Failed to resume oracle'
+    });
+  }
+}
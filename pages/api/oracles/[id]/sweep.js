@@ -0,0 +1,129 @@
+import { sweepWallet } from '../../../../utils/sweep.js';
+import { waitForConfirmation } from '../../../../utils/tx-tracker.js';
+import { validateChainId } from '../../../../utils/chains.js';
+import { isRpcFailure } from '../../../../utils/rpc-pool.js';
+
+// ============================================================================
+// ORACLE WALLET SWEEP API
+// ============================================================================
+
+/**
+ * API endpoint for recovering the funds of a retired oracle's wallet
+ *
+ * Sends the wallet's balance, minus the most the transfer's gas can cost,
+ * to `to` (see utils/sweep.js). Only archived and deleted oracles can be
+ * swept. Use a dry run first to see the exact amount that would be sent;
+ * fees may move a little before the real sweep is prepared.
+ *
+ * POST /api/oracles/[id]/sweep
+ * POST /api/oracles/[id]/sweep?dryRun=true   - Prepare the transfer without signing it
+ *
+ * Request body:
+ * {
+ *   to?: string,           // Recipient address (the treasury wallet if omitted)
+ *   chainId?: number,      // Chain to sweep (the oracle's chain if omitted)
+ *   dryRun?: boolean       // Same as ?dryRun=true
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   dryRun: boolean,
+ *   sweep?: {
+ *     oracleId, chainId, from, to, symbol,
+ *     balance, amount, maxGasCost,     // Wei (amount is exactly what is sent)
+ *     balanceFormatted, amountFormatted, maxGasCostFormatted,
+ *     gasLimit, maxFeePerGasGwei,
+ *     txHash?: string                  // Not on dry runs
+ *   },
+ *   txStatus?: string,     // confirmed, reverted, or pending if no receipt arrived in time
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { id: oracleId } = req.query;
+  const { to, chainId } = req.body || {};
+  const dryRun = req.query.dryRun === 'true' || Boolean(req.body && req.body.dryRun);
+
+  if (to !== undefined && typeof to !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'to must be an address'
+    });
+  }
+
+  if (chainId !== undefined) {
+    const chainValidation = validateChainId(chainId);
+    if (!chainValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: chainValidation.error
+      });
+    }
+  }
+
+  try {
+    const sweep = await sweepWallet(oracleId, { to, chainId, dryRun });
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        sweep
+      });
+    }
+
+    const txRecord = await waitForConfirmation(sweep.txHash);
+
+    res.status(txRecord.status === 'reverted' ? 400 : 200).json({
+      success: txRecord.status !== 'reverted',
+      dryRun: false,
+      sweep,
+      txStatus: txRecord.status,
+      ...(txRecord.status === 'reverted' ? { error: `Sweep transaction reverted: ${txRecord.revertReason}` } : {})
+    });
+
+  } catch (error) {
+    console.error(`Error sweeping wallet of oracle ${oracleId}:`, error);
+
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      dryRun,
+      error: error.message || 'Failed to sweep wallet'
+    });
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Map a sweep error to an HTTP status code
+ * @param {Error} error - Error from sweepWallet
+ * @returns {number} HTTP status code
+ */
+function getHttpStatus(error) {
+  switch (error.code) {
+    case 'NOT_FOUND':
+      return 404;
+    case 'NOT_RETIRED':
+    case 'TX_PENDING':
+      return 409;
+    case 'INVALID_TARGET':
+    case 'INSUFFICIENT_FUNDS':
+      return 400;
+    case 'FEE_CAP_EXCEEDED':
+      return 503;
+    default:
+      return isRpcFailure(error) ? 503 : 500;
+  }
+}
@@ -1,5 +1,6 @@
 import { getOracle } from '../../../../utils/theta';
 import { getOracleConfig } from '../../../../utils/oracle-manager';
+import { getOracleChainId } from '../../../../utils/chains';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -20,7 +21,7 @@ export default async function handler(req, res) {
     }
 
     // Get oracle data from blockchain
-    const oracleData = await getOracle(oracleId);
+    const oracleData = await getOracle(oracleId, getOracleChainId(oracleConfig));
     const [value, lastUpdateBlock, creator, hasError, description] = oracleData;
     
     // Convert value from cents back to decimal
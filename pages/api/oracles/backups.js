@@ -0,0 +1,71 @@
+import { listOracleBackups, restoreOracleBackup } from '../../../utils/oracle-manager.js';
+
+// ============================================================================
+// ORACLE BACKUPS API
+// ============================================================================
+
+/**
+ * API endpoint for listing and restoring oracle configuration backups
+ *
+ * GET /api/oracles/backups  - List available backups (newest first)
+ * POST /api/oracles/backups - Roll back to a backup
+ *
+ * Body for POST:
+ * {
+ *   backupId: string       // ID from the GET response
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   backups?: Array<{id: string, createdAt: string, size: number, schemaVersion: number|null}>,
+ *   restoredCount?: number, // Number of oracles in the restored backup (POST)
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const backups = listOracleBackups();
+
+      res.status(200).json({
+        success: true,
+        backups,
+        count: backups.length
+      });
+
+    } else if (req.method === 'POST') {
+      const { backupId } = req.body || {};
+
+      if (!backupId) {
+        return res.status(400).json({
+          success: false,
+          error: 'backupId is required'
+        });
+      }
+
+      const restored = restoreOracleBackup(backupId);
+
+      res.status(200).json({
+        success: true,
+        message: `Restored oracle configurations from backup ${backupId}`,
+        restoredCount: Object.keys(restored).length
+      });
+
+    } else {
+      res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in oracle backups API:', error);
+
+    const status = error.message && ['not found', 'not supported', 'Invalid configuration', 'newer than'].some((text) => error.message.includes(text)) ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
@@ -1,6 +1,16 @@
-import { addOracleConfig } from '../../../utils/oracle-manager.js';
-import { createOracle, signAndBroadcastTransaction, checkOracleExists, getOracle } from '../../../utils/theta.js';
-import { getWalletBalance, getDerivationPath } from '../../../utils/wallet-manager.js';
+import { addOracleConfig, validateNewOracleConfig } from '../../../utils/oracle-manager.js';
+import { createOracle, checkOracleExists } from '../../../utils/theta.js';
+import { sendTrackedTransaction, waitForConfirmation } from '../../../utils/tx-tracker.js';
+import { getWalletBalance, getDerivationPath, deriveWalletAddress } from '../../../utils/wallet-manager.js';
+import { fetchAggregatedValue, validateSourceSettings } from '../../../utils/data-sources.js';
+import { validateDataPathSyntax } from '../../../utils/data-path.js';
+import { validateGuards } from '../../../utils/value-guards.js';
+import { validateUpdatePolicy } from '../../../utils/update-policy.js';
+import { validateSchedule, getNextRunTime } from '../../../utils/schedule.js';
+import { validateRetryPolicy } from '../../../utils/retry-policy.js';
+import { DEFAULT_CHAIN_ID, getChain, validateChainId } from '../../../utils/chains.js';
+import { estimateRunway, formatRunway } from '../../../utils/gas-runway.js';
+import { validateTopUpPolicy, isTreasuryEnabled, topUpWallet, TREASURY_DERIVATION_PATH } from '../../../utils/treasury.js';
 
 // ============================================================================
 // ORACLE CREATION API
@@ -20,9 +30,24 @@ import { getWalletBalance, getDerivationPath } from '../../../utils/wallet-manag
  *   name: string,           // Oracle ID (e.g., "eth-price")
  *   description: string,    // Human-readable description
  *   apiEndpoint: string,    // API URL to fetch data from
- *   dataPath: string,       // JSON path to price value
+ *   dataPath: string,       // Data path to the price value (see utils/data-path.js)
  *   updateInterval: number, // Update frequency in minutes
- *   priceMultiplier: number // Multiplier to convert to cents
+ *   priceMultiplier: number, // Multiplier to convert to cents
+ *   chainId?: number,       // Chain to deploy on (default ORACLE_DEFAULT_CHAIN_ID, see GET /api/chains)
+ *
+ *   // Multi-source oracles send these instead of apiEndpoint/dataPath:
+ *   sources?: Array<{apiEndpoint: string, dataPath: string, weight?: number}>,
+ *   aggregation?: string,   // median (default), mean, weighted_mean, trimmed_mean
+ *   minSources?: number,    // Successful sources required per update (default 1)
+ *   trimPercent?: number,   // Percent trimmed from each end for trimmed_mean
+ *
+ *   guards?: Object,        // Outlier guards (see utils/value-guards.js)
+ *   updatePolicy?: Object,  // Deviation/heartbeat policy (see utils/update-policy.js)
+ *   schedule?: Object,      // Cron, timezone and blackout windows (see utils/schedule.js)
+ *   retryPolicy?: Object,   // Backoff for failed updates (see utils/retry-policy.js)
+ *   maxFeePerGasGwei?: number, // Max fee per gas cap for the oracle's transactions (0 = uncapped)
+ *   topUp?: Object          // Automatic top-ups from the treasury (see utils/treasury.js); an
+ *                           // underfunded wallet is funded from the treasury before deployment
  * }
  * 
  * Response:
@@ -31,6 +56,9 @@ import { getWalletBalance, getDerivationPath } from '../../../utils/wallet-manag
  *   message: string,
  *   oracle?: Object,       // Oracle configuration (on success)
  *   address?: string,      // Wallet address (on success)
+ *   txHash?: string,       // Creation transaction (see GET /api/transactions/[hash])
+ *   txStatus?: string,     // confirmed, or pending if no receipt arrived in time
+ *   topUpTxHash?: string,  // Treasury transfer that funded the wallet, if any
  *   error?: string         // Error message (on failure)
  * }
  */
@@ -45,30 +73,149 @@ export default async function handler(req, res) {
 
   try {
     const { name, description, apiEndpoint, dataPath, updateInterval, priceMultiplier } = req.body;
+    const { sources, aggregation, minSources, trimPercent, guards, updatePolicy, schedule, retryPolicy, maxFeePerGasGwei, topUp } = req.body;
+    const chainId = req.body.chainId !== undefined ? req.body.chainId : DEFAULT_CHAIN_ID;
 
     // ========================================================================
     // INPUT VALIDATION
     // ========================================================================
 
-    // Validate required fields
-    if (!name || !description || !apiEndpoint || !dataPath || !updateInterval || !priceMultiplier) {
+    // Validate required fields (a sources list replaces apiEndpoint/dataPath)
+    if (!name || !description || (!sources && (!apiEndpoint || !dataPath)) || !updateInterval || !priceMultiplier) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: name, description, apiEndpoint, dataPath, updateInterval, priceMultiplier'
+        error: 'Missing required fields: name, description, apiEndpoint, dataPath (or sources), updateInterval, priceMultiplier'
       });
     }
 
-    // Validate oracle ID format
-    if (!/^[a-z0-9-_]+$/.test(name)) {
+    // Validate the data path syntax (multi-source paths are checked with the sources)
+    if (!sources) {
+      const pathValidation = validateDataPathSyntax(dataPath);
+      if (!pathValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: pathValidation.error
+        });
+      }
+    }
+
+    // Validate multi-source settings
+    const sourceValidation = validateSourceSettings({ sources, aggregation, minSources, trimPercent });
+    if (!sourceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: sourceValidation.error
+      });
+    }
+
+    // Validate outlier guards
+    const guardValidation = validateGuards(guards);
+    if (!guardValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: guardValidation.error
+      });
+    }
+
+    // Validate deviation/heartbeat update policy
+    const policyValidation = validateUpdatePolicy(updatePolicy);
+    if (!policyValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: policyValidation.error
+      });
+    }
+
+    // Validate cron schedule and blackout windows
+    const scheduleValidation = validateSchedule(schedule);
+    if (!scheduleValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: scheduleValidation.error
+      });
+    }
+
+    // Validate retry backoff
+    const retryValidation = validateRetryPolicy(retryPolicy);
+    if (!retryValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: retryValidation.error
+      });
+    }
+
+    // Validate treasury top-ups
+    const topUpValidation = validateTopUpPolicy(topUp);
+    if (!topUpValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: topUpValidation.error
+      });
+    }
+
+    // Validate the gas fee cap
+    if (maxFeePerGasGwei !== undefined && (typeof maxFeePerGasGwei !== 'number' || isNaN(maxFeePerGasGwei) || maxFeePerGasGwei < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxFeePerGasGwei must be a non-negative number'
+      });
+    }
+
+    // Validate the target chain
+    const chainValidation = validateChainId(chainId);
+    if (!chainValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: chainValidation.error
+      });
+    }
+    const chain = getChain(chainId);
+
+    // Source settings stored with the oracle (only the ones that were provided)
+    const sourceSettings = Object.fromEntries(
+      Object.entries({ sources, aggregation, minSources, trimPercent }).filter(([, value]) => value !== undefined)
+    );
+
+    // The treasury's derivation path is never an oracle wallet
+    if (getDerivationPath(name) === TREASURY_DERIVATION_PATH) {
+      return res.status(400).json({
+        success: false,
+        error: `Oracle name '${name}' is reserved for the treasury wallet. Please choose a different name.`
+      });
+    }
+
+    // Oracle configuration as it will be stored (deployment details are added once it is on-chain).
+    // It is checked against the schema now: once deployed, an oracle that can't be saved is orphaned.
+    const newOracleData = {
+      name,
+      description,
+      apiEndpoint,
+      dataPath,
+      ...sourceSettings,
+      ...(guards ? { guards } : {}),
+      ...(updatePolicy ? { updatePolicy } : {}),
+      ...(schedule ? { schedule } : {}),
+      ...(retryPolicy ? { retryPolicy } : {}),
+      ...(maxFeePerGasGwei !== undefined ? { maxFeePerGasGwei } : {}),
+      ...(topUp ? { topUp } : {}),
+      updateInterval,
+      priceMultiplier,
+      derivationPath: getDerivationPath(name),
+      chainId
+    };
+
+    // Validate the ID (format, uniqueness, retired IDs) and the whole configuration
+    const configValidation = validateNewOracleConfig(newOracleData);
+    if (!configValidation.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Oracle name must contain only lowercase letters, numbers, hyphens, and underscores'
+        error: configValidation.error
       });
     }
 
     // Check if oracle already exists on blockchain
     try {
-      const oracleExists = await checkOracleExists(name);
+      const oracleExists = await checkOracleExists(name, chainId);
       if (oracleExists) {
         return res.status(400).json({
           success: false,
@@ -80,6 +227,27 @@ export default async function handler(req, res) {
       // Continue with creation - the existence check might fail but creation might still work
     }
 
+    // Fetch initial price from the API source(s) for contract initialization
+    // (before the wallet is funded, so a failing source costs the treasury nothing)
+    let initialPrice;
+    try {
+      const { value: rawPrice } = await fetchAggregatedValue({ apiEndpoint, dataPath, ...sourceSettings });
+      initialPrice = Math.round(rawPrice * priceMultiplier); // Convert to cents
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Failed to fetch initial price from API: ${error.message}`
+      });
+    }
+
+    // The contract stores an unsigned integer
+    if (!Number.isSafeInteger(initialPrice) || initialPrice < 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid initial price: ${initialPrice} (check priceMultiplier)`
+      });
+    }
+
     // ========================================================================
     // BLOCKCHAIN OPERATIONS
     // ========================================================================
@@ -87,45 +255,57 @@ export default async function handler(req, res) {
     // Get derivation path for wallet operations
     const derivationPath = getDerivationPath(name);
     
-    // Check wallet balance before attempting deployment
-    const balance = await getWalletBalance(name);
-    const minimumBalance = BigInt('100000000000000'); // 0.001 ETH in Wei
-    
-    if (balance < minimumBalance) {
-      return res.status(400).json({
-        success: false,
-        error: 'Insufficient wallet balance. Please fund the oracle wallet with at least 0.001 ETH before creating the oracle.'
+    // Check wallet balance before attempting deployment (creation plus a few updates at current fees)
+    let balance = await getWalletBalance(name, chainId);
+    let runway = await estimateRunway(name, balance, { chainId, config: null });
+
+    // Fund an underfunded wallet from the treasury when the oracle has a top-up policy
+    let topUpTxHash;
+    if (!runway.hasMinimum && topUp && topUp.enabled !== false && isTreasuryEnabled()) {
+      const topUpResult = await topUpWallet(name, {
+        chainId,
+        address: await deriveWalletAddress(name),
+        policy: topUp,
+        minimumBalance: runway.minimumBalance,
+        trigger: 'create'
       });
-    }
 
-    // Fetch initial price from API for contract initialization
-    let initialPrice;
-    try {
-      const response = await fetch(apiEndpoint);
-      const data = await response.json();
-      const rawPrice = extractValueFromPath(data, dataPath);
-      initialPrice = Math.round(rawPrice * priceMultiplier); // Convert to cents
-    } catch (error) {
+      if (topUpResult.txHash) {
+        topUpTxHash = topUpResult.txHash;
+        await waitForConfirmation(topUpResult.txHash);
+        balance = await getWalletBalance(name, chainId);
+        runway = await estimateRunway(name, balance, { chainId, config: null });
+      } else if (topUpResult.outcome !== 'sufficient') {
+        console.warn(`Treasury did not fund oracle '${name}': ${topUpResult.error || topUpResult.outcome}`);
+      }
+    }
+    
+    if (!runway.hasMinimum) {
       return res.status(400).json({
         success: false,
-        error: `Failed to fetch initial price from API: ${error.message}`
+        error: `Insufficient wallet balance on ${chain.name}`,
+        needsFunding: true,
+        required: formatRunway(runway).minimumBalanceFormatted, // In the chain's native currency
+        ...(topUpTxHash ? { topUpTxHash } : {})
       });
     }
 
-    // Prepare blockchain transaction for oracle creation
-    let transaction, hashesToSign, senderAddress;
+    // Prepare, sign and broadcast the oracle creation transaction with the wallet's next nonce
+    let txResult, senderAddress;
     try {
-      const result = await createOracle(
-        name,
-        initialPrice,
-        description,
-        derivationPath
-      );
-      transaction = result.transaction;
-      hashesToSign = result.hashesToSign;
-      senderAddress = result.senderAddress;
+      txResult = await sendTrackedTransaction(async (nonce) => {
+        const result = await createOracle(
+          name,
+          initialPrice,
+          description,
+          derivationPath,
+          { nonce, chainId }
+        );
+        senderAddress = result.senderAddress;
+        return result;
+      }, derivationPath, { oracleId: name, kind: 'create', chainId });
     } catch (error) {
-      console.error('Error preparing oracle creation transaction:', error);
+      console.error('Error sending oracle creation transaction:', error);
       
       // Check for specific error types
       if (error.message && error.message.includes('execution reverted')) {
@@ -138,38 +318,25 @@ export default async function handler(req, res) {
       throw error; // Re-throw if it's not a known error
     }
 
-    // Sign and broadcast the transaction
-    const txResult = await signAndBroadcastTransaction(
-      transaction,
-      hashesToSign,
-      derivationPath
-    );
-
     // ========================================================================
     // WAIT FOR TRANSACTION CONFIRMATION
     // ========================================================================
 
-    // Wait for the oracle to be available on the blockchain before proceeding
+    // Wait for the receipt before storing the oracle (see utils/tx-tracker.js)
     console.log(`Waiting for oracle '${name}' to be confirmed on blockchain...`);
-    
-    let oracleConfirmed = false;
-    let attempts = 0;
-    const maxAttempts = 30; // Wait up to 30 attempts (about 30 seconds)
-    
-    while (!oracleConfirmed && attempts < maxAttempts) {
-      try {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-        await getOracle(name); // Try to fetch the oracle
-        oracleConfirmed = true;
-        console.log(`Oracle '${name}' confirmed on blockchain after ${attempts + 1} attempts`);
-      } catch (error) {
-        attempts++;
-        if (attempts >= maxAttempts) {
-          console.warn(`Oracle '${name}' not confirmed after ${maxAttempts} attempts, proceeding anyway`);
-          break;
-        }
-        // Continue waiting if oracle not found yet
-      }
+    const txRecord = await waitForConfirmation(txResult.hash);
+
+    if (txRecord.status === 'reverted') {
+      return res.status(400).json({
+        success: false,
+        error: `Oracle creation transaction reverted: ${txRecord.revertReason}`,
+        txHash: txResult.hash,
+        revertReason: txRecord.revertReason
+      });
+    }
+
+    if (txRecord.status === 'pending') {
+      console.warn(`Oracle '${name}' not confirmed yet, proceeding anyway (track it at /api/transactions/${txResult.hash})`);
     }
 
     // ========================================================================
@@ -178,20 +345,14 @@ export default async function handler(req, res) {
 
     // Prepare oracle configuration for local storage
     const oracleData = {
-      name,
-      description,
-      apiEndpoint,
-      dataPath,
-      updateInterval,
-      priceMultiplier,
+      ...newOracleData,
       walletAddress: senderAddress,
-      derivationPath,
       initialPrice,
       deploymentTxHash: txResult.hash,
-      deploymentBlock: txResult.blockNumber,
+      deploymentBlock: txRecord.blockNumber,
       isActive: true,
       lastUpdate: new Date().toISOString(),
-      nextUpdate: new Date(Date.now() + updateInterval * 60 * 1000).toISOString()
+      nextUpdate: getNextRunTime({ updateInterval, schedule }, new Date()).toISOString()
     };
 
     // Save oracle configuration to local JSON file
@@ -207,7 +368,9 @@ export default async function handler(req, res) {
       oracle: oracleData,
       address: senderAddress,
       txHash: txResult.hash,
-      blockNumber: txResult.blockNumber
+      txStatus: txRecord.status,
+      blockNumber: txRecord.blockNumber,
+      ...(topUpTxHash ? { topUpTxHash } : {})
     });
 
   } catch (error) {
@@ -220,31 +383,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Extract value from nested object using dot notation path
- * @param {Object} obj - Object to extract value from
- * @param {string} path - Dot notation path (e.g., "data.price")
- * @returns {*} Extracted value or throws error if path not found
- */
-function extractValueFromPath(obj, path) {
-  const keys = path.split('.');
-  let value = obj;
-  
-  for (const key of keys) {
-    if (value === null || value === undefined) {
-      throw new Error(`Path not found: ${path}`);
-    }
-    value = value[key];
-  }
-  
-  if (value === undefined || value === null) {
-    throw new Error(`Path not found: ${path}`);
-  }
-  
-  return value;
-} 
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { validateOracleId } from '../../../utils/oracle-manager';
+import { getDerivationPathReservation } from '../../../utils/oracle-manager';
 import { deriveWalletAddress, getDerivationPath } from '../../../utils/wallet-manager';
+import { TREASURY_DERIVATION_PATH } from '../../../utils/treasury';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -27,9 +28,22 @@ export default async function handler(req, res) {
     }
 
     // Derive wallet for this oracle ID
-    const address = await deriveWalletAddress(oracleId);
     const derivationPath = getDerivationPath(oracleId);
 
+    if (derivationPath === TREASURY_DERIVATION_PATH) {
+      return res.status(400).json({ 
+        error: 'Oracle ID is reserved for the treasury wallet' 
+      });
+    }
+
+    if (getDerivationPathReservation(derivationPath)) {
+      return res.status(400).json({ 
+        error: 'Oracle ID belonged to a deleted or archived oracle and is reserved' 
+      });
+    }
+
+    const address = await deriveWalletAddress(oracleId);
+
     return res.status(200).json({
       oracleId,
       address,
@@ -1,6 +1,11 @@
 import { loadOracleConfigs } from '../../../utils/oracle-manager.js';
 import { getOracle, convertToDecimal, getWalletBalanceEthers } from '../../../utils/theta.js';
 import { deriveWalletAddress } from '../../../utils/wallet-manager.js';
+import { getOracleSources } from '../../../utils/data-sources.js';
+import { getHostKey, getCircuitStates } from '../../../utils/circuit-breaker.js';
+import { getChain, getOracleChainId } from '../../../utils/chains.js';
+import { isRpcFailure } from '../../../utils/rpc-pool.js';
+import { estimateRunway, formatRunway } from '../../../utils/gas-runway.js';
 // Import scheduler to auto-start it
 import '../../../utils/scheduler.js';
 
@@ -15,6 +20,7 @@ import '../../../utils/scheduler.js';
  * them with current blockchain data including values and status.
  * 
  * GET /api/oracles/list
+ * GET /api/oracles/list?includeArchived=true
  * 
  * Response:
  * {
@@ -26,15 +32,36 @@ import '../../../utils/scheduler.js';
  *     apiEndpoint: string,
  *     dataPath: string,
  *     updateInterval: number,
+ *     chain: {chainId, name, nativeSymbol, explorerUrl},
  *     // Blockchain data
  *     currentValue?: number,
  *     lastUpdateBlock?: number,
  *     hasError?: boolean,
- *     formattedPrice?: string
+ *     formattedPrice?: string,
+ *     runway?: Object|null,      // Gas runway of the wallet (see GET /api/oracles/[id]/balance)
+ *     rpcUnavailable?: boolean,  // On-chain data unknown: no RPC endpoint of the chain answered
+ *     // Data source health
+ *     circuitBreakers: Array<{host, state, failures, retryAt, lastError}>
  *   }>,
  *   error?: string
  * }
  */
+
+/**
+ * Public details of the chain an oracle lives on
+ * @param {number} chainId - Chain ID
+ * @returns {Object} {chainId, name, nativeSymbol, explorerUrl}
+ */
+function describeChain(chainId) {
+  try {
+    const { name, nativeSymbol, explorerUrl } = getChain(chainId);
+    return { chainId, name, nativeSymbol, explorerUrl };
+  } catch (error) {
+    // Chain removed from ORACLE_CHAINS since the oracle was created
+    return { chainId, name: `Chain ${chainId}`, nativeSymbol: 'ETH', explorerUrl: null };
+  }
+}
+
 export default async function handler(req, res) {
   // Only allow GET requests
   if (req.method !== 'GET') {
@@ -49,8 +76,11 @@ export default async function handler(req, res) {
     // LOAD ORACLE CONFIGURATIONS
     // ========================================================================
 
-    // Load all oracle configurations from local JSON file
-    const configs = loadOracleConfigs();
+    // Load all oracle configurations from storage (archived ones only on request)
+    const includeArchived = req.query.includeArchived === 'true';
+    const configs = Object.fromEntries(
+      Object.entries(loadOracleConfigs()).filter(([, config]) => includeArchived || !config.archived)
+    );
     
     if (!configs || Object.keys(configs).length === 0) {
       return res.status(200).json({
@@ -68,9 +98,15 @@ export default async function handler(req, res) {
     const oracles = [];
     
     for (const [oracleId, config] of Object.entries(configs)) {
+      // Breaker state of each host the oracle fetches from
+      const hosts = [...new Set(getOracleSources(config).map((source) => getHostKey(source.apiEndpoint)))];
+      const circuitBreakers = getCircuitStates(hosts);
+      const chainId = getOracleChainId(config);
+      const chain = describeChain(chainId);
+
       try {
         // Fetch current oracle data from blockchain
-        const oracleData = await getOracle(oracleId);
+        const oracleData = await getOracle(oracleId, chainId);
         
         // Extract oracle information
         const [value, lastUpdateBlock, creator, hasError, description] = oracleData;
@@ -80,22 +116,23 @@ export default async function handler(req, res) {
         const blockNumber = Number(lastUpdateBlock);
         
         // Calculate display values using the oracle's price multiplier
-        const multiplier = config.priceMultiplier || 100; // Default to 100 for backward compatibility
+        const multiplier = config.priceMultiplier;
         const priceInDollars = currentValue / multiplier;
         const decimalPlaces = multiplier === 10000 ? 4 : 2; // Show 4 decimals for high precision
         const formattedPrice = `$${priceInDollars.toFixed(decimalPlaces)}`;
 
         // Fetch wallet balance using stored wallet address
         let walletBalance = 'Unknown';
+        let balanceWei = null;
         try {
-          const walletAddress = config.walletAddress || config.address;
+          const walletAddress = config.walletAddress;
           if (walletAddress) {
-            const balanceWei = await getWalletBalanceEthers(walletAddress);
-            walletBalance = convertToDecimal(balanceWei, 18, 6); // Convert to ETH with 6 decimal places
+            balanceWei = await getWalletBalanceEthers(walletAddress, chainId);
+            walletBalance = convertToDecimal(balanceWei, 18, 6); // Convert to the native currency with 6 decimal places
           } else {
             // Fallback to deriving address if not stored
             const derivedAddress = await deriveWalletAddress(oracleId);
-            const balanceWei = await getWalletBalanceEthers(derivedAddress);
+            balanceWei = await getWalletBalanceEthers(derivedAddress, chainId);
             walletBalance = convertToDecimal(balanceWei, 18, 6);
           }
         } catch (balanceError) {
@@ -103,6 +140,16 @@ export default async function handler(req, res) {
           walletBalance = 'Error';
         }
 
+        // Estimate how long the balance lasts at current fees
+        let runway = null;
+        if (balanceWei !== null) {
+          try {
+            runway = formatRunway(await estimateRunway(oracleId, balanceWei, { chainId, config }));
+          } catch (runwayError) {
+            console.error(`Error estimating gas runway for oracle ${oracleId}:`, runwayError.message);
+          }
+        }
+
         oracles.push({
           // Basic configuration
           ...config,
@@ -116,11 +163,14 @@ export default async function handler(req, res) {
           hasError,
           blockchainDescription: description,
           walletBalance,
+          runway,
+          chain,
+          circuitBreakers,
           
           // Status indicators
           isDeployed: true,
           isOnChain: true,
-          status: hasError ? 'error' : 'active'
+          status: hasError ? 'error' : (config.degraded ? 'degraded' : 'active')
         });
         
       } catch (error) {
@@ -130,14 +180,14 @@ export default async function handler(req, res) {
         // Still try to get wallet balance even if oracle isn't deployed
         let walletBalance = 'Unknown';
         try {
-          const walletAddress = config.walletAddress || config.address;
+          const walletAddress = config.walletAddress;
           if (walletAddress) {
-            const balanceWei = await getWalletBalanceEthers(walletAddress);
+            const balanceWei = await getWalletBalanceEthers(walletAddress, chainId);
             walletBalance = convertToDecimal(balanceWei, 18, 6);
           } else {
             // Fallback to deriving address if not stored
             const derivedAddress = await deriveWalletAddress(oracleId);
-            const balanceWei = await getWalletBalanceEthers(derivedAddress);
+            const balanceWei = await getWalletBalanceEthers(derivedAddress, chainId);
             walletBalance = convertToDecimal(balanceWei, 18, 6);
           }
         } catch (balanceError) {
@@ -145,18 +195,24 @@ export default async function handler(req, res) {
           walletBalance = 'Error';
         }
 
+        // Every RPC endpoint of the chain failing says nothing about whether the oracle exists
+        const rpcUnavailable = isRpcFailure(error);
+
         oracles.push({
           ...config,
           id: oracleId,
           currentValue: null,
-          formattedPrice: 'Not Deployed',
+          formattedPrice: rpcUnavailable ? 'RPC Unavailable' : 'Not Deployed',
           lastUpdateBlock: null,
           hasError: true,
-          errorMessage: 'Oracle not found on blockchain',
+          errorMessage: rpcUnavailable ? `No RPC endpoint of ${chain.name} is reachable` : 'Oracle not found on blockchain',
           walletBalance,
+          chain,
+          circuitBreakers,
           isDeployed: false,
           isOnChain: false,
-          status: 'not_deployed'
+          rpcUnavailable,
+          status: rpcUnavailable ? 'rpc_unavailable' : 'not_deployed'
         });
       }
     }
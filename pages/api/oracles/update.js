@@ -1,5 +1,8 @@
-import { updateOracle, checkOracleExists, signAndBroadcastTransaction, getOracleCreator } from '../../../utils/theta';
+import { updateOracle, checkOracleExists, getOracleCreator } from '../../../utils/theta';
+import { sendTrackedTransaction } from '../../../utils/tx-tracker';
 import { getOracleAddress, checkMinimumBalance } from '../../../utils/wallet-manager';
+import { getOracleConfig } from '../../../utils/oracle-manager';
+import { getOracleChainId } from '../../../utils/chains';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,8 +22,11 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'New value must be a valid number' });
     }
 
+    // Oracles without a local config live on the default chain
+    const chainId = getOracleChainId(getOracleConfig(oracleId));
+
     // Check if oracle exists on blockchain
-    const exists = await checkOracleExists(oracleId);
+    const exists = await checkOracleExists(oracleId, chainId);
     if (!exists) {
       return res.status(404).json({ error: 'Oracle does not exist' });
     }
@@ -29,7 +35,7 @@ export default async function handler(req, res) {
     const address = await getOracleAddress(oracleId);
     
     try {
-      const creatorAddress = await getOracleCreator(oracleId);
+      const creatorAddress = await getOracleCreator(oracleId, chainId);
       console.log('Oracle creator:', creatorAddress);
       console.log('Update sender:', address);
       
@@ -61,15 +67,13 @@ export default async function handler(req, res) {
     const valueInCents = Math.floor(numericValue * 100);
     const derivationPath = oracleId; // Use oracle ID as derivation path
     
-    // Prepare the update transaction
-    const { transaction, hashesToSign, senderAddress } = await updateOracle(oracleId, valueInCents, derivationPath);
-    
-    console.log('Transaction:', transaction);
-    console.log('Hashes to sign:', hashesToSign);
-    console.log('Sender address:', senderAddress);
-    
-    // Sign and broadcast the transaction
-    const txResult = await signAndBroadcastTransaction(transaction, hashesToSign, derivationPath);
+    // Prepare, sign and broadcast the update transaction with the wallet's next nonce
+    let senderAddress;
+    const txResult = await sendTrackedTransaction(async (nonce) => {
+      const prepared = await updateOracle(oracleId, valueInCents, derivationPath, { nonce, chainId });
+      senderAddress = prepared.senderAddress;
+      return prepared;
+    }, derivationPath, { oracleId, kind: 'update', chainId, from: address });
 
     res.status(200).json({
       success: true,
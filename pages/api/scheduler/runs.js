@@ -0,0 +1,67 @@
+import { listSchedulerRuns, parseHistoryFilters } from '../../../utils/run-history.js';
+
+// ============================================================================
+// SCHEDULER RUN HISTORY API
+// ============================================================================
+
+/**
+ * API endpoint for the persisted history of scheduler ticks
+ *
+ * GET /api/scheduler/runs
+ *
+ * Query parameters (all optional):
+ *   ?limit=50              // Number of runs (1-1000, default 50)
+ *   ?since=<ISO date>      // Only runs started at or after this time
+ *   ?until=<ISO date>      // Only runs started at or before this time
+ *   ?status=completed      // running, completed, overlap or error
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   runs?: Array<{
+ *     id, startedAt, finishedAt, durationMs, holderId, status,
+ *     dueOracleIds: string[],
+ *     skipped: Array<{oracleId, reason}>,          // paused, invalid_config, not_deployed, ...
+ *     results: Array<{oracleId, status, reason}>,  // Outcome per attempted oracle
+ *     error?: string
+ *   }>,                    // Newest first
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  let filters;
+  try {
+    filters = parseHistoryFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const runs = listSchedulerRuns(filters);
+
+    res.status(200).json({
+      success: true,
+      runs,
+      count: runs.length
+    });
+
+  } catch (error) {
+    console.error('Error listing scheduler runs:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list scheduler runs'
+    });
+  }
+}
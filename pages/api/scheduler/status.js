@@ -14,6 +14,10 @@ import { getSchedulerStatus, startScheduler, stopScheduler } from '../../../util
  * {
  *   action: 'start' | 'stop'
  * }
+ *
+ * The status includes `isLeader` and `lease` ({holderId, acquiredAt, expiresAt,
+ * expired, ownHolderId, ttlSeconds}): with several app replicas, only the
+ * lease holder runs update cycles while the others stand by.
  */
 export default async function handler(req, res) {
   try {
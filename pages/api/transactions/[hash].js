@@ -0,0 +1,77 @@
+import { getTrackedTransaction } from '../../../utils/tx-tracker.js';
+import { getExplorerTxUrl, DEFAULT_CHAIN_ID } from '../../../utils/chains.js';
+
+// ============================================================================
+// TRANSACTION STATUS API
+// ============================================================================
+
+/**
+ * API endpoint for the lifecycle of a transaction sent by the app
+ *
+ * Pending transactions are refreshed from the chain on every request, so
+ * this can be polled until the status changes.
+ *
+ * GET /api/transactions/[hash]
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   transaction?: {
+ *     hash, oracleId, kind,          // kind: create, update or set_error
+ *     from, to, data, chainId, nonce,
+ *     gasLimit, maxFeePerGas, maxPriorityFeePerGas,
+ *     status: string,                // pending, confirmed or reverted
+ *     confirmations: number,
+ *     blockNumber, gasUsed, effectiveGasPrice,
+ *     revertReason: string|null,     // Decoded contract error, e.g. 'OracleNotExists'
+ *     broadcastAt, minedAt, updatedAt,
+ *     explorerUrl: string|null       // Block explorer link on the transaction's chain
+ *   },
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { hash } = req.query;
+
+  if (!hash || !/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A valid transaction hash is required'
+    });
+  }
+
+  try {
+    const transaction = await getTrackedTransaction(hash);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      transaction: {
+        ...transaction,
+        explorerUrl: getExplorerTxUrl(transaction.chainId || DEFAULT_CHAIN_ID, transaction.hash)
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error reading transaction ${hash}:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read transaction'
+    });
+  }
+}
@@ -0,0 +1,74 @@
+import { getTreasuryStatus, topUpOracle, runTopUps, isTreasuryEnabled } from '../../../utils/treasury.js';
+
+// ============================================================================
+// TREASURY API
+// ============================================================================
+
+/**
+ * API endpoint for the treasury wallet that tops up oracle wallets
+ * (see utils/treasury.js)
+ *
+ * GET /api/treasury - Address, balance and today's spending per chain
+ * POST /api/treasury - Run top-ups now instead of waiting for the scheduler
+ *
+ * Body for POST:
+ * {
+ *   oracleId?: string      // Top up one oracle (all oracles with a policy if omitted)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   treasury?: {enabled, derivationPath, address, dailyCap, chains: Array<{chainId, name, nativeSymbol, balance, spentToday, remainingToday}>},
+ *   results?: Array<{oracleId, outcome, amount?, txHash?, entryId?, error?}>,  // POST
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      res.status(200).json({
+        success: true,
+        treasury: await getTreasuryStatus(),
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      if (!isTreasuryEnabled()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Treasury top-ups are disabled (set ORACLE_TREASURY_ENABLED=true)'
+        });
+      }
+
+      const { oracleId } = req.body || {};
+      let results;
+      try {
+        results = oracleId ? [await topUpOracle(oracleId)] : await runTopUps();
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        results
+      });
+
+    } else {
+      res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in treasury API:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
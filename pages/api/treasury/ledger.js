@@ -0,0 +1,75 @@
+import { listTopUps } from '../../../utils/treasury.js';
+import { parseHistoryFilters } from '../../../utils/run-history.js';
+
+// ============================================================================
+// TREASURY LEDGER API
+// ============================================================================
+
+/**
+ * API endpoint for the ledger of treasury top-ups
+ *
+ * GET /api/treasury/ledger
+ *
+ * Query parameters (all optional):
+ *   ?oracleId=eth-price    // Top-ups of one oracle
+ *   ?chainId=11155111      // Top-ups on one chain
+ *   ?limit=50              // Number of entries (1-1000, default 50)
+ *   ?since=<ISO date>      // Only top-ups made at or after this time
+ *   ?until=<ISO date>      // Only top-ups made at or before this time
+ *   ?status=confirmed      // sending, pending, confirmed, reverted, failed or unknown
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   entries?: Array<{
+ *     id, oracleId, chainId, trigger, from, to,
+ *     amount, balanceBefore,          // Wei
+ *     amountFormatted,                // Native currency
+ *     txHash, status, error, createdAt, updatedAt
+ *   }>,                    // Newest first
+ *   error?: string
+ * }
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  let filters;
+  try {
+    filters = parseHistoryFilters(req.query);
+    if (req.query.chainId !== undefined) {
+      filters.chainId = parseInt(req.query.chainId, 10);
+      if (isNaN(filters.chainId)) {
+        throw new Error('chainId must be a number');
+      }
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const entries = listTopUps({ ...filters, oracleId: req.query.oracleId });
+
+    res.status(200).json({
+      success: true,
+      entries,
+      count: entries.length
+    });
+
+  } catch (error) {
+    console.error('Error listing treasury top-ups:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list treasury top-ups'
+    });
+  }
+}
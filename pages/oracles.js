@@ -27,6 +27,7 @@ export default function Oracles() {
   const [error, setError] = useState('');
   const [showWizard, setShowWizard] = useState(false);
   const [updatingOracles, setUpdatingOracles] = useState(new Set());
+  const [togglingOracles, setTogglingOracles] = useState(new Set());
 
   // ========================================================================
   // DATA FETCHING
@@ -84,54 +85,39 @@ export default function Oracles() {
         // Show success message immediately
         console.log(`Oracle ${oracleId} updated successfully`);
         
-        // Wait for transaction confirmation before refreshing
-        if (result.txHash) {
+        // The update route waits for the receipt; keep polling the transaction if it is still pending
+        if (result.txHash && result.txStatus === 'pending') {
           console.log(`Waiting for transaction ${result.txHash} to be confirmed...`);
           
-          // Wait for the transaction to be confirmed on the blockchain
           const waitForConfirmation = async () => {
-            let confirmed = false;
-            let attempts = 0;
-            const maxAttempts = 30; // Wait up to 30 seconds
+            const maxAttempts = 20; // Poll for up to a minute
             
-            while (!confirmed && attempts < maxAttempts) {
+            for (let attempts = 0; attempts < maxAttempts; attempts++) {
               try {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+                await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
                 
-                // Try to fetch updated oracle data to see if the update is reflected
-                const checkResponse = await fetch('/api/oracles/list');
-                const checkData = await checkResponse.json();
+                const txResponse = await fetch(`/api/transactions/${result.txHash}`);
+                const txData = await txResponse.json();
                 
-                if (checkData.success) {
-                  const updatedOracle = checkData.oracles.find(o => o.id === oracleId);
-                  if (updatedOracle && updatedOracle.lastUpdateBlock) {
-                    // Check if the oracle has been updated recently (within last 5 blocks as a rough estimate)
-                    confirmed = true;
-                    console.log(`Oracle ${oracleId} update confirmed on blockchain`);
-                    await loadOracles(); // Final refresh with confirmed data
-                    break;
-                  }
+                if (txData.success && txData.transaction.status === 'reverted') {
+                  setError(`Update of ${oracleId} reverted: ${txData.transaction.revertReason}`);
+                  break;
+                }
+                if (txData.success && txData.transaction.status === 'confirmed') {
+                  console.log(`Oracle ${oracleId} update confirmed on blockchain`);
+                  break;
                 }
-                
-                attempts++;
               } catch (error) {
-                attempts++;
                 console.error('Error checking transaction confirmation:', error);
               }
             }
             
-            if (!confirmed) {
-              console.warn(`Transaction confirmation timeout for ${oracleId}, refreshing anyway`);
-              await loadOracles(); // Refresh even if we couldn't confirm
-            }
+            await loadOracles(); // Refresh even if we couldn't confirm
           };
           
           waitForConfirmation();
         } else {
-          // No transaction hash provided, just refresh after a short delay
-          setTimeout(async () => {
-            await loadOracles();
-          }, 2000);
+          await loadOracles();
         }
         
       } else {
@@ -150,6 +136,40 @@ export default function Oracles() {
     }
   };
 
+  /**
+   * Pause or resume scheduled updates for an oracle
+   * @param {Object} oracle - Oracle configuration object
+   */
+  const togglePause = async (oracle) => {
+    const action = oracle.isActive === false ? 'resume' : 'pause';
+    
+    try {
+      setTogglingOracles(prev => new Set([...prev, oracle.id]));
+      
+      const response = await fetch(`/api/oracles/${oracle.id}/${action}`, {
+        method: 'POST'
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        // Only the local config changed, so patch the card instead of reloading everything
+        setOracles(prev => prev.map(o => (o.id === oracle.id ? { ...o, ...result.oracle } : o)));
+      } else {
+        setError(result.error || `Failed to ${action} oracle`);
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} oracle:`, error);
+      setError(`Failed to ${action} oracle`);
+    } finally {
+      setTogglingOracles(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(oracle.id);
+        return newSet;
+      });
+    }
+  };
+
   /**
    * Handle successful oracle creation from wizard
    * @param {Object} newOracle - The newly created oracle configuration
@@ -179,8 +199,11 @@ export default function Oracles() {
    * @returns {string} CSS class name for status badge
    */
   const getStatusClass = (oracle) => {
+    if (oracle.rpcUnavailable) return styles.statusRpcUnavailable;
     if (!oracle.isDeployed) return styles.statusNotDeployed;
     if (oracle.hasError) return styles.statusError;
+    if (oracle.isActive === false) return styles.statusPaused;
+    if (oracle.degraded) return styles.statusDegraded;
     return styles.statusActive;
   };
 
@@ -190,8 +213,11 @@ export default function Oracles() {
    * @returns {string} Human-readable status text
    */
   const getStatusText = (oracle) => {
+    if (oracle.rpcUnavailable) return 'RPC Unavailable';
     if (!oracle.isDeployed) return 'Not Deployed';
     if (oracle.hasError) return 'Error';
+    if (oracle.isActive === false) return 'Paused';
+    if (oracle.degraded) return 'Degraded';
     return 'Active';
   };
 
@@ -232,26 +258,96 @@ export default function Oracles() {
       
       {/* Configuration Details */}
       <div className={styles.configDetails}>
-        <div className={styles.configItem}>
-          <strong>API:</strong> {oracle.apiEndpoint}
-        </div>
-        <div className={styles.configItem}>
-          <strong>Data Path:</strong> {oracle.dataPath}
-        </div>
-        <div className={styles.configItem}>
-          <strong>Update Interval:</strong> {oracle.updateInterval} minutes
-        </div>
+        {oracle.sources && oracle.sources.length > 0 ? (
+          <div className={styles.configItem}>
+            <strong>Sources:</strong> {oracle.sources.length} ({oracle.aggregation || 'median'}
+            {oracle.minSources ? `, min ${oracle.minSources}` : ''})
+          </div>
+        ) : (
+          <>
+            <div className={styles.configItem}>
+              <strong>API:</strong> {oracle.apiEndpoint}
+            </div>
+            <div className={styles.configItem}>
+              <strong>Data Path:</strong> {oracle.dataPath}
+            </div>
+          </>
+        )}
+        {oracle.schedule && oracle.schedule.cron ? (
+          <div className={styles.configItem}>
+            <strong>Schedule:</strong> <code>{oracle.schedule.cron}</code> ({oracle.schedule.timezone || 'UTC'})
+          </div>
+        ) : (
+          <div className={styles.configItem}>
+            <strong>Update Interval:</strong> {oracle.updateInterval} minutes
+          </div>
+        )}
+        {oracle.schedule && oracle.schedule.blackouts && oracle.schedule.blackouts.length > 0 && (
+          <div className={styles.configItem}>
+            <strong>Blackout Windows:</strong> {oracle.schedule.blackouts.length}
+          </div>
+        )}
+        {oracle.updatePolicy && (
+          <div className={styles.configItem}>
+            <strong>Publish Policy:</strong>
+            {oracle.updatePolicy.deviationThresholdBps !== undefined && ` ±${oracle.updatePolicy.deviationThresholdBps} bps`}
+            {oracle.updatePolicy.heartbeatMinutes !== undefined && ` / heartbeat ${oracle.updatePolicy.heartbeatMinutes} min`}
+          </div>
+        )}
+        {oracle.chain && (
+          <div className={styles.configItem}>
+            <strong>Chain:</strong> {oracle.chain.name}
+          </div>
+        )}
+        {oracle.maxFeePerGasGwei !== undefined && (
+          <div className={styles.configItem}>
+            <strong>Max Fee Cap:</strong> {oracle.maxFeePerGasGwei > 0 ? `${oracle.maxFeePerGasGwei} gwei` : 'None'}
+          </div>
+        )}
         <div className={styles.configItem}>
           <strong>Wallet Balance:</strong> 
-          <span className={`${styles.balanceValue} ${oracle.walletBalance && parseFloat(oracle.walletBalance) < 0.001 ? styles.lowBalance : ''}`}>
-            {oracle.walletBalance ? `${oracle.walletBalance} ETH` : 'Loading...'}
+          <span className={`${styles.balanceValue} ${oracle.runway && !oracle.runway.hasMinimum ? styles.lowBalance : ''}`}>
+            {oracle.walletBalance ? `${oracle.walletBalance} ${oracle.chain ? oracle.chain.nativeSymbol : 'ETH'}` : 'Loading...'}
           </span>
         </div>
+        {oracle.runway && (
+          <div className={styles.configItem} title={`${oracle.runway.gasPerUpdate} gas per update (${oracle.runway.gasSource === 'receipts' ? `median of ${oracle.runway.sampleSize} receipts` : 'default estimate'}) at ${oracle.runway.gasPriceGwei.toFixed(2)} gwei`}>
+            <strong>Runway:</strong>{' '}
+            <span className={oracle.runway.hasMinimum ? '' : styles.lowBalance}>
+              {oracle.runway.estimatedUpdates !== null ? `~${oracle.runway.estimatedUpdates} updates` : 'Unlimited'}
+              {oracle.runway.runwayDays !== null && ` (${oracle.runway.runwayDays} days)`}
+            </span>
+          </div>
+        )}
+        {oracle.topUp && (
+          <div className={styles.configItem}>
+            <strong>Auto Top-Up:</strong>{' '}
+            {oracle.topUp.enabled === false
+              ? 'Off'
+              : `below ${oracle.topUp.minBalance} → ${oracle.topUp.targetBalance} ${oracle.chain ? oracle.chain.nativeSymbol : 'ETH'}`}
+          </div>
+        )}
         {oracle.lastUpdate && (
           <div className={styles.configItem}>
             <strong>Last Update:</strong> {formatTimestamp(oracle.lastUpdate)}
           </div>
         )}
+        {oracle.nextRetryAt && (
+          <div className={styles.configItem}>
+            <strong>Next Retry:</strong> {formatTimestamp(oracle.nextRetryAt)} (attempt {oracle.retryAttempt})
+          </div>
+        )}
+        {(oracle.circuitBreakers || []).filter((breaker) => breaker.state !== 'closed').map((breaker) => (
+          <div key={breaker.host} className={`${styles.configItem} ${styles.breakerOpen}`}>
+            <strong>Circuit {breaker.state === 'open' ? 'Open' : 'Half-Open'}:</strong> {breaker.host}
+            {breaker.retryAt && ` (retry ${formatTimestamp(breaker.retryAt)})`}
+          </div>
+        ))}
+        {oracle.isActive === false && oracle.pausedUntil && (
+          <div className={styles.configItem}>
+            <strong>Paused Until:</strong> {formatTimestamp(oracle.pausedUntil)}
+          </div>
+        )}
       </div>
       
       {/* Action Buttons */}
@@ -268,9 +364,17 @@ export default function Oracles() {
           </button>
         ) : (
           <span className={styles.notDeployedText}>
-            Oracle not deployed to blockchain
+            {oracle.rpcUnavailable ? oracle.errorMessage : 'Oracle not deployed to blockchain'}
           </span>
         )}
+        <button
+          onClick={() => togglePause(oracle)}
+          disabled={togglingOracles.has(oracle.id)}
+          className={styles.pauseButton}
+          title={oracle.isActive === false ? 'Resume scheduled updates' : 'Pause scheduled updates'}
+        >
+          {oracle.isActive === false ? 'Resume' : 'Pause'}
+        </button>
       </div>
     </div>
   );
@@ -357,7 +461,7 @@ export default function Oracles() {
                   <p>Deployed</p>
                 </div>
                 <div className={styles.statCard}>
-                  <h3>{oracles.filter(o => o.isDeployed && !o.hasError).length}</h3>
+                  <h3>{oracles.filter(o => o.isDeployed && !o.hasError && o.isActive !== false).length}</h3>
                   <p>Active</p>
                 </div>
               </div>
@@ -0,0 +1,141 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createJsonStorage } from '../utils/json-storage.js';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-storage-'));
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'records.json');
+}
+
+function writeLock(filePath, pid) {
+  fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid, host: os.hostname(), acquiredAt: Date.now() }));
+}
+
+// Backup IDs are millisecond timestamps, so writes in the same millisecond share one
+const nextMillisecond = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// ============================================================================
+// LOCKING
+// ============================================================================
+
+test('transactions release the lock', (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+
+  store.put('a', { value: 1 });
+  store.transaction((tx) => tx.put('b', { value: tx.get('a').value + 1 }));
+
+  t.deepEqual(store.list(), { a: { value: 1 }, b: { value: 2 } });
+  t.false(fs.existsSync(`${filePath}.lock`));
+});
+
+test('a lock left by a dead process is broken', (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+
+  writeLock(filePath, pid);
+  store.put('a', { value: 1 });
+
+  t.deepEqual(store.get('a'), { value: 1 });
+  t.deepEqual(fs.readdirSync(path.dirname(filePath)).filter((name) => name.includes('.lock')), []);
+});
+
+test('a stale lock is broken', (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+
+  writeLock(filePath, process.pid);
+  const longAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${filePath}.lock`, longAgo, longAgo);
+
+  store.put('a', { value: 1 });
+  t.deepEqual(store.get('a'), { value: 1 });
+});
+
+test('waiting for a live lock times out', (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+
+  writeLock(filePath, process.pid);
+  const started = Date.now();
+
+  t.throws(() => store.put('a', { value: 1 }), { message: /Timed out waiting for storage lock/ });
+  t.true(Date.now() - started < 5000);
+  t.true(fs.existsSync(`${filePath}.lock`));
+  t.is(store.get('a'), null);
+});
+
+// ============================================================================
+// BACKUPS
+// ============================================================================
+
+test('backups keep the info describing their contents', async (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+  let version = 1;
+  store.setBackupInfo(() => ({ version }));
+
+  store.put('a', { value: 1 });
+  await nextMillisecond();
+  version = 2;
+  store.put('a', { value: 2 });
+
+  const [backup] = store.listBackups();
+  t.deepEqual(backup.info, { version: 2 });
+});
+
+test('restoring passes the backup info to the transform and writes its result', async (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+  store.setBackupInfo(() => ({ version: 1 }));
+
+  store.put('a', { value: 1 });
+  await nextMillisecond();
+  store.put('a', { value: 2 });
+  await nextMillisecond();
+
+  const [backup] = store.listBackups();
+  const restored = store.restoreBackup(backup.id, {
+    transform: (records, info) => {
+      t.deepEqual(info, { version: 1 });
+      return { a: { ...records.a, migrated: true } };
+    }
+  });
+
+  t.deepEqual(restored, { a: { value: 1, migrated: true } });
+  t.deepEqual(store.list(), restored);
+  t.is(store.listBackups().length, 2);
+});
+
+test('a transform that refuses the backup leaves the records untouched', async (t) => {
+  const filePath = tempFile(t);
+  const store = createJsonStorage(filePath);
+
+  store.put('a', { value: 1 });
+  await nextMillisecond();
+  store.put('a', { value: 2 });
+
+  const backups = store.listBackups();
+  t.throws(() => store.restoreBackup(backups[0].id, {
+    transform: () => {
+      throw new Error('refused');
+    }
+  }), { message: 'refused' });
+
+  t.deepEqual(store.list(), { a: { value: 2 } });
+  t.is(store.listBackups().length, backups.length);
+});
+
+test('restoring an unknown backup fails', (t) => {
+  const store = createJsonStorage(tempFile(t));
+  t.throws(() => store.restoreBackup('123'), { message: "Backup '123' not found" });
+});
@@ -0,0 +1,145 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Storage lives in ./data of the working directory, so run against a scratch one
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-manager-'));
+process.chdir(workDir);
+process.env.ORACLE_STORAGE = 'json';
+
+const {
+  addOracleConfig,
+  deleteOracleConfig,
+  getOracleConfig,
+  validateNewOracleConfig,
+  validateOracleSettings,
+  editOracleSettings,
+  listOracleBackups,
+  restoreOracleBackup
+} = await import('../utils/oracle-manager.js');
+
+test.after.always(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// What POST /api/oracles/create validates before funding and deploying
+function newOracle(name, overrides = {}) {
+  return {
+    name,
+    description: `${name} price`,
+    apiEndpoint: 'https://api.example.com/price',
+    dataPath: 'data.price',
+    updateInterval: 5,
+    priceMultiplier: 100,
+    derivationPath: name,
+    chainId: 11155111,
+    ...overrides
+  };
+}
+
+function deployed(name, overrides = {}) {
+  return { ...newOracle(name, overrides), walletAddress: `0x${'1'.repeat(40)}` };
+}
+
+const nextMillisecond = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// ============================================================================
+// NEW ORACLE VALIDATION
+// ============================================================================
+
+test.serial('a complete new oracle is valid', (t) => {
+  t.deepEqual(validateNewOracleConfig(newOracle('btc-usd', { schedule: { cron: '*/5 * * * *' } })), { valid: true });
+});
+
+test.serial('new oracles with a bad ID are rejected', (t) => {
+  t.regex(validateNewOracleConfig(newOracle('BTC USD')).error, /can only contain lowercase letters/);
+  t.regex(validateNewOracleConfig(newOracle('ab')).error, /between 3 and 50 characters/);
+});
+
+test.serial('new oracles cannot reuse a live or retired ID', (t) => {
+  addOracleConfig(deployed('eth-usd'));
+  t.is(validateNewOracleConfig(newOracle('eth-usd')).error, 'Oracle ID already exists');
+
+  deleteOracleConfig('eth-usd');
+  t.regex(validateNewOracleConfig(newOracle('eth-usd')).error, /is reserved/);
+});
+
+test.serial('new oracles with invalid settings are rejected before deployment', (t) => {
+  t.regex(validateNewOracleConfig(newOracle('sol-usd', { updateInterval: '5' })).error, /^Invalid oracle configuration: 'updateInterval' must be number/);
+  t.regex(validateNewOracleConfig(newOracle('sol-usd', { description: undefined })).error, /'description' is required/);
+  t.regex(validateNewOracleConfig(newOracle('sol-usd', { guards: null })).error, /^Invalid oracle configuration/);
+});
+
+// ============================================================================
+// SETTINGS EDITS
+// ============================================================================
+
+test.serial('null removes an optional setting', (t) => {
+  addOracleConfig(deployed('ada-usd', { schedule: { cron: '0 * * * *' } }));
+  const config = getOracleConfig('ada-usd');
+
+  t.deepEqual(validateOracleSettings(config, { schedule: null }), { valid: true });
+  t.false('schedule' in editOracleSettings('ada-usd', { schedule: null }));
+});
+
+test.serial('edits are validated against the whole configuration', (t) => {
+  const config = getOracleConfig('ada-usd');
+
+  t.regex(validateOracleSettings(config, { description: null }).error, /'description' is required/);
+  t.regex(validateOracleSettings(config, { apiEndpoint: null }).error, /'apiEndpoint' is required/);
+  t.regex(validateOracleSettings(config, { walletAddress: '0x0' }).error, /Fields cannot be edited: walletAddress/);
+});
+
+// ============================================================================
+// BACKUP RESTORE
+// ============================================================================
+
+test.serial('restoring a backup brings back the earlier settings', async (t) => {
+  addOracleConfig(deployed('xrp-usd'));
+  await nextMillisecond();
+  editOracleSettings('xrp-usd', { description: 'changed' });
+  await nextMillisecond();
+
+  const [backup] = listOracleBackups();
+  t.is(backup.schemaVersion, 3);
+
+  restoreOracleBackup(backup.id);
+  t.is(getOracleConfig('xrp-usd').description, 'xrp-usd price');
+});
+
+test.serial('backups without a schema version are migrated on restore', (t) => {
+  const id = String(Date.now() - 1000);
+  fs.writeFileSync(`data/oracles.json.backup.${id}`, JSON.stringify({
+    'legacy-usd': {
+      description: 'Legacy oracle',
+      apiEndpoint: 'https://api.example.com/price',
+      dataPath: 'price',
+      updateIntervalMinutes: 10,
+      multiplier: 100,
+      address: `0x${'2'.repeat(40)}`
+    }
+  }));
+
+  const restored = restoreOracleBackup(id)['legacy-usd'];
+  t.like(restored, { name: 'legacy-usd', updateInterval: 10, priceMultiplier: 100, chainId: 11155111, isActive: true });
+});
+
+test.serial('backups from a newer schema or with invalid records are refused', (t) => {
+  const current = getOracleConfig('legacy-usd');
+
+  const newer = String(Date.now() - 2000);
+  fs.writeFileSync(`data/oracles.json.backup.${newer}`, JSON.stringify({ 'legacy-usd': current }));
+  fs.writeFileSync(`data/oracles.json.backup.${newer}.info.json`, JSON.stringify({ schemaVersion: 99 }));
+  t.throws(() => restoreOracleBackup(newer), { message: /schema version 99, newer than this app supports/ });
+
+  const invalid = String(Date.now() - 3000);
+  fs.writeFileSync(`data/oracles.json.backup.${invalid}`, JSON.stringify({ 'legacy-usd': { ...current, updateInterval: 'soon' } }));
+  t.throws(() => restoreOracleBackup(invalid), { message: /Invalid configuration for oracle 'legacy-usd'/ });
+
+  t.deepEqual(getOracleConfig('legacy-usd'), current);
+});
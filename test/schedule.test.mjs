@@ -0,0 +1,72 @@
+import test from 'ava';
+import { validateSchedule, getNextRunTime } from '../utils/schedule.js';
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+test('schedules that fire are valid', (t) => {
+  t.deepEqual(validateSchedule(undefined), { valid: true });
+  t.deepEqual(validateSchedule({ cron: '*/5 9-16 * * MON-FRI', timezone: 'Europe/Berlin' }), { valid: true });
+  t.deepEqual(validateSchedule({ cron: '0 0 29 2 *' }), { valid: true });
+  t.deepEqual(validateSchedule({ blackouts: [{ start: '22:00', end: '06:00' }] }), { valid: true });
+});
+
+test('malformed schedules are rejected', (t) => {
+  t.regex(validateSchedule({ cron: '* * *' }).error, /^schedule\.cron: Cron expression must have 5 fields/);
+  t.regex(validateSchedule({ timezone: 'Mars/Olympus' }).error, /is not a valid IANA timezone/);
+  t.regex(validateSchedule({ interval: 5 }).error, /Unknown schedule setting 'interval'/);
+  t.regex(validateSchedule({ blackouts: {} }).error, /must be an array/);
+});
+
+test('a cron expression that never fires is rejected', (t) => {
+  const result = validateSchedule({ cron: '0 0 31 2 *' });
+
+  t.false(result.valid);
+  t.regex(result.error, /never fires/);
+});
+
+test('blackouts covering every fire time are rejected', (t) => {
+  const cron = validateSchedule({ cron: '0 12 * * *', blackouts: [{ start: '11:00', end: '13:00' }] });
+  t.false(cron.valid);
+  t.regex(cron.error, /blacked out/);
+
+  const interval = validateSchedule({ blackouts: [{ start: '00:00', end: '00:00' }] });
+  t.false(interval.valid);
+  t.regex(interval.error, /blacked out/);
+});
+
+test('validating a schedule that never fires stays fast', (t) => {
+  const schedules = [
+    { cron: '* * * * *', blackouts: [{ start: '00:00', end: '00:00' }] },
+    { cron: '*/7 * 30 2 *', timezone: 'America/New_York' },
+    { cron: '0 9 * * MON-FRI', blackouts: [{ start: '08:00', end: '10:00', days: [1, 2, 3, 4, 5] }] }
+  ];
+
+  for (const schedule of schedules) {
+    const started = Date.now();
+    t.false(validateSchedule(schedule).valid);
+    t.true(Date.now() - started < 2000, `${JSON.stringify(schedule)} took ${Date.now() - started}ms`);
+  }
+});
+
+// ============================================================================
+// NEXT RUN TIME
+// ============================================================================
+
+test('the next cron run skips blackouts', (t) => {
+  const config = { schedule: { cron: '0 * * * *', blackouts: [{ start: '10:30', end: '12:30' }] } };
+  const next = getNextRunTime(config, new Date('2026-03-02T10:15:00Z'));
+
+  t.is(next.toISOString(), '2026-03-02T13:00:00.000Z');
+});
+
+test('an interval run inside a one-off blackout moves to its end', (t) => {
+  const config = {
+    updateInterval: 5,
+    schedule: { blackouts: [{ from: '2026-03-02T10:00:00Z', until: '2026-03-02T11:00:00Z' }] }
+  };
+  const next = getNextRunTime(config, new Date('2026-03-02T09:58:00Z'));
+
+  t.is(next.toISOString(), '2026-03-02T11:00:00.000Z');
+});
@@ -0,0 +1,336 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+// ============================================================================
+// ALERT CHANNELS
+// ============================================================================
+
+/**
+ * Notifiers alerts are dispatched to (see utils/alerts.js)
+ *
+ * A channel is enabled when its settings are present:
+ * - webhook: ORACLE_ALERT_WEBHOOK_URL, receives the alert as JSON
+ * - slack: ORACLE_ALERT_SLACK_WEBHOOK_URL, Slack incoming webhook ({text})
+ * - discord: ORACLE_ALERT_DISCORD_WEBHOOK_URL, Discord webhook ({content})
+ * - email: ORACLE_ALERT_SMTP_HOST and ORACLE_ALERT_EMAIL_TO, plain-text mail
+ *   over SMTP (ORACLE_ALERT_SMTP_PORT, ORACLE_ALERT_SMTP_SECURE for implicit
+ *   TLS, STARTTLS when the server offers it, AUTH PLAIN with
+ *   ORACLE_ALERT_SMTP_USER/ORACLE_ALERT_SMTP_PASSWORD - only over TLS unless
+ *   ORACLE_ALERT_SMTP_ALLOW_INSECURE is true)
+ *
+ * Channels are {isConfigured(): boolean, send(alert): Promise}; more can be
+ * added with registerAlertChannel. The alert passed to send:
+ * {
+ *   id, rule, subject,
+ *   severity: 'warning' | 'critical',
+ *   status: 'firing' | 'resolved',
+ *   title, message: string,
+ *   details: Object,
+ *   firedAt: string,
+ *   resolvedAt: string|null,
+ *   test: boolean             // Sent by POST /api/alerts/test
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const WEBHOOK_URL = process.env.ORACLE_ALERT_WEBHOOK_URL || '';
+const SLACK_WEBHOOK_URL = process.env.ORACLE_ALERT_SLACK_WEBHOOK_URL || '';
+const DISCORD_WEBHOOK_URL = process.env.ORACLE_ALERT_DISCORD_WEBHOOK_URL || '';
+
+const SMTP_HOST = process.env.ORACLE_ALERT_SMTP_HOST || '';
+const SMTP_SECURE = process.env.ORACLE_ALERT_SMTP_SECURE === 'true';
+const SMTP_PORT = parseInt(process.env.ORACLE_ALERT_SMTP_PORT || (SMTP_SECURE ? '465' : '587'), 10);
+const SMTP_USER = process.env.ORACLE_ALERT_SMTP_USER || '';
+const SMTP_PASSWORD = process.env.ORACLE_ALERT_SMTP_PASSWORD || '';
+// Allow sending credentials without TLS (e.g. a local relay that doesn't offer STARTTLS)
+const SMTP_ALLOW_INSECURE = process.env.ORACLE_ALERT_SMTP_ALLOW_INSECURE === 'true';
+const EMAIL_FROM = process.env.ORACLE_ALERT_EMAIL_FROM || SMTP_USER || `oracle-alerts@${os.hostname()}`;
+const EMAIL_TO = (process.env.ORACLE_ALERT_EMAIL_TO || '').split(',').map((address) => address.trim()).filter(Boolean);
+
+// Requests and SMTP sessions (connecting to QUIT) slower than this fail
+const SEND_TIMEOUT_MS = 15000;
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Build the one-line headline of an alert
+ * @param {Object} alert - Alert
+ * @returns {string} e.g. "[CRITICAL] Low wallet balance: eth-price"
+ */
+function formatHeadline(alert) {
+  const label = alert.status === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+  return `${alert.test ? '[TEST] ' : ''}[${label}] ${alert.title}`;
+}
+
+/**
+ * Build the plain-text body of an alert
+ * @param {Object} alert - Alert
+ * @returns {string} Message and details, one per line
+ */
+function formatBody(alert) {
+  const lines = [alert.message];
+  for (const [key, value] of Object.entries(alert.details || {})) {
+    lines.push(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+  lines.push(`${alert.status === 'resolved' ? 'Resolved' : 'Fired'} at ${alert.resolvedAt || alert.firedAt}`);
+  return lines.join('\n');
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Request body
+ * @throws {Error} On network errors, timeouts and non-2xx responses
+ */
+async function postJson(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook answered HTTP ${response.status}`);
+  }
+}
+
+// ============================================================================
+// SMTP
+// ============================================================================
+
+/**
+ * Open an SMTP session that reads replies line by line
+ * @param {Object} socket - Connected net or tls socket
+ * @returns {Object} {command(line, expectedCodes) => Promise<string[]>, readReply(expectedCodes), upgrade(), close()}
+ */
+function createSmtpSession(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = []; // Complete replies nobody has read yet
+  let waiting = null;
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      lines.push(buffer.slice(0, index));
+      buffer = buffer.slice(index + 2);
+
+      // The last line of a (multi-line) reply has a space after the code
+      if (/^\d{3} /.test(lines[lines.length - 1]) || /^\d{3}$/.test(lines[lines.length - 1])) {
+        replies.push(lines);
+        lines = [];
+        if (waiting) {
+          const { resolve } = waiting;
+          waiting = null;
+          resolve(replies.shift());
+        }
+      }
+    }
+  };
+  const onError = (error) => {
+    failure = failure || error;
+    if (waiting) {
+      waiting.reject(failure);
+      waiting = null;
+    }
+  };
+  // A server may hang up without an error (e.g. after a 421 reply)
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  };
+  attach(socket);
+
+  const readReply = (expectedCodes) => new Promise((resolve, reject) => {
+    if (replies.length > 0) {
+      return resolve(replies.shift());
+    }
+    if (failure) {
+      return reject(failure);
+    }
+    waiting = { resolve, reject };
+  }).then((reply) => {
+    const code = parseInt(reply[reply.length - 1].slice(0, 3), 10);
+    if (!expectedCodes.includes(code)) {
+      throw new Error(`SMTP error: ${reply.join(' ')}`);
+    }
+    return reply;
+  });
+
+  return {
+    readReply,
+    command(line, expectedCodes) {
+      const reply = readReply(expectedCodes);
+      socket.write(`${line}\r\n`);
+      return reply;
+    },
+    upgrade() {
+      return new Promise((resolve, reject) => {
+        socket.removeListener('data', onData);
+        const secured = tls.connect({ socket, servername: SMTP_HOST }, () => resolve());
+        secured.once('error', reject);
+        secured.once('close', () => reject(new Error('SMTP server closed the connection during the TLS handshake')));
+        socket = secured;
+        attach(secured);
+      });
+    },
+    close() {
+      socket.destroy();
+    }
+  };
+}
+
+/**
+ * Send a plain-text mail over SMTP
+ * @param {Object} mail - {subject, text}
+ * @returns {Promise<void>}
+ * @throws {Error} On connection failures, timeouts and rejected commands
+ */
+async function sendMail({ subject, text }) {
+  const socket = SMTP_SECURE
+    ? tls.connect({ host: SMTP_HOST, port: SMTP_PORT, servername: SMTP_HOST })
+    : net.connect({ host: SMTP_HOST, port: SMTP_PORT });
+
+  // Destroying the underlying socket fails whatever step the session is at (a STARTTLS socket included)
+  const deadline = setTimeout(() => socket.destroy(new Error(`SMTP session timed out after ${SEND_TIMEOUT_MS / 1000}s`)), SEND_TIMEOUT_MS);
+
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once(SMTP_SECURE ? 'secureConnect' : 'connect', resolve);
+      socket.once('error', reject);
+      socket.once('close', () => reject(new Error('SMTP connection closed before it was established')));
+    });
+  } catch (error) {
+    clearTimeout(deadline);
+    socket.destroy();
+    throw error;
+  }
+
+  const session = createSmtpSession(socket);
+  try {
+    await session.readReply([220]);
+    let capabilities = await session.command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = SMTP_SECURE;
+
+    if (!SMTP_SECURE && capabilities.some((line) => /STARTTLS/i.test(line))) {
+      await session.command('STARTTLS', [220]);
+      await session.upgrade();
+      encrypted = true;
+      capabilities = await session.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (SMTP_USER) {
+      // A missing STARTTLS may have been stripped by an attacker reading the credentials
+      if (!encrypted && !SMTP_ALLOW_INSECURE) {
+        throw new Error('SMTP server did not offer STARTTLS - refusing to send credentials unencrypted (set ORACLE_ALERT_SMTP_ALLOW_INSECURE=true to allow it)');
+      }
+      const credentials = Buffer.from(`\u0000${SMTP_USER}\u0000${SMTP_PASSWORD}`).toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${EMAIL_FROM}>`, [250]);
+    for (const recipient of EMAIL_TO) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+
+    const message = [
+      `From: ${EMAIL_FROM}`,
+      `To: ${EMAIL_TO.join(', ')}`,
+      `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      // Lines starting with a dot are escaped (RFC 5321 section 4.5.2)
+      ...text.split(/\r?\n/).map((line) => (line.startsWith('.') ? `.${line}` : line))
+    ].join('\r\n');
+
+    await session.command(`${message}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+  } finally {
+    clearTimeout(deadline);
+    session.close();
+  }
+}
+
+// ============================================================================
+// CHANNEL REGISTRY
+// ============================================================================
+
+const channels = {
+  webhook: {
+    isConfigured: () => Boolean(WEBHOOK_URL),
+    send: (alert) => postJson(WEBHOOK_URL, { alert })
+  },
+  slack: {
+    isConfigured: () => Boolean(SLACK_WEBHOOK_URL),
+    send: (alert) => postJson(SLACK_WEBHOOK_URL, { text: `*${formatHeadline(alert)}*\n${formatBody(alert)}` })
+  },
+  discord: {
+    isConfigured: () => Boolean(DISCORD_WEBHOOK_URL),
+    // Discord rejects content over 2000 characters
+    send: (alert) => postJson(DISCORD_WEBHOOK_URL, { content: `**${formatHeadline(alert)}**\n${formatBody(alert)}`.slice(0, 2000) })
+  },
+  email: {
+    isConfigured: () => Boolean(SMTP_HOST) && EMAIL_TO.length > 0,
+    send: (alert) => sendMail({ subject: formatHeadline(alert), text: formatBody(alert) })
+  }
+};
+
+/**
+ * Add or replace an alert channel
+ * @param {string} name - Channel name
+ * @param {Object} channel - {isConfigured(): boolean, send(alert): Promise}
+ */
+export function registerAlertChannel(name, channel) {
+  if (typeof channel.isConfigured !== 'function' || typeof channel.send !== 'function') {
+    throw new Error(`Alert channel '${name}' must implement isConfigured and send`);
+  }
+  channels[name] = channel;
+}
+
+/**
+ * List the names of all registered channels and whether they are configured
+ * @returns {Object[]} [{name, configured}]
+ */
+export function listAlertChannels() {
+  return Object.entries(channels).map(([name, channel]) => ({ name, configured: channel.isConfigured() }));
+}
+
+/**
+ * Send an alert to every configured channel (or to the named ones)
+ * @param {Object} alert - Alert (see above)
+ * @param {string[]} [names] - Channels to use (all configured channels if omitted)
+ * @returns {Promise<Object[]>} [{channel, delivered: boolean, error?: string}]
+ */
+export async function dispatchAlert(alert, names) {
+  const selected = Object.entries(channels)
+    .filter(([name, channel]) => (names ? names.includes(name) : true) && channel.isConfigured());
+
+  const results = await Promise.allSettled(selected.map(([, channel]) => channel.send(alert)));
+
+  return selected.map(([name], index) => {
+    const result = results[index];
+    if (result.status === 'rejected') {
+      console.error(`[Alerts] Failed to send ${alert.id} to ${name}:`, result.reason.message);
+      return { channel: name, delivered: false, error: result.reason.message };
+    }
+    return { channel: name, delivered: true };
+  });
+}
@@ -0,0 +1,395 @@
+import os from 'os';
+import { getStore } from './storage.js';
+import { loadOracleConfigs } from './oracle-manager.js';
+import { getOracle, getBlockTimestamp, convertToDecimal } from './theta.js';
+import { getWalletRunway } from './wallet-manager.js';
+import { getUpdatesPerDay, formatRunway } from './gas-runway.js';
+import { getOracleHistory, listSchedulerRuns } from './run-history.js';
+import { getChain, getOracleChainId } from './chains.js';
+import { dispatchAlert } from './alert-channels.js';
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+/**
+ * Rules that watch the oracles and notify the alert channels (see
+ * utils/alert-channels.js) when something needs attention
+ *
+ * Every ORACLE_ALERT_CHECK_SECONDS the monitor evaluates (skipping rules
+ * listed in ORACLE_ALERT_DISABLED_RULES):
+ * - low_balance: an active oracle's wallet is below the minimum balance at
+ *   current fees (see utils/gas-runway.js); critical once it can't pay for
+ *   a single update
+ * - consecutive_failures: an active oracle's last
+ *   ORACLE_ALERT_FAILURE_THRESHOLD update attempts all failed
+ * - stale_value: an active oracle's on-chain value is older than
+ *   ORACLE_ALERT_STALE_FACTOR times its heartbeat or update interval
+ *   (oracles with a deviation policy but no heartbeat are not checked)
+ * - scheduler_stopped: no scheduler tick was recorded for
+ *   ORACLE_ALERT_SCHEDULER_STALE_MINUTES while there are active oracles
+ *   (the monitor runs independently of the scheduler)
+ *
+ * Alerts are deduplicated through their state in the `alerts` collection
+ * (keyed by `<rule>:<subject>`, shared by all processes): channels are
+ * notified when an alert starts firing, when it escalates to critical,
+ * every ORACLE_ALERT_REPEAT_MINUTES while it keeps firing (0 = never), and
+ * when it resolves (unless ORACLE_ALERT_NOTIFY_RESOLVED=false). A rule that
+ * can't be evaluated (e.g. RPC down) leaves its alerts as they were.
+ *
+ * Alert state:
+ * {
+ *   id, rule, subject,            // subject: oracle ID, or 'scheduler'
+ *   severity: 'warning' | 'critical',
+ *   status: 'firing' | 'resolved',
+ *   title, message: string,
+ *   details: Object,
+ *   firedAt, resolvedAt: string|null,
+ *   lastNotifiedAt: string|null,
+ *   notifyCount: number,
+ *   lastDelivery: [{channel, delivered, error?}],
+ *   updatedAt: string
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CHECK_INTERVAL_MS = parseInt(process.env.ORACLE_ALERT_CHECK_SECONDS || '300', 10) * 1000;
+const REPEAT_MS = parseFloat(process.env.ORACLE_ALERT_REPEAT_MINUTES || '360') * 60 * 1000;
+const NOTIFY_RESOLVED = process.env.ORACLE_ALERT_NOTIFY_RESOLVED !== 'false';
+const DISABLED_RULES = (process.env.ORACLE_ALERT_DISABLED_RULES || '').split(',').map((rule) => rule.trim()).filter(Boolean);
+
+// Rule thresholds
+const FAILURE_THRESHOLD = Math.max(1, parseInt(process.env.ORACLE_ALERT_FAILURE_THRESHOLD || '3', 10));
+const STALE_FACTOR = parseFloat(process.env.ORACLE_ALERT_STALE_FACTOR || '3');
+const SCHEDULER_STALE_MS = parseFloat(process.env.ORACLE_ALERT_SCHEDULER_STALE_MINUTES || '10') * 60 * 1000;
+
+const ALERTS_COLLECTION = 'alerts';
+
+// Subject of alerts that aren't about one oracle
+const SCHEDULER_SUBJECT = 'scheduler';
+
+let monitorInterval = null;
+let evaluation = null; // Evaluation in progress (concurrent callers share it)
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Run a check for every oracle; oracles whose check throws are left out
+ * @param {string} rule - Rule name (for logs)
+ * @param {Object[]} oracles - Oracle configurations
+ * @param {Function} check - async (config) => check result, or null to skip the oracle
+ * @returns {Promise<Object[]>} Check results
+ */
+async function checkEachOracle(rule, oracles, check) {
+  const results = [];
+  for (const config of oracles) {
+    try {
+      const result = await check(config);
+      if (result) {
+        results.push({ rule, subject: config.name, ...result });
+      }
+    } catch (error) {
+      console.warn(`[Alerts] Could not evaluate ${rule} for ${config.name}:`, error.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Check results by rule: [{rule, subject, firing, severity, title, message, details}]
+ */
+const RULES = {
+  low_balance: (oracles) => checkEachOracle('low_balance', oracles, async (config) => {
+    const chainId = getOracleChainId(config);
+    const { nativeSymbol } = getChain(chainId);
+    const runway = await getWalletRunway(config.name, chainId);
+    const formatted = formatRunway(runway);
+    const balance = `${convertToDecimal(runway.balance, 18)} ${nativeSymbol}`;
+
+    return {
+      firing: !runway.hasMinimum,
+      severity: runway.estimatedUpdates < 1 ? 'critical' : 'warning',
+      title: `Low wallet balance: ${config.name}`,
+      message: runway.hasMinimum
+        ? `Wallet balance of ${config.name} is back above the minimum (${balance}).`
+        : `Wallet of ${config.name} holds ${balance}, below the minimum of ${formatted.minimumBalanceFormatted} ${nativeSymbol}. Fund ${config.walletAddress || 'the oracle wallet'}.`,
+      details: {
+        walletAddress: config.walletAddress || null,
+        chainId,
+        balance,
+        minimumBalance: `${formatted.minimumBalanceFormatted} ${nativeSymbol}`,
+        estimatedUpdates: formatted.estimatedUpdates,
+        runwayDays: formatted.runwayDays
+      }
+    };
+  }),
+
+  consecutive_failures: (oracles) => checkEachOracle('consecutive_failures', oracles, async (config) => {
+    const attempts = getOracleHistory(config.name, { limit: FAILURE_THRESHOLD });
+    const firing = attempts.length >= FAILURE_THRESHOLD && attempts.every((attempt) => attempt.status === 'failed');
+    const last = attempts[0];
+
+    return {
+      firing,
+      severity: 'critical',
+      title: `Updates failing: ${config.name}`,
+      message: firing
+        ? `The last ${FAILURE_THRESHOLD} updates of ${config.name} failed (latest: ${last.reason}${last.error || last.message ? ` - ${last.error || last.message}` : ''}).`
+        : `Updates of ${config.name} are succeeding again.`,
+      details: {
+        reasons: attempts.map((attempt) => attempt.reason),
+        since: attempts.length > 0 ? attempts[attempts.length - 1].startedAt : null
+      }
+    };
+  }),
+
+  stale_value: (oracles) => checkEachOracle('stale_value', oracles, async (config) => {
+    const policy = config.updatePolicy || {};
+    if (policy.deviationThresholdBps !== undefined && !policy.heartbeatMinutes) {
+      return null; // May legitimately stay unchanged for any time
+    }
+
+    const updatesPerDay = getUpdatesPerDay(config);
+    const expectedMinutes = policy.heartbeatMinutes || (updatesPerDay ? (24 * 60) / updatesPerDay : null);
+    if (!expectedMinutes) {
+      return null;
+    }
+
+    const chainId = getOracleChainId(config);
+    const [, lastUpdateBlock] = await getOracle(config.name, chainId);
+    const updatedAt = await getBlockTimestamp(Number(lastUpdateBlock), chainId);
+    if (!updatedAt) {
+      return null;
+    }
+
+    const ageMinutes = Math.round((Date.now() - updatedAt.getTime()) / 60000);
+    const maxAgeMinutes = Math.round(expectedMinutes * STALE_FACTOR);
+
+    return {
+      firing: ageMinutes > maxAgeMinutes,
+      severity: 'warning',
+      title: `Stale on-chain value: ${config.name}`,
+      message: ageMinutes > maxAgeMinutes
+        ? `The on-chain value of ${config.name} was last updated ${ageMinutes} minutes ago (expected at least every ${Math.round(expectedMinutes)} minutes).`
+        : `The on-chain value of ${config.name} is current again.`,
+      details: {
+        lastUpdateBlock: Number(lastUpdateBlock),
+        lastUpdatedAt: updatedAt.toISOString(),
+        ageMinutes,
+        maxAgeMinutes
+      }
+    };
+  }),
+
+  scheduler_stopped: async (oracles) => {
+    const [lastRun] = listSchedulerRuns({ limit: 1 });
+    const lastRunAt = lastRun ? lastRun.startedAt : null;
+    const firing = oracles.length > 0 && (!lastRunAt || Date.now() - new Date(lastRunAt).getTime() > SCHEDULER_STALE_MS);
+
+    return [{
+      rule: 'scheduler_stopped',
+      subject: SCHEDULER_SUBJECT,
+      firing,
+      severity: 'critical',
+      title: 'Scheduler stopped',
+      message: firing
+        ? `No scheduler tick since ${lastRunAt || 'startup'} - ${oracles.length} active oracle(s) are not being updated.`
+        : 'The scheduler is running again.',
+      details: { lastRunAt, activeOracles: oracles.length }
+    }];
+  }
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Apply check results to the stored alert states
+ * @param {Object[]} checks - Check results
+ * @param {Set<string>} subjects - Current subjects (alerts of other subjects are resolved quietly)
+ * @returns {Object[]} Alerts to notify
+ */
+function applyChecks(checks, subjects) {
+  const now = new Date().toISOString();
+
+  return getStore(ALERTS_COLLECTION).transaction((tx) => {
+    const notify = [];
+
+    for (const check of checks) {
+      const id = `${check.rule}:${check.subject}`;
+      const previous = tx.get(id);
+      const { rule, subject, severity, title, message, details } = check;
+
+      if (check.firing) {
+        if (!previous || previous.status === 'resolved') {
+          const alert = {
+            id, rule, subject, severity, title, message, details,
+            status: 'firing',
+            firedAt: now,
+            resolvedAt: null,
+            lastNotifiedAt: now,
+            notifyCount: 1,
+            lastDelivery: [],
+            updatedAt: now
+          };
+          tx.put(id, alert);
+          notify.push(alert);
+          continue;
+        }
+
+        const escalated = severity === 'critical' && previous.severity !== 'critical';
+        const repeatDue = REPEAT_MS > 0 && Date.now() - new Date(previous.lastNotifiedAt).getTime() >= REPEAT_MS;
+        const alert = {
+          ...previous, severity, title, message, details,
+          ...(escalated || repeatDue ? { lastNotifiedAt: now, notifyCount: previous.notifyCount + 1 } : {}),
+          updatedAt: now
+        };
+        tx.put(id, alert);
+        if (escalated || repeatDue) {
+          notify.push(alert);
+        }
+      } else if (previous && previous.status === 'firing') {
+        const alert = { ...previous, message, details, status: 'resolved', resolvedAt: now, updatedAt: now };
+        tx.put(id, alert);
+        if (NOTIFY_RESOLVED) {
+          notify.push(alert);
+        }
+      }
+    }
+
+    // Oracles that were deleted, archived or paused while an alert was firing
+    for (const alert of Object.values(tx.list())) {
+      if (alert.status === 'firing' && !subjects.has(alert.subject)) {
+        tx.put(alert.id, { ...alert, status: 'resolved', resolvedAt: now, updatedAt: now });
+      }
+    }
+
+    return notify;
+  });
+}
+
+/**
+ * Notify the alert channels and record the outcome on the alert
+ * @param {Object} alert - Alert state
+ * @returns {Promise<Object[]>} Deliveries (see dispatchAlert)
+ */
+async function notifyAlert(alert) {
+  const deliveries = await dispatchAlert({ ...alert, test: false });
+  console.log(`[Alerts] ${alert.status === 'resolved' ? '✅' : '🚨'} ${alert.title} (${alert.status}) - sent to ${deliveries.filter((delivery) => delivery.delivered).length}/${deliveries.length} channel(s)`);
+
+  getStore(ALERTS_COLLECTION).transaction((tx) => {
+    const current = tx.get(alert.id);
+    if (current && current.updatedAt === alert.updatedAt) {
+      tx.put(alert.id, { ...current, lastDelivery: deliveries });
+    }
+  });
+  return deliveries;
+}
+
+/**
+ * Evaluate every alert rule and notify the channels of changes
+ * @returns {Promise<Object>} {firing: number, notified: number, evaluatedAt}
+ */
+export async function evaluateAlerts() {
+  if (!evaluation) {
+    evaluation = (async () => {
+      const oracles = Object.values(loadOracleConfigs()).filter((config) => !config.archived && config.isActive !== false);
+      const checks = [];
+
+      for (const [rule, evaluate] of Object.entries(RULES)) {
+        if (DISABLED_RULES.includes(rule)) {
+          continue;
+        }
+        try {
+          checks.push(...await evaluate(oracles));
+        } catch (error) {
+          console.error(`[Alerts] Rule ${rule} failed:`, error.message);
+        }
+      }
+
+      const subjects = new Set([SCHEDULER_SUBJECT, ...oracles.map((config) => config.name)]);
+      const notify = applyChecks(checks, subjects);
+      for (const alert of notify) {
+        await notifyAlert(alert);
+      }
+
+      return {
+        firing: checks.filter((check) => check.firing).length,
+        notified: notify.length,
+        evaluatedAt: new Date().toISOString()
+      };
+    })().finally(() => {
+      evaluation = null;
+    });
+  }
+
+  return evaluation;
+}
+
+/**
+ * List alert states, most recently changed first
+ * @param {Object} [filters] - {status: 'firing'|'resolved'}
+ * @returns {Object[]} Alert states
+ */
+export function listAlerts({ status } = {}) {
+  return Object.values(getStore(ALERTS_COLLECTION).list())
+    .filter((alert) => !status || alert.status === status)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Send a test alert, bypassing rules and deduplication
+ * @param {string[]} [channels] - Channels to test (all configured channels if omitted)
+ * @returns {Promise<Object[]>} Deliveries (see dispatchAlert)
+ */
+export async function sendTestAlert(channels) {
+  return dispatchAlert({
+    id: 'test:alerts',
+    rule: 'test',
+    subject: 'test',
+    severity: 'warning',
+    status: 'firing',
+    title: 'Test alert',
+    message: 'This is a test alert from the oracle service. If you can read it, the channel works.',
+    details: { host: os.hostname() },
+    firedAt: new Date().toISOString(),
+    resolvedAt: null,
+    test: true
+  }, channels);
+}
+
+// ============================================================================
+// MONITOR
+// ============================================================================
+
+/**
+ * Start evaluating alert rules every ORACLE_ALERT_CHECK_SECONDS
+ * Independent of the scheduler, so a stopped scheduler is noticed.
+ */
+export function startAlertMonitor() {
+  if (monitorInterval) {
+    return;
+  }
+
+  monitorInterval = setInterval(() => {
+    evaluateAlerts().catch((error) => console.error('[Alerts] Evaluation failed:', error));
+  }, CHECK_INTERVAL_MS);
+
+  console.log(`[Alerts] Monitoring alert rules every ${CHECK_INTERVAL_MS / 1000}s`);
+}
+
+/**
+ * Stop the alert monitor
+ */
+export function stopAlertMonitor() {
+  if (monitorInterval) {
+    clearInterval(monitorInterval);
+    monitorInterval = null;
+  }
+}
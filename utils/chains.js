@@ -0,0 +1,157 @@
+// ============================================================================
+// CHAIN REGISTRY
+// ============================================================================
+
+/**
+ * EVM chains the agent can publish oracles to
+ *
+ * Every oracle config carries the `chainId` it was deployed on (oracles
+ * created before multi-chain support are on Sepolia). Oracle wallets are
+ * derived from the oracle ID alone, so an oracle has the same address on
+ * every chain, but its balance and nonces are per chain.
+ *
+ * A chain is only usable once the oracle contract is deployed on it.
+ * Built-in chains can be overridden and new ones added with ORACLE_CHAINS, a
+ * JSON array merged over the built-ins by chainId, e.g.
+ *   ORACLE_CHAINS='[{"chainId":84532,"contractAddress":"0x..."}]'
+ *
+ * Chain:
+ * {
+ *   chainId: number,
+ *   name: string,
+ *   rpcUrls: string[],              // Failed over by health and latency (see utils/rpc-pool.js)
+ *   contractAddress: string|null,   // Oracle contract (null = not deployed)
+ *   explorerUrl: string,
+ *   nativeSymbol: string,           // Currency gas is paid in
+ *   faucetUrl?: string              // Testnet faucet shown in the wizard
+ * }
+ */
+
+export const SEPOLIA_CHAIN_ID = 11155111;
+
+const BUILT_IN_CHAINS = [
+  {
+    chainId: SEPOLIA_CHAIN_ID,
+    name: 'Sepolia',
+    rpcUrls: ['https://sepolia.drpc.org', 'https://ethereum-sepolia-rpc.publicnode.com', 'https://rpc.sepolia.org'],
+    contractAddress: '0xb4f409B7304505398c1895358A3C336dca6a8C47',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeSymbol: 'ETH',
+    faucetUrl: 'https://cloud.google.com/application/web3/faucet/ethereum/sepolia'
+  },
+  {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    rpcUrls: ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com'],
+    contractAddress: null,
+    explorerUrl: 'https://sepolia.basescan.org',
+    nativeSymbol: 'ETH'
+  },
+  {
+    chainId: 365,
+    name: 'Theta Testnet',
+    rpcUrls: ['https://eth-rpc-api-testnet.thetatoken.org/rpc'],
+    contractAddress: null,
+    explorerUrl: 'https://testnet-explorer.thetatoken.org',
+    nativeSymbol: 'TFUEL'
+  }
+];
+
+// Chain oracles are created on unless the request picks another one
+export const DEFAULT_CHAIN_ID = parseInt(process.env.ORACLE_DEFAULT_CHAIN_ID || String(SEPOLIA_CHAIN_ID), 10);
+
+/**
+ * Build the registry from the built-in chains and ORACLE_CHAINS
+ * @returns {Map<number, Object>} Chains by chain ID
+ */
+function loadChains() {
+  const chains = new Map(BUILT_IN_CHAINS.map((chain) => [chain.chainId, chain]));
+
+  let overrides = [];
+  try {
+    overrides = JSON.parse(process.env.ORACLE_CHAINS || '[]');
+  } catch (error) {
+    console.error('[Chains] ORACLE_CHAINS is not valid JSON - using the built-in chains:', error.message);
+  }
+
+  for (const override of Array.isArray(overrides) ? overrides : []) {
+    const chainId = Number(override.chainId);
+    if (!Number.isInteger(chainId)) {
+      console.error('[Chains] Ignoring ORACLE_CHAINS entry without a numeric chainId:', override);
+      continue;
+    }
+    chains.set(chainId, { contractAddress: null, rpcUrls: [], ...chains.get(chainId), ...override, chainId });
+  }
+
+  return chains;
+}
+
+const chains = loadChains();
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Get a chain from the registry
+ * @param {number} chainId - Chain ID (the default chain if omitted)
+ * @returns {Object} Chain
+ * @throws {Error} If the chain isn't registered
+ */
+export function getChain(chainId = DEFAULT_CHAIN_ID) {
+  const chain = chains.get(Number(chainId));
+  if (!chain) {
+    throw new Error(`Unknown chain ${chainId}`);
+  }
+  return chain;
+}
+
+/**
+ * List registered chains
+ * @param {Object} [options] - {deployedOnly: only chains with the oracle contract}
+ * @returns {Object[]} Chains
+ */
+export function listChains({ deployedOnly = false } = {}) {
+  return Array.from(chains.values()).filter((chain) => !deployedOnly || chain.contractAddress);
+}
+
+/**
+ * Get the chain an oracle lives on
+ * @param {Object} config - Oracle configuration
+ * @returns {number} Chain ID
+ */
+export function getOracleChainId(config) {
+  return config && config.chainId !== undefined ? config.chainId : SEPOLIA_CHAIN_ID;
+}
+
+/**
+ * Check that oracles can be created on a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateChainId(chainId) {
+  if (!Number.isInteger(chainId)) {
+    return { valid: false, error: 'chainId must be an integer' };
+  }
+
+  const chain = chains.get(chainId);
+  if (!chain) {
+    return { valid: false, error: `Unknown chain ${chainId}` };
+  }
+  if (!chain.contractAddress || chain.rpcUrls.length === 0) {
+    return { valid: false, error: `The oracle contract is not deployed on ${chain.name}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get the block explorer link of a transaction
+ * @param {number} chainId - Chain ID
+ * @param {string} hash - Transaction hash
+ * @returns {string|null} Explorer URL, or null if the chain has no explorer
+ */
+export function getExplorerTxUrl(chainId, hash) {
+  const chain = chains.get(Number(chainId));
+  return chain && chain.explorerUrl ? `${chain.explorerUrl}/tx/${hash}` : null;
+}
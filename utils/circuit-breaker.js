@@ -0,0 +1,167 @@
+import { getStore } from './storage.js';
+
+// ============================================================================
+// CIRCUIT BREAKERS
+// ============================================================================
+
+/**
+ * Circuit breaker per data source host
+ *
+ * After ORACLE_BREAKER_FAILURE_THRESHOLD consecutive failed requests to a
+ * host its breaker opens and requests to it fail fast, for every oracle
+ * using that host. After ORACLE_BREAKER_COOLDOWN_SECONDS the breaker
+ * half-opens and lets one trial request through: success closes it,
+ * failure opens it for another cooldown.
+ *
+ * Breaker states live in the `circuit-breakers` collection (keyed by host),
+ * so every process and the dashboard see the same state:
+ * {
+ *   host: string,
+ *   state: 'closed' | 'open' | 'half_open',
+ *   failures: number,        // Consecutive failures
+ *   openedAt: string|null,
+ *   retryAt: string|null,    // When an open breaker half-opens
+ *   trialStartedAt: string|null,
+ *   lastError: string|null,
+ *   lastFailureAt: string|null
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FAILURE_THRESHOLD = parseInt(process.env.ORACLE_BREAKER_FAILURE_THRESHOLD || '5', 10);
+const COOLDOWN_MS = parseInt(process.env.ORACLE_BREAKER_COOLDOWN_SECONDS || '300', 10) * 1000;
+
+// A half-open trial that hasn't reported back after this long is considered lost
+const TRIAL_TIMEOUT_MS = 60 * 1000;
+
+const BREAKER_COLLECTION = 'circuit-breakers';
+
+/**
+ * Initial state of a breaker
+ * @param {string} host - Host name
+ * @returns {Object} Closed breaker
+ */
+function closedBreaker(host) {
+  return {
+    host,
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    retryAt: null,
+    trialStartedAt: null,
+    lastError: null,
+    lastFailureAt: null
+  };
+}
+
+// ============================================================================
+// BREAKER OPERATIONS
+// ============================================================================
+
+/**
+ * Get the breaker key of a data source URL
+ * @param {string} url - API endpoint
+ * @returns {string} Host (with port), or the URL itself if it can't be parsed
+ */
+export function getHostKey(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Check whether a request to a host may be made, half-opening expired breakers
+ * @param {string} host - Host name
+ * @returns {Object} {allowed: boolean, state: string, retryAt?: string}
+ */
+export function checkCircuit(host) {
+  return getStore(BREAKER_COLLECTION).transaction((tx) => {
+    const breaker = tx.get(host);
+    const now = Date.now();
+
+    if (!breaker || breaker.state === 'closed') {
+      return { allowed: true, state: 'closed' };
+    }
+
+    if (breaker.state === 'open' && now < new Date(breaker.retryAt).getTime()) {
+      return { allowed: false, state: 'open', retryAt: breaker.retryAt };
+    }
+
+    // Half-open: only one trial request at a time
+    if (breaker.state === 'half_open' && breaker.trialStartedAt && now - new Date(breaker.trialStartedAt).getTime() < TRIAL_TIMEOUT_MS) {
+      return { allowed: false, state: 'half_open', retryAt: breaker.retryAt };
+    }
+
+    tx.put(host, { ...breaker, state: 'half_open', trialStartedAt: new Date(now).toISOString() });
+    console.log(`[CircuitBreaker] Half-opening circuit for ${host} - trying one request`);
+    return { allowed: true, state: 'half_open' };
+  });
+}
+
+/**
+ * Record a successful request, closing the host's breaker
+ * @param {string} host - Host name
+ */
+export function recordSuccess(host) {
+  getStore(BREAKER_COLLECTION).transaction((tx) => {
+    const breaker = tx.get(host);
+    if (!breaker || (breaker.state === 'closed' && breaker.failures === 0)) {
+      return;
+    }
+
+    if (breaker.state !== 'closed') {
+      console.log(`[CircuitBreaker] ✅ Circuit for ${host} closed again`);
+    }
+    tx.put(host, closedBreaker(host));
+  });
+}
+
+/**
+ * Record a failed request, opening the host's breaker at the threshold
+ * @param {string} host - Host name
+ * @param {string} message - Failure description
+ * @returns {Object} Updated breaker state
+ */
+export function recordFailure(host, message) {
+  return getStore(BREAKER_COLLECTION).transaction((tx) => {
+    const breaker = tx.get(host) || closedBreaker(host);
+    const now = new Date();
+    const failures = breaker.failures + 1;
+
+    const updated = {
+      ...breaker,
+      failures,
+      lastError: message,
+      lastFailureAt: now.toISOString(),
+      trialStartedAt: null
+    };
+
+    // A failed trial reopens immediately; a closed breaker opens at the threshold
+    if (breaker.state === 'half_open' || (FAILURE_THRESHOLD > 0 && failures >= FAILURE_THRESHOLD)) {
+      if (breaker.state !== 'open') {
+        console.warn(`[CircuitBreaker] 🔌 Circuit for ${host} opened after ${failures} failure(s): ${message}`);
+      }
+      updated.state = 'open';
+      updated.openedAt = breaker.state === 'open' ? breaker.openedAt : now.toISOString();
+      updated.retryAt = new Date(now.getTime() + COOLDOWN_MS).toISOString();
+    }
+
+    tx.put(host, updated);
+    return updated;
+  });
+}
+
+/**
+ * Get the breaker states of some hosts (hosts without a record are closed)
+ * @param {string[]} hosts - Host names
+ * @returns {Object[]} Breaker states
+ */
+export function getCircuitStates(hosts) {
+  const store = getStore(BREAKER_COLLECTION);
+  return hosts.map((host) => store.get(host) || closedBreaker(host));
+}
@@ -0,0 +1,486 @@
+// ============================================================================
+// DATA PATHS
+// ============================================================================
+
+/**
+ * Data path expressions locating an oracle's value in an API response
+ *
+ * Plain dot paths keep working (`data.price`, `bitcoin.usd`, `data.0.price`);
+ * on top of that a path may use a JSONPath-style subset:
+ *
+ *   $.data.price                        Optional `$` root
+ *   data[0].price, data[-1].price       Array indices (negative from the end)
+ *   rates['BTC.USD'], ["a key"]         Quoted keys (for dots, spaces, brackets)
+ *   tickers[?(@.symbol=='ETHUSD')].last Filters: ==, !=, <, <=, >, >=, &&, ||, !,
+ *                                       parentheses, and `@.field` alone for "exists"
+ *   markets[*].price.median()           Wildcards (`[*]` or `.*`) with an aggregate:
+ *                                       min(), max(), avg(), median(), sum(), length()
+ *
+ * A path with a wildcard or filter must end in an aggregate unless it matches
+ * exactly one value. Aggregates accept numbers and numeric strings.
+ */
+
+const AGGREGATES = {
+  min: (values) => Math.min(...values),
+  max: (values) => Math.max(...values),
+  avg: (values) => values.reduce((sum, value) => sum + value, 0) / values.length,
+  sum: (values) => values.reduce((sum, value) => sum + value, 0),
+  median: (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+};
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Read a quoted string
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} {value, end} (end: index after the closing quote)
+ * @throws {Error} If the string isn't closed
+ */
+function readQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+
+  for (let index = start + 1; index < text.length; index++) {
+    if (text[index] === '\\' && index + 1 < text.length) {
+      value += text[++index];
+    } else if (text[index] === quote) {
+      return { value, end: index + 1 };
+    } else {
+      value += text[index];
+    }
+  }
+  throw new Error(`Unclosed string starting at position ${start}`);
+}
+
+/**
+ * Find the closing bracket of a filter, skipping quoted strings and nested brackets
+ * @param {string} text - Path
+ * @param {number} start - Index of the `[`
+ * @returns {number} Index of the matching `]`
+ * @throws {Error} If the bracket isn't closed
+ */
+function findClosingBracket(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"' || char === "'") {
+      index = readQuoted(text, index).end - 1;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return index;
+    }
+  }
+  throw new Error(`Unclosed '[' at position ${start}`);
+}
+
+/**
+ * Parse a bracket segment: index, quoted key, wildcard or filter
+ * @param {string} path - Path
+ * @param {number} start - Index of the `[`
+ * @returns {Object} {segment, end} (end: index after the `]`)
+ */
+function parseBracket(path, start) {
+  const close = findClosingBracket(path, start);
+  const inner = path.slice(start + 1, close).trim();
+
+  if (inner === '*') {
+    return { segment: { type: 'wildcard' }, end: close + 1 };
+  }
+  if (/^-?\d+$/.test(inner)) {
+    return { segment: { type: 'index', index: parseInt(inner, 10) }, end: close + 1 };
+  }
+  if (inner[0] === '"' || inner[0] === "'") {
+    const { value, end } = readQuoted(inner, 0);
+    if (end !== inner.length) {
+      throw new Error(`Unexpected '${inner.slice(end)}' after quoted key`);
+    }
+    return { segment: { type: 'key', key: value }, end: close + 1 };
+  }
+
+  const filter = inner.match(/^\?\((.*)\)$/s);
+  if (filter) {
+    return { segment: { type: 'filter', expression: parseFilter(filter[1]) }, end: close + 1 };
+  }
+
+  throw new Error(`Invalid bracket expression '[${inner}]' (expected an index, a quoted key, * or ?(...))`);
+}
+
+/**
+ * Parse a path into segments
+ * @param {string} path - Path (relative paths inside filters start after `@`)
+ * @param {Object} [options] - {allowAggregate}
+ * @returns {Object[]} Segments: {type: 'key'|'index'|'wildcard'|'filter'|'aggregate', ...}
+ * @throws {Error} If the path is invalid
+ */
+function parseSegments(path, { allowAggregate = true } = {}) {
+  const segments = [];
+  let index = 0;
+
+  while (index < path.length) {
+    const char = path[index];
+
+    if (char === '[') {
+      const { segment, end } = parseBracket(path, index);
+      segments.push(segment);
+      index = end;
+      continue;
+    }
+
+    if (char === '.') {
+      index++;
+      if (path[index] === '.') {
+        throw new Error('Recursive descent (..) is not supported');
+      }
+      if (index >= path.length || path[index] === '[') {
+        throw new Error(`Empty key at position ${index}`);
+      }
+    } else if (segments.length > 0) {
+      throw new Error(`Expected '.' or '[' at position ${index}`);
+    }
+
+    // A dot key runs up to the next '.' or '['
+    let end = index;
+    while (end < path.length && path[end] !== '.' && path[end] !== '[') {
+      end++;
+    }
+    const key = path.slice(index, end);
+    const aggregate = key.match(/^(\w+)\(\)$/);
+
+    if (key === '*') {
+      segments.push({ type: 'wildcard' });
+    } else if (aggregate && (aggregate[1] in AGGREGATES || aggregate[1] === 'length')) {
+      if (!allowAggregate || end !== path.length) {
+        throw new Error(`${key} can only be used at the end of the path`);
+      }
+      segments.push({ type: 'aggregate', name: aggregate[1] });
+    } else {
+      segments.push({ type: 'key', key });
+    }
+    index = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Split a filter expression into tokens
+ * @param {string} text - Filter expression (inside `?(...)`)
+ * @returns {Object[]} Tokens: {type: 'path'|'literal'|'operator'|'paren', value}
+ * @throws {Error} On unexpected characters
+ */
+function tokenizeFilter(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const rest = text.slice(index);
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char });
+      index++;
+    } else if (rest.startsWith('&&') || rest.startsWith('||')) {
+      tokens.push({ type: 'operator', value: rest.slice(0, 2) });
+      index += 2;
+    } else if (COMPARISON_OPERATORS.some((operator) => rest.startsWith(operator))) {
+      const operator = COMPARISON_OPERATORS.find((candidate) => rest.startsWith(candidate));
+      tokens.push({ type: 'operator', value: operator });
+      index += operator.length;
+    } else if (char === '!') {
+      tokens.push({ type: 'operator', value: '!' });
+      index++;
+    } else if (char === '"' || char === "'") {
+      const { value, end } = readQuoted(text, index);
+      tokens.push({ type: 'literal', value });
+      index = end;
+    } else if (char === '@') {
+      // The relative path runs until an operator, parenthesis or whitespace outside brackets
+      let end = index + 1;
+      while (end < text.length && !/[\s()!=<>&|]/.test(text[end])) {
+        end = text[end] === '[' ? findClosingBracket(text, end) + 1 : end + 1;
+      }
+      tokens.push({ type: 'path', value: parseSegments(text.slice(index + 1, end), { allowAggregate: false }) });
+      index = end;
+    } else {
+      const literal = rest.match(/^(-?\d+(\.\d+)?([eE][-+]?\d+)?|true|false|null)/);
+      if (!literal) {
+        throw new Error(`Unexpected '${char}' in filter at position ${index}`);
+      }
+      tokens.push({ type: 'literal', value: JSON.parse(literal[0]) });
+      index += literal[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a filter expression into a tree
+ * @param {string} text - Filter expression (inside `?(...)`)
+ * @returns {Object} Expression node
+ * @throws {Error} If the expression is invalid
+ */
+function parseFilter(text) {
+  const tokens = tokenizeFilter(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Incomplete filter expression');
+    }
+    if (token.type === 'operator' && token.value === '!') {
+      return { type: 'not', operand: parseOperand() };
+    }
+    if (token.type === 'paren' && token.value === '(') {
+      const expression = parseOr();
+      if (!peek() || peek().value !== ')') {
+        throw new Error("Missing ')' in filter");
+      }
+      position++;
+      return expression;
+    }
+    if (token.type === 'path' || token.type === 'literal') {
+      return token;
+    }
+    throw new Error(`Unexpected '${token.value}' in filter`);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    if (peek() && peek().type === 'operator' && COMPARISON_OPERATORS.includes(peek().value)) {
+      const operator = tokens[position++].value;
+      return { type: 'compare', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let node = parseComparison();
+    while (isOperator('&&')) {
+      position++;
+      node = { type: 'and', left: node, right: parseComparison() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const expression = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${peek().value}' in filter`);
+  }
+  return expression;
+}
+
+/**
+ * Parse a data path
+ * @param {string} path - Data path (see above)
+ * @returns {Object[]} Segments
+ * @throws {Error} If the path is invalid
+ */
+export function parseDataPath(path) {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw new Error('Data path must be a non-empty string');
+  }
+
+  const trimmed = path.trim();
+  const segments = parseSegments(trimmed.startsWith('$') ? trimmed.slice(1).replace(/^\./, '') : trimmed);
+  if (segments.length === 0 && trimmed !== '$') {
+    throw new Error('Data path is empty');
+  }
+  return segments;
+}
+
+/**
+ * Check the syntax of a data path without evaluating it
+ * @param {string} path - Data path
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateDataPathSyntax(path) {
+  try {
+    parseDataPath(path);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: `Invalid data path '${path}': ${error.message}` };
+  }
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Get the children of a value that segments apply to
+ * @param {*} value - Array or object
+ * @returns {Array} Elements or property values
+ */
+function childrenOf(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value !== null && typeof value === 'object' ? Object.values(value) : [];
+}
+
+/**
+ * Apply segments to a list of nodes
+ * @param {Array} nodes - Current values
+ * @param {Object[]} segments - Segments (without aggregate)
+ * @returns {Array} Matching values
+ */
+function selectNodes(nodes, segments) {
+  return segments.reduce((current, segment) => current.flatMap((node) => {
+    switch (segment.type) {
+      case 'key':
+        return node !== null && typeof node === 'object' && node[segment.key] !== undefined ? [node[segment.key]] : [];
+      case 'index': {
+        if (!Array.isArray(node)) {
+          return node !== null && typeof node === 'object' && node[segment.index] !== undefined ? [node[segment.index]] : [];
+        }
+        const position = segment.index < 0 ? node.length + segment.index : segment.index;
+        return position >= 0 && position < node.length ? [node[position]] : [];
+      }
+      case 'wildcard':
+        return childrenOf(node);
+      case 'filter':
+        return childrenOf(node).filter((child) => isTruthy(evaluateFilter(segment.expression, child)));
+      default:
+        return [];
+    }
+  }), nodes);
+}
+
+/**
+ * Check whether a filter result counts as true
+ * @param {*} value - Filter result
+ * @returns {boolean} False for undefined, null and false
+ */
+function isTruthy(value) {
+  return value !== undefined && value !== null && value !== false;
+}
+
+/**
+ * Compare two filter operands
+ * Numbers compare with numeric strings by value (APIs often quote prices).
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} Result
+ */
+function compare(operator, left, right) {
+  if (left === undefined || right === undefined) {
+    return operator === '!=' ? left !== right : false;
+  }
+
+  if (typeof left !== typeof right && [left, right].some((value) => typeof value === 'number')) {
+    [left, right] = [Number(left), Number(right)];
+  }
+
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a filter expression for one element
+ * @param {Object} node - Expression node
+ * @param {*} element - Element the filter is applied to (`@`)
+ * @returns {*} Result
+ */
+function evaluateFilter(node, element) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path': {
+      const [value] = selectNodes([element], node.value);
+      return value;
+    }
+    case 'not':
+      return !isTruthy(evaluateFilter(node.operand, element));
+    case 'and':
+      return isTruthy(evaluateFilter(node.left, element)) && isTruthy(evaluateFilter(node.right, element));
+    case 'or':
+      return isTruthy(evaluateFilter(node.left, element)) || isTruthy(evaluateFilter(node.right, element));
+    case 'compare':
+      return compare(node.operator, evaluateFilter(node.left, element), evaluateFilter(node.right, element));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Aggregate matched values
+ * @param {string} name - Aggregate name
+ * @param {Array} values - Matched values (a single matched array is aggregated element-wise)
+ * @returns {number|undefined} Result, or undefined if nothing matched
+ * @throws {Error} If a value isn't numeric
+ */
+function aggregate(name, values) {
+  const operands = values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+
+  if (name === 'length') {
+    return operands.length;
+  }
+  if (operands.length === 0) {
+    return undefined;
+  }
+
+  const numbers = operands.map((value) => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) {
+      throw new Error(`${name}() needs numbers, found '${typeof value === 'object' ? JSON.stringify(value) : value}'`);
+    }
+    return number;
+  });
+  return AGGREGATES[name](numbers);
+}
+
+/**
+ * Extract a value from an API response with a data path
+ * @param {Object} obj - Parsed API response
+ * @param {string} path - Data path (see above), e.g. "data.price" or "$.tickers[?(@.symbol=='ETHUSD')].last"
+ * @returns {*} Extracted value, or undefined if the path matches nothing
+ * @throws {Error} If the path is invalid, or a wildcard/filter matches several values without an aggregate
+ */
+export function extractValueFromPath(obj, path) {
+  const segments = parseDataPath(path);
+  const last = segments[segments.length - 1];
+  const hasAggregate = last && last.type === 'aggregate';
+  const matches = selectNodes([obj], hasAggregate ? segments.slice(0, -1) : segments);
+
+  if (hasAggregate) {
+    return aggregate(last.name, matches);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Data path '${path}' matches ${matches.length} values - narrow it with an index or filter, or end it with an aggregate such as .median()`);
+  }
+  return matches[0];
+}
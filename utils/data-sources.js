@@ -0,0 +1,242 @@
+import { extractValueFromPath, validateDataPathSyntax } from './data-path.js';
+import { getHostKey, checkCircuit, recordSuccess, recordFailure } from './circuit-breaker.js';
+
+// ============================================================================
+// MULTI-SOURCE DATA FETCHING
+// ============================================================================
+
+/**
+ * Fetch an oracle's value from one or more API sources and aggregate them
+ *
+ * An oracle either has a single `apiEndpoint` + `dataPath`, or a `sources`
+ * list where each entry has its own endpoint, path and weight. All sources
+ * are fetched in parallel (like utils/fetch-eth-price.js does for Binance and
+ * Coinbase) and combined with the oracle's `aggregation` strategy once at
+ * least `minSources` of them returned a number.
+ *
+ * Each request goes through its host's circuit breaker (see
+ * utils/circuit-breaker.js): hosts with an open breaker are not called, and
+ * an oracle with such a source is reported as degraded.
+ */
+
+export const AGGREGATION_STRATEGIES = ['median', 'mean', 'weighted_mean', 'trimmed_mean'];
+
+const DEFAULT_AGGREGATION = 'median';
+const DEFAULT_TRIM_PERCENT = 20; // Dropped from each end by trimmed_mean
+
+// A source that doesn't answer in time counts as failed, so one hung API can't stall an update
+const SOURCE_TIMEOUT_MS = parseInt(process.env.ORACLE_SOURCE_TIMEOUT_SECONDS || '10', 10) * 1000;
+
+// ============================================================================
+// SOURCE CONFIGURATION
+// ============================================================================
+
+/**
+ * Get the normalized source list of an oracle
+ * @param {Object} config - Oracle configuration
+ * @returns {Array<{apiEndpoint: string, dataPath: string, weight: number}>} Sources
+ */
+export function getOracleSources(config) {
+  if (Array.isArray(config.sources) && config.sources.length > 0) {
+    return config.sources.map((source) => ({
+      apiEndpoint: source.apiEndpoint,
+      dataPath: source.dataPath,
+      weight: source.weight !== undefined ? source.weight : 1
+    }));
+  }
+
+  return [{ apiEndpoint: config.apiEndpoint, dataPath: config.dataPath, weight: 1 }];
+}
+
+/**
+ * Validate a sources list and aggregation settings before they are saved
+ * @param {Object} settings - {sources, aggregation, minSources, trimPercent}
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateSourceSettings({ sources, aggregation, minSources, trimPercent }) {
+  if (sources !== undefined) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return { valid: false, error: 'sources must be a non-empty array' };
+    }
+
+    for (const [index, source] of sources.entries()) {
+      if (!source || typeof source.apiEndpoint !== 'string' || !/^https?:\/\//.test(source.apiEndpoint)) {
+        return { valid: false, error: `sources[${index}].apiEndpoint must start with http:// or https://` };
+      }
+      if (typeof source.dataPath !== 'string' || !source.dataPath) {
+        return { valid: false, error: `sources[${index}].dataPath must be a non-empty string` };
+      }
+      const pathValidation = validateDataPathSyntax(source.dataPath);
+      if (!pathValidation.valid) {
+        return { valid: false, error: `sources[${index}].dataPath: ${pathValidation.error}` };
+      }
+      if (source.weight !== undefined && (typeof source.weight !== 'number' || source.weight <= 0)) {
+        return { valid: false, error: `sources[${index}].weight must be a positive number` };
+      }
+    }
+  }
+
+  if (aggregation !== undefined && !AGGREGATION_STRATEGIES.includes(aggregation)) {
+    return { valid: false, error: `aggregation must be one of: ${AGGREGATION_STRATEGIES.join(', ')}` };
+  }
+
+  if (minSources !== undefined) {
+    if (!Number.isInteger(minSources) || minSources < 1) {
+      return { valid: false, error: 'minSources must be a positive integer' };
+    }
+    // An oracle without a sources list reads its single apiEndpoint/dataPath
+    const sourceCount = Array.isArray(sources) ? sources.length : 1;
+    if (minSources > sourceCount) {
+      return { valid: false, error: `minSources (${minSources}) cannot exceed the number of sources (${sourceCount})` };
+    }
+  }
+
+  if (trimPercent !== undefined && (typeof trimPercent !== 'number' || trimPercent < 0 || trimPercent >= 50)) {
+    return { valid: false, error: 'trimPercent must be a number between 0 and 50' };
+  }
+
+  return { valid: true };
+}
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+/**
+ * Fetch a single source and extract its numeric value
+ * @param {Object} source - {apiEndpoint, dataPath}
+ * @returns {Promise<number>} Extracted value
+ * @throws {Error} If the request fails or the path doesn't hold a number
+ */
+export async function fetchSourceValue(source) {
+  let data;
+  try {
+    const response = await fetch(source.apiEndpoint, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`API returned status ${response.status}`);
+    }
+
+    data = await response.json();
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`API did not respond within ${SOURCE_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+
+  const value = extractValueFromPath(data, source.dataPath);
+
+  if (value === undefined || value === null) {
+    throw new Error(`Data path '${source.dataPath}' not found in API response`);
+  }
+
+  const numericValue = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof numericValue !== 'number' || isNaN(numericValue)) {
+    throw new Error(`Value at path '${source.dataPath}' is not a valid number: '${value}'`);
+  }
+
+  return numericValue;
+}
+
+/**
+ * Fetch a source through its host's circuit breaker
+ * @param {Object} source - {apiEndpoint, dataPath, weight}
+ * @returns {Promise<Object>} Source with {value, error, circuitOpen}
+ */
+async function fetchSourceWithBreaker(source) {
+  const host = getHostKey(source.apiEndpoint);
+  const circuit = checkCircuit(host);
+
+  if (!circuit.allowed) {
+    return { ...source, value: null, error: `Circuit open for ${host} until ${circuit.retryAt}`, circuitOpen: true };
+  }
+
+  try {
+    const value = await fetchSourceValue(source);
+    recordSuccess(host);
+    return { ...source, value, error: null, circuitOpen: false };
+  } catch (error) {
+    console.error(`[DataSources] Source ${source.apiEndpoint} failed:`, error.message);
+    const breaker = recordFailure(host, error.message);
+    return { ...source, value: null, error: error.message, circuitOpen: breaker.state === 'open' };
+  }
+}
+
+/**
+ * Fetch all sources of an oracle and aggregate the successful values
+ * @param {Object} config - Oracle configuration
+ * @returns {Promise<Object>} {value, strategy, successCount, degraded, sources: [{apiEndpoint, dataPath, weight, value, error, circuitOpen}]}
+ * @throws {Error} If fewer than minSources sources returned a value (with `sources` and `degraded` attached)
+ */
+export async function fetchAggregatedValue(config) {
+  const sources = getOracleSources(config);
+  const strategy = config.aggregation || DEFAULT_AGGREGATION;
+  const minSources = config.minSources || 1;
+
+  const results = await Promise.all(sources.map(fetchSourceWithBreaker));
+
+  const successful = results.filter((result) => result.value !== null);
+  const degraded = results.some((result) => result.circuitOpen);
+
+  if (successful.length < minSources) {
+    const failures = results.filter((result) => result.error).map((result) => `${result.apiEndpoint}: ${result.error}`);
+    const error = new Error(`Only ${successful.length} of ${sources.length} source(s) returned a value (minimum ${minSources}). ${failures.join('; ')}`);
+    error.sources = results;
+    error.degraded = degraded;
+    throw error;
+  }
+
+  const value = aggregateValues(successful, strategy, { trimPercent: config.trimPercent });
+
+  return {
+    value,
+    strategy,
+    successCount: successful.length,
+    degraded,
+    sources: results
+  };
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Combine source values with an aggregation strategy
+ * @param {Array<{value: number, weight: number}>} entries - Successful source values
+ * @param {string} strategy - One of AGGREGATION_STRATEGIES
+ * @param {Object} [options]
+ * @param {number} [options.trimPercent] - Percent dropped from each end for trimmed_mean
+ * @returns {number} Aggregated value
+ * @throws {Error} If the strategy is unknown or there are no values
+ */
+export function aggregateValues(entries, strategy = DEFAULT_AGGREGATION, { trimPercent = DEFAULT_TRIM_PERCENT } = {}) {
+  if (entries.length === 0) {
+    throw new Error('No values to aggregate');
+  }
+
+  const values = entries.map((entry) => entry.value).sort((a, b) => a - b);
+  const mean = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+
+  switch (strategy) {
+    case 'median': {
+      const middle = Math.floor(values.length / 2);
+      return values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle];
+    }
+    case 'mean':
+      return mean(values);
+    case 'weighted_mean': {
+      const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+      return entries.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / totalWeight;
+    }
+    case 'trimmed_mean': {
+      const trimCount = Math.floor(values.length * (trimPercent / 100));
+      return mean(values.slice(trimCount, values.length - trimCount));
+    }
+    default:
+      throw new Error(`Unknown aggregation strategy '${strategy}'`);
+  }
+}
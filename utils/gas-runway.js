@@ -0,0 +1,199 @@
+import { getFeeData, convertToDecimal } from './theta.js';
+import { listTrackedTransactions, getMaxFeePerGasCap } from './tx-tracker.js';
+import { getNextFireTimes } from './schedule.js';
+
+// ============================================================================
+// GAS RUNWAY
+// ============================================================================
+
+/**
+ * Gas cost per oracle update and how long a wallet's balance lasts
+ *
+ * - Gas per update is the median `gasUsed` of the oracle's recent confirmed
+ *   update transactions (see utils/tx-tracker.js), or
+ *   ORACLE_UPDATE_GAS_ESTIMATE until it has sent any
+ * - The expected cost of an update uses the network's current gas price;
+ *   the worst case uses the current max fee per gas (capped by the oracle's
+ *   fee cap), which is what a node checks the balance against
+ * - Updates per day follow the oracle's interval or cron schedule. With a
+ *   deviation policy fewer updates may be published, so this is an upper
+ *   bound and the runway a lower bound
+ * - The minimum balance is the worst-case cost of ORACLE_MIN_BALANCE_UPDATES
+ *   updates (plus the creation transaction for oracles not created yet)
+ *
+ * Runway (amounts in Wei, bigint):
+ * {
+ *   gasPerUpdate: number,
+ *   gasSource: 'receipts' | 'default',
+ *   sampleSize: number,           // Receipts the gas figure is based on
+ *   gasPrice, maxFeePerGas,
+ *   costPerUpdate,                // Expected
+ *   maxCostPerUpdate,             // Worst case
+ *   minimumBalance,
+ *   updatesPerDay: number|null,   // null for oracles without a config
+ *   dailyCost: bigint|null,
+ *   balance,
+ *   estimatedUpdates: number,     // Updates the balance pays for at current fees
+ *   runwayDays: number|null,
+ *   hasMinimum: boolean
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_UPDATE_GAS = parseInt(process.env.ORACLE_UPDATE_GAS_ESTIMATE || '50000', 10);
+const CREATE_GAS = parseInt(process.env.ORACLE_CREATE_GAS_ESTIMATE || '250000', 10);
+const MIN_BALANCE_UPDATES = BigInt(Math.max(1, parseInt(process.env.ORACLE_MIN_BALANCE_UPDATES || '3', 10)));
+
+// Recent update receipts the gas estimate is based on
+const GAS_SAMPLE_SIZE = 10;
+
+// Fire times sampled to work out the update frequency of a schedule
+const FREQUENCY_SAMPLE_SIZE = 100;
+
+// Fee data is shared by all oracles of a chain for this long (the dashboard lists many at once)
+const FEE_CACHE_MS = 30 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fee data by chain ID: {fees, fetchedAt}
+const feeCache = new Map();
+
+/**
+ * Get the network's fee data, cached briefly per chain
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} {gasPrice, maxFeePerGas} in Wei (bigint)
+ */
+async function getCachedFeeData(chainId) {
+  const cached = feeCache.get(chainId);
+  if (cached && Date.now() - cached.fetchedAt < FEE_CACHE_MS) {
+    return cached.fees;
+  }
+
+  const { gasPrice, maxFeePerGas } = await getFeeData(chainId);
+  // Chains without EIP-1559 only report a gas price
+  const fees = { gasPrice: gasPrice || maxFeePerGas, maxFeePerGas: maxFeePerGas || gasPrice };
+  feeCache.set(chainId, { fees, fetchedAt: Date.now() });
+  return fees;
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values - Values (at least one)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+/**
+ * Estimate the gas used by one update of an oracle from its recent receipts
+ * @param {string} oracleId - Oracle ID
+ * @param {number} chainId - Chain ID
+ * @returns {Object} {gasPerUpdate, gasSource, sampleSize}
+ */
+export function estimateUpdateGas(oracleId, chainId) {
+  const samples = listTrackedTransactions({ oracleId, status: 'confirmed', limit: Infinity })
+    .filter((record) => record.kind === 'update' && record.gasUsed && (record.chainId === null || record.chainId === chainId))
+    .slice(0, GAS_SAMPLE_SIZE)
+    .map((record) => Number(record.gasUsed));
+
+  if (samples.length === 0) {
+    return { gasPerUpdate: DEFAULT_UPDATE_GAS, gasSource: 'default', sampleSize: 0 };
+  }
+  return { gasPerUpdate: median(samples), gasSource: 'receipts', sampleSize: samples.length };
+}
+
+/**
+ * Work out how many updates an oracle publishes per day at most
+ * @param {Object} config - Oracle configuration (updateInterval, schedule)
+ * @returns {number|null} Updates per day, or null if the schedule can't be evaluated
+ */
+export function getUpdatesPerDay(config) {
+  if (!config.schedule || !config.schedule.cron) {
+    return config.updateInterval > 0 ? (24 * 60) / config.updateInterval : null;
+  }
+
+  try {
+    const times = getNextFireTimes(config, FREQUENCY_SAMPLE_SIZE);
+    const spanDays = (times[times.length - 1].getTime() - times[0].getTime()) / DAY_MS;
+    return spanDays > 0 ? (times.length - 1) / spanDays : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Estimate the gas runway of an oracle wallet
+ * @param {string} oracleId - Oracle ID
+ * @param {bigint} balance - Wallet balance in Wei
+ * @param {Object} options - {chainId, config} (config is null for oracles not created yet)
+ * @returns {Promise<Object>} Runway (see above)
+ */
+export async function estimateRunway(oracleId, balance, { chainId, config }) {
+  const { gasPerUpdate, gasSource, sampleSize } = estimateUpdateGas(oracleId, chainId);
+  const { gasPrice, maxFeePerGas: networkMaxFee } = await getCachedFeeData(chainId);
+
+  // Transactions are never sent above the fee cap, so that's the most an update can cost
+  const feeCap = getMaxFeePerGasCap(oracleId);
+  const maxFeePerGas = feeCap !== null && networkMaxFee > feeCap ? feeCap : networkMaxFee;
+
+  const costPerUpdate = BigInt(gasPerUpdate) * gasPrice;
+  const maxCostPerUpdate = BigInt(gasPerUpdate) * maxFeePerGas;
+  const minimumBalance = maxCostPerUpdate * MIN_BALANCE_UPDATES + (config ? 0n : BigInt(CREATE_GAS) * maxFeePerGas);
+
+  const updatesPerDay = config ? getUpdatesPerDay(config) : null;
+  const estimatedUpdates = costPerUpdate > 0n ? Number(balance / costPerUpdate) : Infinity;
+
+  return {
+    gasPerUpdate,
+    gasSource,
+    sampleSize,
+    gasPrice,
+    maxFeePerGas,
+    costPerUpdate,
+    maxCostPerUpdate,
+    minimumBalance,
+    updatesPerDay,
+    dailyCost: updatesPerDay !== null ? BigInt(Math.ceil(Number(costPerUpdate) * updatesPerDay)) : null,
+    balance,
+    estimatedUpdates,
+    runwayDays: updatesPerDay ? estimatedUpdates / updatesPerDay : null,
+    hasMinimum: balance >= minimumBalance
+  };
+}
+
+/**
+ * Convert a runway to a JSON-safe object (Wei amounts as strings, plus
+ * amounts formatted in the chain's native currency)
+ * @param {Object} runway - Runway from estimateRunway
+ * @returns {Object} Serializable runway
+ */
+export function formatRunway(runway) {
+  const format = (wei) => (wei === null ? null : convertToDecimal(wei, 18, 6));
+
+  return {
+    gasPerUpdate: runway.gasPerUpdate,
+    gasSource: runway.gasSource,
+    sampleSize: runway.sampleSize,
+    gasPriceGwei: Number(runway.gasPrice) / 1e9,
+    maxFeePerGasGwei: Number(runway.maxFeePerGas) / 1e9,
+    costPerUpdate: runway.costPerUpdate.toString(),
+    costPerUpdateFormatted: format(runway.costPerUpdate),
+    minimumBalance: runway.minimumBalance.toString(),
+    minimumBalanceFormatted: format(runway.minimumBalance),
+    updatesPerDay: runway.updatesPerDay !== null ? Math.round(runway.updatesPerDay * 100) / 100 : null,
+    dailyCostFormatted: format(runway.dailyCost),
+    estimatedUpdates: Number.isFinite(runway.estimatedUpdates) ? runway.estimatedUpdates : null,
+    runwayDays: runway.runwayDays !== null && Number.isFinite(runway.runwayDays) ? Math.round(runway.runwayDays * 10) / 10 : null,
+    hasMinimum: runway.hasMinimum
+  };
+}
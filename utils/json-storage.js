@@ -0,0 +1,406 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ============================================================================
+// JSON FILE STORAGE ADAPTER
+// ============================================================================
+
+/**
+ * Storage adapter that keeps each collection in a single JSON file
+ * (e.g. `data/oracles.json`), keyed by record ID.
+ *
+ * Writes go to a temporary file that is renamed over the original, so
+ * readers never see a half-written file. Every transaction holds a lock
+ * file for its whole read-modify-write cycle, which serializes writers
+ * across requests and processes. Each write keeps a backup of the previous
+ * version, pruned according to the retention settings below (collections
+ * of short-lived state, like scheduler leases, can opt out). The owner of a
+ * collection can attach a small info object to each backup (e.g. the schema
+ * version of the records, see setBackupInfo), kept next to it in
+ * `<backup>.info.json`.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Backup retention: keep at most N backups, and none older than N days
+const BACKUP_KEEP = parseInt(process.env.ORACLE_BACKUP_KEEP || '20', 10);
+const BACKUP_MAX_AGE_DAYS = parseFloat(process.env.ORACLE_BACKUP_MAX_AGE_DAYS || '7');
+
+// Lock timing (milliseconds). Transactions are synchronous, so a lock is only
+// ever contended by another process - and waiting for it blocks this
+// process's event loop (every request and the scheduler), hence the short timeout.
+const LOCK_TIMEOUT_MS = 2000;   // Give up waiting for the lock after 2 seconds
+const LOCK_STALE_MS = 30000;    // Treat locks older than 30 seconds as abandoned
+const LOCK_RETRY_MS = 25;
+
+// ============================================================================
+// FILE SYSTEM UTILITIES
+// ============================================================================
+
+/**
+ * Ensure the directory for a storage file exists
+ * @param {string} filePath - Path of the JSON file
+ */
+function ensureDirectory(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Block the current thread for a short time (used while waiting for a lock)
+ * This stalls the whole event loop - keep the total wait short.
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read all records from a JSON file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} Records keyed by ID
+ */
+function readRecords(filePath) {
+  ensureDirectory(filePath);
+
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const data = fs.readFileSync(filePath, 'utf8');
+  return data.trim() ? JSON.parse(data) : {};
+}
+
+/**
+ * Write a file atomically: write to a temp file, flush it, then rename it into place
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempFile = `${filePath}.tmp.${process.pid}.${Date.now()}`;
+
+  try {
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeFileSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write all records to a JSON file, keeping a backup of the previous version
+ * @param {string} filePath - Path of the JSON file
+ * @param {Object} records - Records keyed by ID
+ * @param {boolean} backup - Keep a backup of the previous version
+ * @param {Object|null} [backupInfo] - Info describing the previous version, stored with its backup
+ */
+function writeRecords(filePath, records, backup = true, backupInfo = null) {
+  ensureDirectory(filePath);
+
+  // Create backup before saving (safety measure)
+  if (backup && fs.existsSync(filePath)) {
+    const backupFile = `${filePath}.backup.${Date.now()}`;
+    fs.copyFileSync(filePath, backupFile);
+    if (backupInfo) {
+      fs.writeFileSync(`${backupFile}.info.json`, JSON.stringify(backupInfo));
+    }
+  }
+
+  writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+  if (backup) {
+    pruneBackups(filePath);
+  }
+}
+
+// ============================================================================
+// LOCKING
+// ============================================================================
+
+/**
+ * Check whether a lock was left by a process on this host that no longer runs
+ * @param {string} contents - Contents of the lock file
+ * @returns {boolean} True if the holder is known to be gone
+ */
+function isLockHolderGone(contents) {
+  try {
+    const { pid, host } = JSON.parse(contents);
+    if (host !== os.hostname() || !Number.isInteger(pid) || pid === process.pid) {
+      return false;
+    }
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: no such process (unreadable or half-written lock files are left to the stale check)
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Remove an abandoned lock without racing other processes doing the same
+ * The lock is first renamed to a name only we use, so a lock another process
+ * acquires after our check is never deleted: if the claimed file isn't the one
+ * we judged abandoned, it is put back.
+ * @param {string} lockFile - Path of the lock file
+ * @param {string} expected - Lock contents that were judged abandoned
+ */
+function breakLock(lockFile, expected) {
+  const claimed = `${lockFile}.breaking.${process.pid}.${Date.now()}`;
+
+  try {
+    fs.renameSync(lockFile, claimed);
+  } catch (error) {
+    // Released or broken by someone else in the meantime
+    return;
+  }
+
+  try {
+    if (fs.readFileSync(claimed, 'utf8') === expected) {
+      console.warn(`[Storage] Removed stale lock ${lockFile}`);
+      return;
+    }
+
+    // A new holder took the lock after our check - hand it back (linkSync never overwrites)
+    try {
+      fs.linkSync(claimed, lockFile);
+    } catch (error) {
+      console.error(`[Storage] Could not restore lock ${lockFile} taken while breaking it:`, error);
+    }
+  } finally {
+    fs.rmSync(claimed, { force: true });
+  }
+}
+
+/**
+ * Acquire an exclusive lock file next to the storage file
+ * Waits for other holders and breaks locks that have been abandoned
+ * @param {string} filePath - Path of the JSON file to lock
+ * @returns {Function} Release function
+ * @throws {Error} If the lock cannot be acquired within LOCK_TIMEOUT_MS
+ */
+function acquireLock(filePath) {
+  ensureDirectory(filePath);
+
+  const lockFile = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    const token = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: Date.now() });
+    try {
+      fs.writeFileSync(lockFile, token, { flag: 'wx' });
+      return () => {
+        try {
+          // Don't remove a lock someone else took after breaking ours as stale
+          if (fs.readFileSync(lockFile, 'utf8') === token) {
+            fs.unlinkSync(lockFile);
+          }
+        } catch (error) {
+          console.error(`[Storage] Failed to release lock ${lockFile}:`, error);
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Break the lock if its holder crashed or hung
+    try {
+      const contents = fs.readFileSync(lockFile, 'utf8');
+      const { mtimeMs } = fs.statSync(lockFile);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS || isLockHolderGone(contents)) {
+        breakLock(lockFile, contents);
+        continue;
+      }
+    } catch (error) {
+      // Lock was released between our attempts - retry immediately
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for storage lock on ${path.basename(filePath)}`);
+    }
+
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+// ============================================================================
+// BACKUPS
+// ============================================================================
+
+/**
+ * Read the info stored with a backup
+ * @param {string} backupFile - Path of the backup
+ * @returns {Object|null} Info, or null if the backup has none (or it is unreadable)
+ */
+function readBackupInfo(backupFile) {
+  try {
+    return JSON.parse(fs.readFileSync(`${backupFile}.info.json`, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List backups of a storage file, newest first
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Array<{id: string, file: string, createdAt: string, size: number}>}
+ */
+function listBackupFiles(filePath) {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.backup.`;
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+    .map((name) => {
+      const timestamp = parseInt(name.slice(prefix.length), 10);
+      return {
+        id: String(timestamp),
+        file: path.join(dir, name),
+        createdAt: new Date(timestamp).toISOString(),
+        size: fs.statSync(path.join(dir, name)).size
+      };
+    })
+    .sort((a, b) => Number(b.id) - Number(a.id));
+}
+
+/**
+ * Delete backups beyond the retention policy (count and age)
+ * @param {string} filePath - Path of the JSON file
+ */
+function pruneBackups(filePath) {
+  const cutoff = Date.now() - BACKUP_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  listBackupFiles(filePath).forEach((backup, index) => {
+    if (index >= BACKUP_KEEP || Number(backup.id) < cutoff) {
+      try {
+        fs.unlinkSync(backup.file);
+        fs.rmSync(`${backup.file}.info.json`, { force: true });
+      } catch (error) {
+        console.error(`[Storage] Failed to delete backup ${backup.file}:`, error);
+      }
+    }
+  });
+}
+
+/**
+ * Build the get/put/list/delete operations over an in-memory record set
+ * @param {Object} records - Records keyed by ID (mutated by put/delete)
+ * @returns {Object} Record operations
+ */
+function recordOperations(records) {
+  return {
+    get: (id) => (records[id] !== undefined ? records[id] : null),
+    put: (id, record) => {
+      records[id] = record;
+    },
+    delete: (id) => {
+      const existed = records[id] !== undefined;
+      delete records[id];
+      return existed;
+    },
+    list: () => ({ ...records })
+  };
+}
+
+/**
+ * Create a JSON file storage adapter
+ * @param {string} filePath - Path of the JSON file backing this collection
+ * @param {Object} [options]
+ * @param {boolean} [options.backups] - Keep a backup per write (default true)
+ * @returns {Object} Storage adapter: {type, get, put, list, delete, transaction, listBackups, restoreBackup, setBackupInfo}
+ */
+export function createJsonStorage(filePath, { backups = true } = {}) {
+  // Describes the current contents; stored with the backup each write makes of them
+  let getBackupInfo = () => null;
+
+  /**
+   * Run a function against a snapshot of the file and write it back once,
+   * holding the lock for the whole read-modify-write cycle
+   * @param {Function} fn - Receives record operations, returns any value
+   * @returns {*} Return value of fn
+   */
+  function transaction(fn) {
+    const release = acquireLock(filePath);
+
+    try {
+      const records = readRecords(filePath);
+      const snapshot = JSON.stringify(records);
+
+      const result = fn(recordOperations(records));
+
+      // Skip the write (and the backup) when nothing changed
+      if (JSON.stringify(records) !== snapshot) {
+        writeRecords(filePath, records, backups, backups ? getBackupInfo() : null);
+      }
+
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Roll the file back to a backup (the current version is backed up first)
+   * @param {string} backupId - Backup ID as returned by listBackups()
+   * @param {Object} [options]
+   * @param {Function} [options.transform] - (records, info) => records to write, e.g. to
+   *   upgrade records from an older schema; may throw to refuse the backup
+   * @returns {Object} Restored records keyed by ID
+   * @throws {Error} If the backup doesn't exist or isn't valid JSON, or the transform throws
+   */
+  function restoreBackup(backupId, { transform = (records) => records } = {}) {
+    const backup = listBackupFiles(filePath).find((entry) => entry.id === String(backupId));
+    if (!backup) {
+      throw new Error(`Backup '${backupId}' not found`);
+    }
+
+    const data = fs.readFileSync(backup.file, 'utf8');
+    const records = transform(data.trim() ? JSON.parse(data) : {}, readBackupInfo(backup.file));
+
+    const release = acquireLock(filePath);
+    try {
+      writeRecords(filePath, records, true, getBackupInfo());
+    } finally {
+      release();
+    }
+
+    return records;
+  }
+
+  return {
+    type: 'json',
+    get: (id) => recordOperations(readRecords(filePath)).get(id),
+    list: () => readRecords(filePath),
+    put: (id, record) => transaction((tx) => tx.put(id, record)),
+    delete: (id) => transaction((tx) => tx.delete(id)),
+    transaction,
+    listBackups: () => listBackupFiles(filePath).map(({ id, file, createdAt, size }) => ({ id, createdAt, size, info: readBackupInfo(file) })),
+    restoreBackup,
+    /**
+     * Set the function describing the current contents for the backups of later writes
+     * @param {Function} fn - () => small JSON-serializable object, or null
+     */
+    setBackupInfo: (fn) => {
+      getBackupInfo = fn;
+    }
+  };
+}
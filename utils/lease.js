@@ -0,0 +1,98 @@
+import os from 'os';
+import crypto from 'crypto';
+
+// ============================================================================
+// LEASES
+// ============================================================================
+
+/**
+ * Time-limited exclusive lease shared by every process using the same store
+ *
+ * Used for leader election: only the process holding the lease does the
+ * work, and it renews the lease while it is alive. If the holder dies, the
+ * lease expires and another process takes over.
+ *
+ * The lease record lives in any storage adapter (see utils/storage.js); its
+ * `transaction` makes the check-and-take atomic. With JSON storage that is
+ * the collection's lock file, with SQLite an IMMEDIATE transaction, and any
+ * other adapter with the same interface works the same way.
+ *
+ * Lease record:
+ * {
+ *   holderId: string,    // hostname:pid:random - unique per lease instance
+ *   acquiredAt: string,  // When the current holder took the lease
+ *   renewedAt: string,
+ *   expiresAt: string
+ * }
+ */
+
+/**
+ * Create a lease handle for this process
+ * @param {Object} store - Storage adapter holding lease records
+ * @param {string} name - Lease name (record ID), e.g. 'scheduler'
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a lease stays valid without renewal
+ * @returns {Object} {holderId, acquire, release, getInfo}
+ */
+export function createLease(store, name, { ttlMs }) {
+  // Random suffix: hot reloads create a new module instance in the same process
+  const holderId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+  /**
+   * Take the lease if it is free or expired, or renew it if we hold it
+   * @returns {boolean} True if this process holds the lease afterwards
+   */
+  function acquire() {
+    return store.transaction((tx) => {
+      const now = new Date();
+      const current = tx.get(name);
+
+      if (current && current.holderId !== holderId && new Date(current.expiresAt) > now) {
+        return false;
+      }
+
+      tx.put(name, {
+        holderId,
+        acquiredAt: current && current.holderId === holderId ? current.acquiredAt : now.toISOString(),
+        renewedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Give the lease up (only if this process holds it)
+   * @returns {boolean} True if the lease was released
+   */
+  function release() {
+    return store.transaction((tx) => {
+      const current = tx.get(name);
+      if (!current || current.holderId !== holderId) {
+        return false;
+      }
+      return tx.delete(name);
+    });
+  }
+
+  /**
+   * Describe the current state of the lease
+   * @returns {Object} {name, holderId, acquiredAt, expiresAt, expired, isHolder, ownHolderId}
+   */
+  function getInfo() {
+    const current = store.get(name);
+    const expired = !current || new Date(current.expiresAt) <= new Date();
+
+    return {
+      name,
+      holderId: current ? current.holderId : null,
+      acquiredAt: current ? current.acquiredAt : null,
+      expiresAt: current ? current.expiresAt : null,
+      expired,
+      isHolder: Boolean(current) && !expired && current.holderId === holderId,
+      ownHolderId: holderId
+    };
+  }
+
+  return { holderId, acquire, release, getInfo };
+}
@@ -0,0 +1,184 @@
+import { getStore } from './storage.js';
+import { getTransactionCount } from './theta.js';
+import { DEFAULT_CHAIN_ID } from './chains.js';
+
+// ============================================================================
+// NONCE MANAGEMENT
+// ============================================================================
+
+/**
+ * Nonce allocation per derived wallet and chain
+ *
+ * Letting each transaction pick `getTransactionCount` on its own makes two
+ * quick transactions from the same wallet collide on a nonce. Instead every
+ * transaction reserves a nonce here before it is prepared, and the
+ * reservation stays until the nonce is mined:
+ *
+ * - reserveNonce hands out the lowest nonce at or above the chain's pending
+ *   count that isn't reserved, so a nonce freed by a failed broadcast (a
+ *   gap) is filled by the next transaction
+ * - the chain's `latest` and `pending` counts are re-read on every
+ *   reservation; reservations below `latest` are mined and dropped
+ * - a broadcast nonce that has fallen out of the node's pending count for
+ *   longer than ORACLE_NONCE_DROPPED_SECONDS was dropped from the mempool,
+ *   and a reservation that was never broadcast expires after
+ *   ORACLE_NONCE_RESERVATION_SECONDS; both become gaps to be filled
+ *
+ * Wallet state (collection `nonces`, keyed by `<chainId>:<lowercase address>`):
+ * {
+ *   address: string,
+ *   chainId: number|null,    // null = default chain (see utils/chains.js)
+ *   reserved: { [nonce]: {reservedAt, hash: string|null, broadcastAt: string|null} },
+ *   chainLatest: number,     // Mined transaction count at the last reconciliation
+ *   chainPending: number,    // Including the node's mempool
+ *   reconciledAt: string
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RESERVATION_TIMEOUT_MS = parseInt(process.env.ORACLE_NONCE_RESERVATION_SECONDS || '300', 10) * 1000;
+const DROPPED_AFTER_MS = parseInt(process.env.ORACLE_NONCE_DROPPED_SECONDS || '120', 10) * 1000;
+
+const NONCES_COLLECTION = 'nonces';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Get the storage key of a wallet on a chain
+ * @param {string} address - Wallet address
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {string} Chain ID and lowercase address
+ */
+function walletKey(address, chainId) {
+  return `${chainId === undefined || chainId === null ? DEFAULT_CHAIN_ID : chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * Drop reservations that are mined, expired or dropped from the mempool
+ * @param {Object} reserved - Reservations by nonce
+ * @param {number} chainLatest - Mined transaction count
+ * @param {number} chainPending - Transaction count including the mempool
+ * @returns {Object} Remaining reservations
+ */
+function reconcileReservations(reserved, chainLatest, chainPending) {
+  const now = Date.now();
+
+  return Object.fromEntries(Object.entries(reserved).filter(([nonceKey, reservation]) => {
+    const nonce = Number(nonceKey);
+
+    if (nonce < chainLatest) {
+      return false;
+    }
+
+    if (!reservation.broadcastAt) {
+      return now - new Date(reservation.reservedAt).getTime() < RESERVATION_TIMEOUT_MS;
+    }
+
+    if (nonce >= chainPending && now - new Date(reservation.broadcastAt).getTime() >= DROPPED_AFTER_MS) {
+      console.warn(`[NonceManager] Nonce ${nonce} (${reservation.hash}) is no longer pending - freeing it`);
+      return false;
+    }
+
+    return true;
+  }));
+}
+
+// ============================================================================
+// NONCE OPERATIONS
+// ============================================================================
+
+/**
+ * Reserve the next nonce of a wallet
+ * @param {string} address - Wallet address
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<number>} Reserved nonce (pass it to markNonceBroadcast or releaseNonce)
+ */
+export async function reserveNonce(address, chainId) {
+  const [chainLatest, chainPending] = await Promise.all([
+    getTransactionCount(address, 'latest', chainId),
+    getTransactionCount(address, 'pending', chainId)
+  ]);
+
+  return getStore(NONCES_COLLECTION).transaction((tx) => {
+    const key = walletKey(address, chainId);
+    const state = tx.get(key) || { address, reserved: {} };
+    const reserved = reconcileReservations(state.reserved, chainLatest, chainPending);
+
+    let nonce = chainPending;
+    while (reserved[nonce]) {
+      nonce++;
+    }
+
+    reserved[nonce] = { reservedAt: new Date().toISOString(), hash: null, broadcastAt: null };
+    tx.put(key, {
+      address,
+      chainId: chainId === undefined ? null : chainId,
+      reserved,
+      chainLatest,
+      chainPending,
+      reconciledAt: new Date().toISOString()
+    });
+
+    if (nonce > chainPending) {
+      console.log(`[NonceManager] ${address}: nonce ${nonce} reserved (${nonce - chainPending} ahead of the node)`);
+    }
+    return nonce;
+  });
+}
+
+/**
+ * Record that a reserved nonce was used by a broadcast transaction
+ * @param {string} address - Wallet address
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @param {number} nonce - Reserved nonce
+ * @param {string} hash - Transaction hash (replacements update it)
+ */
+export function markNonceBroadcast(address, chainId, nonce, hash) {
+  getStore(NONCES_COLLECTION).transaction((tx) => {
+    const key = walletKey(address, chainId);
+    const state = tx.get(key) || { address, reserved: {} };
+    const now = new Date().toISOString();
+
+    tx.put(key, {
+      ...state,
+      reserved: {
+        ...state.reserved,
+        [nonce]: { reservedAt: (state.reserved[nonce] || {}).reservedAt || now, hash, broadcastAt: now }
+      }
+    });
+  });
+}
+
+/**
+ * Free a reserved nonce whose transaction was never broadcast
+ * @param {string} address - Wallet address
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @param {number} nonce - Reserved nonce
+ */
+export function releaseNonce(address, chainId, nonce) {
+  getStore(NONCES_COLLECTION).transaction((tx) => {
+    const key = walletKey(address, chainId);
+    const state = tx.get(key);
+    if (!state || !state.reserved[nonce] || state.reserved[nonce].broadcastAt) {
+      return;
+    }
+
+    const { [nonce]: released, ...reserved } = state.reserved;
+    tx.put(key, { ...state, reserved });
+  });
+}
+
+/**
+ * Get the nonce state of a wallet on a chain
+ * @param {string} address - Wallet address
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Object|null} Wallet state (see above), or null if it never sent a transaction
+ */
+export function getNonceState(address, chainId) {
+  return getStore(NONCES_COLLECTION).get(walletKey(address, chainId));
+}
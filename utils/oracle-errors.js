@@ -0,0 +1,159 @@
+import { getOracleConfig, updateOracleConfig } from './oracle-manager.js';
+import { setOracleError } from './theta.js';
+import { sendTrackedTransaction, waitForConfirmation } from './tx-tracker.js';
+import { getDerivationPath } from './wallet-manager.js';
+import { getOracleChainId } from './chains.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Consecutive fetch/extraction failures before the oracle is flagged on-chain
+// (overridable per oracle with `errorFlagThreshold`; 0 disables auto-flagging)
+const DEFAULT_ERROR_FLAG_THRESHOLD = parseInt(process.env.ORACLE_ERROR_FLAG_THRESHOLD || '3', 10);
+
+// ============================================================================
+// ON-CHAIN ERROR FLAG
+// ============================================================================
+
+/**
+ * Create an error-flag error carrying a machine-readable code and the transaction hash
+ * @param {string} message - Error message
+ * @param {string} code - TX_REVERTED or TX_UNCONFIRMED
+ * @param {string} txHash - Hash of the error-flag transaction
+ * @returns {Error} Error with `code` and `txHash` set
+ */
+function flagError(message, code, txHash) {
+  const error = new Error(message);
+  error.code = code;
+  error.txHash = txHash;
+  return error;
+}
+
+/**
+ * Set or clear the on-chain error flag of an oracle
+ *
+ * While the flag is set, `getOracleValueSafe` reverts so consumers stop
+ * reading stale data. The contract clears the flag itself on the next
+ * successful `updateOracle`.
+ *
+ * The local config only changes once the transaction is confirmed, so the
+ * dashboard never shows a flag state the chain doesn't have.
+ *
+ * @param {string} oracleId - Oracle ID
+ * @param {boolean} errorStatus - True to flag the oracle, false to clear the flag
+ * @param {string} reason - Reason stored in the local config (shown on the dashboard)
+ * @param {string} source - 'manual' or 'auto'
+ * @returns {Promise<Object>} Confirmed transaction record (hash, blockNumber, status)
+ * @throws {Error} With code TX_REVERTED if the transaction reverted, or TX_UNCONFIRMED
+ *   if it wasn't confirmed in time (it may still be mined - see /api/transactions/[hash])
+ */
+export async function setOnChainErrorFlag(oracleId, errorStatus, reason = '', source = 'manual') {
+  const derivationPath = getDerivationPath(oracleId);
+  const config = getOracleConfig(oracleId);
+  const chainId = getOracleChainId(config);
+
+  const txResult = await sendTrackedTransaction(
+    (nonce) => setOracleError(oracleId, errorStatus, derivationPath, { nonce, chainId }),
+    derivationPath,
+    { oracleId, kind: 'set_error', chainId, from: config.walletAddress }
+  );
+  const txRecord = await waitForConfirmation(txResult.hash);
+
+  if (txRecord.status === 'reverted') {
+    throw flagError(`Error flag transaction reverted: ${txRecord.revertReason}`, 'TX_REVERTED', txResult.hash);
+  }
+  if (txRecord.status === 'pending') {
+    throw flagError(`Error flag transaction ${txResult.hash} not confirmed yet`, 'TX_UNCONFIRMED', txResult.hash);
+  }
+
+  updateOracleConfig(oracleId, errorStatus ? {
+    hasError: true,
+    errorMessage: reason || 'Oracle flagged as erroneous',
+    onChainError: true,
+    onChainErrorSource: source,
+    onChainErrorAt: new Date().toISOString(),
+    onChainErrorTxHash: txResult.hash
+  } : {
+    hasError: false,
+    errorMessage: '',
+    consecutiveFailures: 0,
+    onChainError: false,
+    onChainErrorSource: null,
+    onChainErrorAt: null,
+    onChainErrorTxHash: txResult.hash
+  });
+
+  return txRecord;
+}
+
+/**
+ * Record a failed data fetch/extraction and flag the oracle on-chain once
+ * the consecutive failure count reaches its threshold
+ * @param {string} oracleId - Oracle ID
+ * @param {string} message - Failure description
+ * @returns {Promise<Object>} {consecutiveFailures, flaggedOnChain, flagError?}
+ */
+export async function recordDataFailure(oracleId, message) {
+  const config = getOracleConfig(oracleId);
+  const consecutiveFailures = (config.consecutiveFailures || 0) + 1;
+  const threshold = config.errorFlagThreshold !== undefined ? config.errorFlagThreshold : DEFAULT_ERROR_FLAG_THRESHOLD;
+
+  updateOracleConfig(oracleId, {
+    hasError: true,
+    errorMessage: message,
+    lastErrorAt: new Date().toISOString(),
+    consecutiveFailures
+  });
+
+  if (threshold <= 0 || consecutiveFailures < threshold || config.onChainError) {
+    return { consecutiveFailures, flaggedOnChain: false };
+  }
+
+  try {
+    console.log(`[OracleErrors] 🚩 Oracle ${oracleId} failed ${consecutiveFailures} times in a row - flagging on-chain`);
+    await setOnChainErrorFlag(oracleId, true, `${consecutiveFailures} consecutive failures: ${message}`, 'auto');
+    return { consecutiveFailures, flaggedOnChain: true };
+  } catch (error) {
+    console.error(`[OracleErrors] Failed to flag oracle ${oracleId} on-chain:`, error);
+    return { consecutiveFailures, flaggedOnChain: false, flagError: error.message };
+  }
+}
+
+/**
+ * Record a value that was held back by the oracle's guards and, if the
+ * oracle's guards ask for it, flag the oracle on-chain
+ * @param {string} oracleId - Oracle ID
+ * @param {Array<{guard: string, message: string}>} violations - Failed guards
+ * @param {number} rawValue - Value that was held back (before priceMultiplier)
+ * @returns {Promise<Object>} {flaggedOnChain, flagError?}
+ */
+export async function recordGuardViolation(oracleId, violations, rawValue) {
+  const config = getOracleConfig(oracleId);
+  const message = `Value held back: ${violations.map((violation) => violation.message).join('; ')}`;
+
+  console.warn(`[OracleErrors] 🛑 Oracle ${oracleId} - ${message}`);
+
+  updateOracleConfig(oracleId, {
+    hasError: true,
+    errorMessage: message,
+    lastErrorAt: new Date().toISOString(),
+    lastGuardViolation: {
+      at: new Date().toISOString(),
+      value: rawValue,
+      violations
+    }
+  });
+
+  if (!config.guards || !config.guards.flagOnViolation || config.onChainError) {
+    return { flaggedOnChain: false };
+  }
+
+  try {
+    await setOnChainErrorFlag(oracleId, true, message, 'auto');
+    return { flaggedOnChain: true };
+  } catch (error) {
+    console.error(`[OracleErrors] Failed to flag oracle ${oracleId} on-chain:`, error);
+    return { flaggedOnChain: false, flagError: error.message };
+  }
+}
@@ -1,40 +1,158 @@
-import fs from 'fs';
-import path from 'path';
+import { getStore } from './storage.js';
+import { CURRENT_SCHEMA_VERSION, validateOracleConfig, assertValidOracleConfig } from './oracle-schema.js';
+import { SEPOLIA_CHAIN_ID } from './chains.js';
+import { extractValueFromPath, validateDataPathSyntax } from './data-path.js';
 
 // ============================================================================
-// CONFIGURATION
+// SCHEMA MIGRATIONS
 // ============================================================================
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const ORACLES_FILE = path.join(DATA_DIR, 'oracles.json');
+/**
+ * Ordered list of oracle config migrations
+ *
+ * Each migration upgrades a single record from `version - 1` to `version`.
+ * Migrations must be idempotent: a record may be migrated again if the
+ * process stops between upgrading records and recording the new version.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize field names (updateInterval, walletAddress, priceMultiplier) and status defaults',
+    migrate: (oracleId, record) => {
+      const { updateIntervalMinutes, address, multiplier, ...rest } = record;
+      return {
+        ...rest,
+        name: rest.name || oracleId,
+        derivationPath: rest.derivationPath || oracleId,
+        updateInterval: rest.updateInterval !== undefined ? rest.updateInterval : updateIntervalMinutes,
+        walletAddress: rest.walletAddress || address,
+        priceMultiplier: rest.priceMultiplier !== undefined ? rest.priceMultiplier : multiplier,
+        isActive: rest.isActive !== undefined ? rest.isActive : true,
+        hasError: rest.hasError || false,
+        errorMessage: rest.errorMessage || ''
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Reactivate oracles that were stored with isActive: false before the flag was honored',
+    migrate: (oracleId, record) => ({
+      ...record,
+      // addOracleConfig() used to overwrite isActive with false, and nothing read it;
+      // only archived oracles or explicit pauses (pausedAt) should stay inactive now
+      isActive: record.archived ? false : (record.pausedAt ? record.isActive : true),
+      pausedAt: record.pausedAt || null,
+      pausedUntil: record.pausedUntil || null
+    })
+  },
+  {
+    version: 3,
+    description: 'Record the chain of oracles created before multi-chain support (Sepolia)',
+    migrate: (oracleId, record) => ({
+      ...record,
+      chainId: record.chainId !== undefined ? record.chainId : SEPOLIA_CHAIN_ID
+    })
+  }
+];
+
+let migrationsChecked = false;
+
+/**
+ * Upgrade one record from a schema version to CURRENT_SCHEMA_VERSION
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} record - Stored record
+ * @param {number} fromVersion - Schema version the record was stored with
+ * @returns {Object} Migrated record
+ */
+function migrateRecord(oracleId, record, fromVersion) {
+  return MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((current, migration) => migration.migrate(oracleId, current), record);
+}
+
+/**
+ * Get the schema version recorded for the oracle store
+ * @returns {number} Schema version (0 before the first migration)
+ */
+function getStoredSchemaVersion() {
+  return (getStore('meta').get('oracles') || {}).schemaVersion || 0;
+}
+
+/**
+ * Upgrade stored oracle configs to CURRENT_SCHEMA_VERSION
+ * The store's schema version is kept in the "meta" collection.
+ * Records that are still invalid after migration are reported, not dropped.
+ * @param {Object} store - Storage adapter for the "oracles" collection
+ */
+function runMigrations(store) {
+  const metaStore = getStore('meta');
+  const meta = metaStore.get('oracles') || {};
+  const fromVersion = meta.schemaVersion || 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Oracle store schema version ${fromVersion} is newer than this app supports (${CURRENT_SCHEMA_VERSION})`);
+  }
+
+  if (fromVersion < CURRENT_SCHEMA_VERSION) {
+    store.transaction((tx) => {
+      for (const [oracleId, record] of Object.entries(tx.list())) {
+        tx.put(oracleId, migrateRecord(oracleId, record, fromVersion));
+      }
+    });
+
+    metaStore.put('oracles', { ...meta, schemaVersion: CURRENT_SCHEMA_VERSION, migratedAt: new Date().toISOString() });
+    console.log(`[OracleManager] Migrated oracle store from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  for (const [oracleId, record] of Object.entries(store.list())) {
+    const { valid, errors } = validateOracleConfig(record);
+    if (!valid) {
+      console.error(`[OracleManager] Invalid configuration for oracle '${oracleId}': ${errors.join('; ')}`);
+    }
+  }
+}
 
 // ============================================================================
-// FILE SYSTEM UTILITIES
+// STORAGE ACCESS
 // ============================================================================
 
 /**
- * Ensure the data directory exists for storing oracle configurations
+ * Get the storage adapter holding oracle configurations
+ * The backend (JSON file or SQLite) is selected with ORACLE_STORAGE.
+ * Pending schema migrations run on first access in each process.
+ * @returns {Object} Storage adapter for the "oracles" collection
  */
-function ensureDataDirectory() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+function getOracleStore() {
+  const store = getStore('oracles');
+
+  if (!migrationsChecked) {
+    // Every backup records the schema version of the records it holds (see restoreOracleBackup)
+    if (store.setBackupInfo) {
+      store.setBackupInfo(() => ({ schemaVersion: getStoredSchemaVersion() }));
+    }
+    runMigrations(store);
+    migrationsChecked = true;
   }
+
+  return store;
+}
+
+/**
+ * Get the schema version of the oracle store
+ * @returns {number} Schema version recorded in storage
+ */
+export function getOracleSchemaVersion() {
+  getOracleStore();
+  return getStoredSchemaVersion();
 }
 
 /**
- * Load all oracle configurations from JSON file
+ * Load all oracle configurations from storage
  * @returns {Object} Oracle configurations keyed by oracle ID
  */
 export function loadOracleConfigs() {
   try {
-    ensureDataDirectory();
-    
-    if (!fs.existsSync(ORACLES_FILE)) {
-      return {};
-    }
-    
-    const data = fs.readFileSync(ORACLES_FILE, 'utf8');
-    return JSON.parse(data);
+    return getOracleStore().list();
   } catch (error) {
     console.error('Error loading oracle configs:', error);
     return {};
@@ -42,21 +160,27 @@ export function loadOracleConfigs() {
 }
 
 /**
- * Save oracle configurations to JSON file with automatic backup
+ * Replace all oracle configurations in storage
+ * Oracles missing from `configs` are removed in the same transaction
  * @param {Object} configs - Oracle configurations to save
  * @returns {boolean} True if save was successful
  */
 export function saveOracleConfigs(configs) {
   try {
-    ensureDataDirectory();
-    
-    // Create backup before saving (safety measure)
-    if (fs.existsSync(ORACLES_FILE)) {
-      const backupFile = `${ORACLES_FILE}.backup.${Date.now()}`;
-      fs.copyFileSync(ORACLES_FILE, backupFile);
+    for (const [oracleId, config] of Object.entries(configs)) {
+      assertValidOracleConfig(oracleId, config);
     }
-    
-    fs.writeFileSync(ORACLES_FILE, JSON.stringify(configs, null, 2));
+
+    getOracleStore().transaction((tx) => {
+      for (const oracleId of Object.keys(tx.list())) {
+        if (!configs[oracleId]) {
+          tx.delete(oracleId);
+        }
+      }
+      for (const [oracleId, config] of Object.entries(configs)) {
+        tx.put(oracleId, config);
+      }
+    });
     return true;
   } catch (error) {
     console.error('Error saving oracle configs:', error);
@@ -64,6 +188,57 @@ export function saveOracleConfigs(configs) {
   }
 }
 
+/**
+ * List available backups of the oracle configurations, newest first
+ * @returns {Array<{id: string, createdAt: string, size: number, schemaVersion: number|null}>} Backup entries
+ *   (schemaVersion is null for backups made before versions were recorded)
+ * @throws {Error} If the active storage backend doesn't keep backups
+ */
+export function listOracleBackups() {
+  const store = getOracleStore();
+  if (!store.listBackups) {
+    throw new Error(`Backups are not supported by the '${store.type}' storage backend`);
+  }
+  return store.listBackups().map(({ info, ...backup }) => ({
+    ...backup,
+    schemaVersion: info && info.schemaVersion !== undefined ? info.schemaVersion : null
+  }));
+}
+
+/**
+ * Roll oracle configurations back to a previous backup
+ * The current configurations are backed up first, so a restore can be undone.
+ * Records are migrated from the backup's schema version and must pass schema
+ * validation; backups without a recorded version go through every migration
+ * (migrations are idempotent).
+ * @param {string} backupId - Backup ID from listOracleBackups()
+ * @returns {Object} Restored oracle configurations keyed by oracle ID
+ * @throws {Error} If the backup doesn't exist, backups aren't supported, the backup
+ *   is from a newer schema, or a restored record is invalid
+ */
+export function restoreOracleBackup(backupId) {
+  const store = getOracleStore();
+  if (!store.restoreBackup) {
+    throw new Error(`Backups are not supported by the '${store.type}' storage backend`);
+  }
+
+  return store.restoreBackup(backupId, {
+    transform: (records, info) => {
+      const fromVersion = info && Number.isInteger(info.schemaVersion) ? info.schemaVersion : 0;
+      if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Backup '${backupId}' has schema version ${fromVersion}, newer than this app supports (${CURRENT_SCHEMA_VERSION})`);
+      }
+
+      const migrated = Object.fromEntries(Object.entries(records)
+        .map(([oracleId, record]) => [oracleId, migrateRecord(oracleId, record, fromVersion)]));
+      for (const [oracleId, config] of Object.entries(migrated)) {
+        assertValidOracleConfig(oracleId, config);
+      }
+      return migrated;
+    }
+  });
+}
+
 // ============================================================================
 // ORACLE CONFIGURATION MANAGEMENT
 // ============================================================================
@@ -72,55 +247,78 @@ export function saveOracleConfigs(configs) {
  * Add a new oracle configuration
  * @param {Object} oracleData - Oracle configuration data
  * @returns {boolean} True if oracle was added successfully
- * @throws {Error} If oracle ID already exists
+ * @throws {Error} If oracle ID already exists or the config fails schema validation
  */
 export function addOracleConfig(oracleData) {
   try {
-    const configs = loadOracleConfigs();
-    
-    if (configs[oracleData.name]) {
-      throw new Error(`Oracle with ID '${oracleData.name}' already exists`);
-    }
-    
-    // Add metadata and default status fields
-    configs[oracleData.name] = {
-      ...oracleData,
-      createdAt: new Date().toISOString(),
-      lastUpdate: null,
-      nextUpdate: null,
-      isActive: false,
-      hasError: false,
-      errorMessage: ''
-    };
-    
-    return saveOracleConfigs(configs);
+    return getOracleStore().transaction((tx) => {
+      if (tx.get(oracleData.name)) {
+        throw new Error(`Oracle with ID '${oracleData.name}' already exists`);
+      }
+      
+      const config = withStatusDefaults(oracleData);
+      
+      assertValidOracleConfig(oracleData.name, config);
+      tx.put(oracleData.name, config);
+      
+      return true;
+    });
   } catch (error) {
     console.error('Error adding oracle config:', error);
     throw error;
   }
 }
 
+/**
+ * Add the default status fields (overridable by oracleData) and metadata of a new oracle
+ * @param {Object} oracleData - Oracle configuration
+ * @returns {Object} Configuration as it is stored
+ */
+function withStatusDefaults(oracleData) {
+  return {
+    lastUpdate: null,
+    nextUpdate: null,
+    isActive: true,
+    hasError: false,
+    errorMessage: '',
+    pausedAt: null,
+    pausedUntil: null,
+    ...oracleData,
+    createdAt: new Date().toISOString()
+  };
+}
+
 /**
  * Update an existing oracle configuration
  * @param {string} oracleId - Oracle ID to update
  * @param {Object} updates - Fields to update
+ * @param {string[]} [removeFields] - Fields to remove from the configuration
  * @returns {boolean} True if update was successful
- * @throws {Error} If oracle doesn't exist
+ * @throws {Error} If oracle doesn't exist or the result fails schema validation
  */
-export function updateOracleConfig(oracleId, updates) {
+export function updateOracleConfig(oracleId, updates, removeFields = []) {
   try {
-    const configs = loadOracleConfigs();
-    
-    if (!configs[oracleId]) {
-      throw new Error(`Oracle with ID '${oracleId}' not found`);
-    }
-    
-    configs[oracleId] = {
-      ...configs[oracleId],
-      ...updates
-    };
-    
-    return saveOracleConfigs(configs);
+    // Read-modify-write inside one transaction so concurrent updates don't clobber each other
+    return getOracleStore().transaction((tx) => {
+      const config = tx.get(oracleId);
+      
+      if (!config) {
+        throw new Error(`Oracle with ID '${oracleId}' not found`);
+      }
+      
+      const updated = {
+        ...config,
+        ...updates
+      };
+      for (const field of removeFields) {
+        delete updated[field];
+      }
+      
+      assertValidOracleConfig(oracleId, updated);
+      tx.put(oracleId, updated);
+      
+      return true;
+    });
   } catch (error) {
     console.error('Error updating oracle config:', error);
     throw error;
@@ -134,14 +332,226 @@ export function updateOracleConfig(oracleId, updates) {
  */
 export function getOracleConfig(oracleId) {
   try {
-    const configs = loadOracleConfigs();
-    return configs[oracleId] || null;
+    return getOracleStore().get(oracleId);
   } catch (error) {
     console.error('Error getting oracle config:', error);
     return null;
   }
 }
 
+/**
+ * Fields of an existing oracle that may be edited after creation
+ * (the ID, derivation path and wallet are fixed for the oracle's lifetime)
+ */
+export const MUTABLE_ORACLE_FIELDS = [
+  'description', 'apiEndpoint', 'dataPath', 'updateInterval', 'priceMultiplier',
+  'sources', 'aggregation', 'minSources', 'trimPercent', 'guards', 'updatePolicy', 'schedule',
+  'retryPolicy', 'maxFeePerGasGwei', 'topUp'
+];
+
+/**
+ * Split settings changes into new values and fields to remove (given as null)
+ * @param {Object} changes - Changes to fields in MUTABLE_ORACLE_FIELDS
+ * @returns {{updates: Object, removeFields: string[]}} New values and removed fields
+ */
+function splitSettingsChanges(changes) {
+  const updates = {};
+  const removeFields = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) {
+      removeFields.push(field);
+    } else {
+      updates[field] = value;
+    }
+  }
+
+  return { updates, removeFields };
+}
+
+/**
+ * Apply settings changes to an oracle configuration without saving them
+ * A null value removes the field (e.g. `schedule: null` drops the schedule)
+ * @param {Object} oracleConfig - Current oracle configuration
+ * @param {Object} changes - Changes to fields in MUTABLE_ORACLE_FIELDS
+ * @returns {Object} Configuration as it would be stored
+ */
+export function mergeOracleSettings(oracleConfig, changes) {
+  const { updates, removeFields } = splitSettingsChanges(changes);
+  const merged = { ...oracleConfig, ...updates };
+  for (const field of removeFields) {
+    delete merged[field];
+  }
+  return merged;
+}
+
+/**
+ * Validate settings changes against the whole resulting configuration
+ * @param {Object} oracleConfig - Current oracle configuration
+ * @param {Object} changes - Changes to fields in MUTABLE_ORACLE_FIELDS (null removes a field)
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+export function validateOracleSettings(oracleConfig, changes) {
+  const invalidFields = Object.keys(changes).filter((field) => !MUTABLE_ORACLE_FIELDS.includes(field));
+  if (invalidFields.length > 0) {
+    return {
+      valid: false,
+      error: `Fields cannot be edited: ${invalidFields.join(', ')}. Editable fields: ${MUTABLE_ORACLE_FIELDS.join(', ')}`
+    };
+  }
+
+  const { valid, errors } = validateOracleConfig(mergeOracleSettings(oracleConfig, changes));
+  if (!valid) {
+    return { valid: false, error: `Invalid oracle configuration: ${errors.join('; ')}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Edit the mutable settings of an existing oracle
+ * @param {string} oracleId - Oracle ID to edit
+ * @param {Object} changes - New values for fields in MUTABLE_ORACLE_FIELDS (null removes a field)
+ * @returns {Object} Updated oracle configuration
+ * @throws {Error} If a field isn't editable, the oracle doesn't exist, or validation fails
+ */
+export function editOracleSettings(oracleId, changes) {
+  const invalidFields = Object.keys(changes).filter((field) => !MUTABLE_ORACLE_FIELDS.includes(field));
+  if (invalidFields.length > 0) {
+    throw new Error(`Fields cannot be edited: ${invalidFields.join(', ')}. Editable fields: ${MUTABLE_ORACLE_FIELDS.join(', ')}`);
+  }
+  
+  const { updates, removeFields } = splitSettingsChanges(changes);
+  updateOracleConfig(oracleId, { ...updates, settingsUpdatedAt: new Date().toISOString() }, removeFields);
+  return getOracleConfig(oracleId);
+}
+
+/**
+ * Delete an oracle configuration
+ * Its derivation path is reserved so the wallet is never reused by a new oracle
+ * @param {string} oracleId - Oracle ID to delete
+ * @returns {boolean} True if the oracle was deleted
+ * @throws {Error} If oracle doesn't exist
+ */
+export function deleteOracleConfig(oracleId) {
+  try {
+    const config = getOracleStore().transaction((tx) => {
+      const existing = tx.get(oracleId);
+      
+      if (!existing) {
+        throw new Error(`Oracle with ID '${oracleId}' not found`);
+      }
+      
+      tx.delete(oracleId);
+      return existing;
+    });
+    
+    reserveDerivationPath(config, 'deleted');
+    return true;
+  } catch (error) {
+    console.error('Error deleting oracle config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Archive an oracle: keep its configuration for reference but stop all updates
+ * Its derivation path is reserved so the wallet is never reused by a new oracle
+ * @param {string} oracleId - Oracle ID to archive
+ * @returns {boolean} True if the oracle was archived
+ * @throws {Error} If oracle doesn't exist
+ */
+export function archiveOracleConfig(oracleId) {
+  updateOracleConfig(oracleId, {
+    archived: true,
+    archivedAt: new Date().toISOString(),
+    isActive: false
+  });
+  
+  reserveDerivationPath(getOracleConfig(oracleId), 'archived');
+  return true;
+}
+
+/**
+ * Pause scheduled updates for an oracle
+ * @param {string} oracleId - Oracle ID to pause
+ * @param {string|null} until - Optional ISO timestamp at which updates resume automatically
+ * @returns {Object} Updated oracle configuration
+ * @throws {Error} If oracle doesn't exist, is archived, or `until` isn't a future timestamp
+ */
+export function pauseOracle(oracleId, until = null) {
+  const config = getOracleConfig(oracleId);
+  if (!config) {
+    throw new Error(`Oracle with ID '${oracleId}' not found`);
+  }
+  if (config.archived) {
+    throw new Error(`Oracle '${oracleId}' is archived`);
+  }
+  
+  let pausedUntil = null;
+  if (until) {
+    const untilDate = new Date(until);
+    if (isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+      throw new Error('Pause-until must be a valid timestamp in the future');
+    }
+    pausedUntil = untilDate.toISOString();
+  }
+  
+  updateOracleConfig(oracleId, {
+    isActive: false,
+    pausedAt: new Date().toISOString(),
+    pausedUntil
+  });
+  return getOracleConfig(oracleId);
+}
+
+/**
+ * Resume scheduled updates for a paused oracle
+ * @param {string} oracleId - Oracle ID to resume
+ * @returns {Object} Updated oracle configuration
+ * @throws {Error} If oracle doesn't exist or is archived
+ */
+export function resumeOracle(oracleId) {
+  const config = getOracleConfig(oracleId);
+  if (!config) {
+    throw new Error(`Oracle with ID '${oracleId}' not found`);
+  }
+  if (config.archived) {
+    throw new Error(`Oracle '${oracleId}' is archived`);
+  }
+  
+  updateOracleConfig(oracleId, {
+    isActive: true,
+    pausedAt: null,
+    pausedUntil: null
+  });
+  return getOracleConfig(oracleId);
+}
+
+/**
+ * Record that a derivation path belonged to a retired oracle
+ * @param {Object} config - Configuration of the retired oracle
+ * @param {string} reason - 'deleted' or 'archived'
+ */
+function reserveDerivationPath(config, reason) {
+  getStore('reserved-paths').put(config.derivationPath, {
+    oracleId: config.name,
+    walletAddress: config.walletAddress || null,
+    chainId: config.chainId !== undefined ? config.chainId : null,
+    reason,
+    reservedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Check whether a derivation path belonged to a deleted or archived oracle
+ * @param {string} derivationPath - Derivation path to check
+ * @returns {Object|null} Reservation record or null if the path is free
+ */
+export function getDerivationPathReservation(derivationPath) {
+  return getStore('reserved-paths').get(derivationPath);
+}
+
 /**
  * Get all oracle IDs
  * @returns {string[]} Array of oracle IDs
@@ -181,14 +591,35 @@ export function validateOracleId(oracleId) {
   }
   
   // Check uniqueness
-  const configs = loadOracleConfigs();
-  if (configs[oracleId]) {
+  if (getOracleConfig(oracleId)) {
     return { valid: false, error: 'Oracle ID already exists' };
   }
   
+  // IDs double as derivation paths, so retired IDs can't be reused
+  if (getDerivationPathReservation(oracleId)) {
+    return { valid: false, error: 'Oracle ID belonged to a deleted or archived oracle and is reserved' };
+  }
+  
   return { valid: true };
 }
 
+/**
+ * Validate a new oracle's configuration before anything is deployed or paid for
+ * Runs the checks addOracleConfig runs when the oracle is stored, so a deployed
+ * oracle can always be saved.
+ * @param {Object} oracleData - Configuration as it will be stored (deployment fields may be missing)
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateNewOracleConfig(oracleData) {
+  const idValidation = validateOracleId(oracleData.name);
+  if (!idValidation.valid) {
+    return idValidation;
+  }
+
+  const { valid, errors } = validateOracleConfig(withStatusDefaults(oracleData));
+  return valid ? { valid: true } : { valid: false, error: `Invalid oracle configuration: ${errors.join('; ')}` };
+}
+
 /**
  * Validate API endpoint accessibility and response format
  * @param {string} endpoint - API endpoint URL to validate
@@ -208,7 +639,7 @@ export async function validateApiEndpoint(endpoint) {
     const response = await fetch(endpoint, { 
       method: 'GET',
       headers: { 'Accept': 'application/json' },
-      timeout: 5000 
+      signal: AbortSignal.timeout(5000)
     });
     
     if (!response.ok) {
@@ -225,7 +656,7 @@ export async function validateApiEndpoint(endpoint) {
 /**
  * Validate data path against actual API response
  * @param {string} endpoint - API endpoint to test against
- * @param {string} dataPath - Dot notation path to extract value
+ * @param {string} dataPath - Data path to extract the value (see utils/data-path.js)
  * @returns {Object} {valid: boolean, error?: string, value?: number}
  */
 export async function validateDataPath(endpoint, dataPath) {
@@ -233,6 +664,12 @@ export async function validateDataPath(endpoint, dataPath) {
     if (!dataPath || typeof dataPath !== 'string') {
       return { valid: false, error: 'Data path must be a non-empty string' };
     }
+
+    // Reject malformed paths before calling the API
+    const syntaxValidation = validateDataPathSyntax(dataPath);
+    if (!syntaxValidation.valid) {
+      return syntaxValidation;
+    }
     
     // First validate the endpoint
     const endpointValidation = await validateApiEndpoint(endpoint);
@@ -242,7 +679,7 @@ export async function validateDataPath(endpoint, dataPath) {
     
     const data = endpointValidation.data;
     
-    // Extract value using dot notation path
+    // Extract value using the data path
     const value = extractValueFromPath(data, dataPath);
     
     if (value === undefined || value === null) {
@@ -265,31 +702,3 @@ export async function validateDataPath(endpoint, dataPath) {
     return { valid: false, error: `Failed to validate data path: ${error.message}` };
   }
 }
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Extract value from nested object using dot notation path
- * @param {Object} obj - Object to extract from
- * @param {string} path - Dot notation path (e.g., "data.price")
- * @returns {*} Extracted value or undefined if path not found
- */
-function extractValueFromPath(obj, path) {
-  try {
-    const keys = path.split('.');
-    let value = obj;
-    
-    for (const key of keys) {
-      if (value === null || value === undefined) {
-        return undefined;
-      }
-      value = value[key];
-    }
-    
-    return value;
-  } catch (error) {
-    return undefined;
-  }
-}
@@ -0,0 +1,168 @@
+import Ajv from 'ajv';
+
+// ============================================================================
+// ORACLE CONFIGURATION SCHEMA
+// ============================================================================
+
+/**
+ * Current version of the oracle configuration schema
+ * Bump this together with a new entry in MIGRATIONS (utils/oracle-manager.js)
+ */
+export const CURRENT_SCHEMA_VERSION = 3;
+
+/**
+ * JSON schema every stored oracle configuration must satisfy
+ *
+ * Canonical field names: `updateInterval` (minutes), `priceMultiplier`,
+ * `walletAddress`, `chainId` (see utils/chains.js). An oracle reads either a single `apiEndpoint` + `dataPath`
+ * or a `sources` list. Extra fields are allowed so features can attach their
+ * own state to a record.
+ */
+export const oracleConfigSchema = {
+  type: 'object',
+  required: ['name', 'description', 'updateInterval', 'priceMultiplier', 'derivationPath'],
+  anyOf: [
+    { required: ['apiEndpoint', 'dataPath'] },
+    { required: ['sources'] }
+  ],
+  properties: {
+    name: { type: 'string', pattern: '^[a-z0-9-_]{3,50}$' },
+    description: { type: 'string' },
+    apiEndpoint: { type: 'string', pattern: '^https?://' },
+    dataPath: { type: 'string', minLength: 1 },
+    sources: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['apiEndpoint', 'dataPath'],
+        properties: {
+          apiEndpoint: { type: 'string', pattern: '^https?://' },
+          dataPath: { type: 'string', minLength: 1 },
+          weight: { type: 'number', exclusiveMinimum: 0 }
+        }
+      }
+    },
+    aggregation: { enum: ['median', 'mean', 'weighted_mean', 'trimmed_mean'] },
+    minSources: { type: 'integer', minimum: 1 },
+    trimPercent: { type: 'number', minimum: 0, exclusiveMaximum: 50 },
+    lastSourceValues: { type: 'array' },
+    guards: {
+      type: 'object',
+      properties: {
+        minValue: { type: 'number' },
+        maxValue: { type: 'number' },
+        maxChangePercent: { type: 'number', exclusiveMinimum: 0 },
+        maxSourceDeviationPercent: { type: 'number', exclusiveMinimum: 0 },
+        flagOnViolation: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    updatePolicy: {
+      type: 'object',
+      properties: {
+        deviationThresholdBps: { type: 'number', exclusiveMinimum: 0 },
+        heartbeatMinutes: { type: 'number', exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    },
+    lastCheckedAt: { type: ['string', 'null'] },
+    retryPolicy: {
+      type: 'object',
+      properties: {
+        maxAttempts: { type: 'integer', minimum: 0 },
+        initialDelaySeconds: { type: 'number', minimum: 0 },
+        maxDelaySeconds: { type: 'number', minimum: 0 },
+        multiplier: { type: 'number', minimum: 1 },
+        jitter: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    retryAttempt: { type: 'integer', minimum: 0 },
+    nextRetryAt: { type: ['string', 'null'] },
+    degraded: { type: 'boolean' },
+    schedule: {
+      type: 'object',
+      properties: {
+        cron: { type: 'string', minLength: 1 },
+        timezone: { type: 'string', minLength: 1 },
+        blackouts: { type: 'array', items: { type: 'object' } }
+      },
+      additionalProperties: false
+    },
+    updateInterval: { type: 'number', exclusiveMinimum: 0 },
+    priceMultiplier: { type: 'number', exclusiveMinimum: 0 },
+    maxFeePerGasGwei: { type: 'number', minimum: 0 },
+    topUp: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        minBalance: { type: 'number', minimum: 0 },
+        targetBalance: { type: 'number', minimum: 0 },
+        dailyCap: { type: 'number', exclusiveMinimum: 0 }
+      },
+      required: ['minBalance', 'targetBalance'],
+      additionalProperties: false
+    },
+    derivationPath: { type: 'string', minLength: 1 },
+    chainId: { type: 'integer', minimum: 1 },
+    walletAddress: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' },
+    isActive: { type: 'boolean' },
+    hasError: { type: 'boolean' },
+    errorMessage: { type: 'string' },
+    createdAt: { type: ['string', 'null'] },
+    lastUpdate: { type: ['string', 'null'] },
+    nextUpdate: { type: ['string', 'null'] },
+    lastValue: { type: 'number' },
+    lastTxHash: { type: 'string' },
+    archived: { type: 'boolean' },
+    archivedAt: { type: 'string' },
+    pausedAt: { type: ['string', 'null'] },
+    pausedUntil: { type: ['string', 'null'] },
+    consecutiveFailures: { type: 'integer', minimum: 0 },
+    errorFlagThreshold: { type: 'integer', minimum: 0 },
+    onChainError: { type: 'boolean' },
+    onChainErrorSource: { type: ['string', 'null'], enum: ['manual', 'auto', null] },
+    onChainErrorAt: { type: ['string', 'null'] }
+  },
+  additionalProperties: true
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(oracleConfigSchema);
+
+/**
+ * Validate an oracle configuration against the schema
+ * @param {Object} config - Oracle configuration
+ * @returns {Object} {valid: boolean, errors: string[]}
+ */
+export function validateOracleConfig(config) {
+  if (validateSchema(config)) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = validateSchema.errors
+    // anyOf reports each failed branch separately - the branch errors already say what's missing
+    .filter((error) => error.keyword !== 'anyOf')
+    .map((error) => {
+      const field = error.instancePath ? error.instancePath.slice(1) : error.params.missingProperty;
+      return error.keyword === 'required'
+        ? `'${field}' is required`
+        : `'${field}' ${error.message}`;
+    });
+
+  return { valid: false, errors };
+}
+
+/**
+ * Validate an oracle configuration and throw a descriptive error if invalid
+ * @param {string} oracleId - Oracle ID (used in the error message)
+ * @param {Object} config - Oracle configuration
+ * @throws {Error} If the configuration doesn't match the schema
+ */
+export function assertValidOracleConfig(oracleId, config) {
+  const { valid, errors } = validateOracleConfig(config);
+  if (!valid) {
+    throw new Error(`Invalid configuration for oracle '${oracleId}': ${errors.join('; ')}`);
+  }
+}
@@ -0,0 +1,444 @@
+import { getOracleConfig, updateOracleConfig } from './oracle-manager.js';
+import { validateOracleConfig } from './oracle-schema.js';
+import { updateOracle, getOracle } from './theta.js';
+import { sendTrackedTransaction, waitForConfirmation } from './tx-tracker.js';
+import { getDerivationPath } from './wallet-manager.js';
+import { recordDataFailure, recordGuardViolation } from './oracle-errors.js';
+import { fetchAggregatedValue } from './data-sources.js';
+import { checkValueGuards } from './value-guards.js';
+import { evaluateUpdatePolicy } from './update-policy.js';
+import { getNextRunTime, skipBlackouts } from './schedule.js';
+import { getRetryDelayMs } from './retry-policy.js';
+import { recordUpdateAttempt } from './run-history.js';
+import { getOracleChainId } from './chains.js';
+import { isRpcFailure } from './rpc-pool.js';
+
+// ============================================================================
+// ORACLE UPDATE SERVICE
+// ============================================================================
+
+/**
+ * The oracle update pipeline, shared by the update API route and the scheduler
+ *
+ * Fetches the latest value from the oracle's sources, runs it through the
+ * guards and the update policy, and publishes it on-chain when needed.
+ *
+ * Every run is recorded in the oracle's history (utils/run-history.js) and
+ * resolves (it never throws) to a result object:
+ * {
+ *   oracleId: string,
+ *   status: 'published' | 'skipped' | 'failed',
+ *   reason: string,          // See UPDATE_REASONS
+ *   message: string,
+ *   oldValue?: number,       // On-chain value before the run
+ *   newValue?: number,       // Freshly fetched value (scaled by priceMultiplier)
+ *   change?: number,         // newValue - oldValue (published)
+ *   deviationBps?: number,   // Deviation evaluated by the update policy
+ *   sources?: Array,         // Per-source values used for the aggregate
+ *   txHash?: string,         // Transaction hash (published, tx_reverted)
+ *   txStatus?: string,       // 'confirmed', or 'pending' if no receipt arrived in time (see utils/tx-tracker.js)
+ *   blockNumber?: number,    // Block of the transaction (once mined)
+ *   revertReason?: string,   // Decoded contract error, e.g. 'OnlyCreatorCanUpdate' (tx_reverted)
+ *   violations?: Array,      // Failed guards (guard_violation)
+ *   degraded?: boolean,      // A source was skipped because its host's circuit breaker is open
+ *   consecutiveFailures?: number,
+ *   flaggedOnChain?: boolean,
+ *   retryAttempt?: number,   // Failed runs in a row (failed)
+ *   nextRetryAt?: string,    // When the failed run is retried (see utils/retry-policy.js)
+ *   error?: string           // Error message (failed)
+ * }
+ */
+
+export const UPDATE_REASONS = {
+  // published
+  CHANGED: 'changed',
+  DEVIATION: 'deviation',
+  HEARTBEAT: 'heartbeat',
+  CLEAR_ERROR: 'clear_error',
+  FORCED: 'forced',
+  // skipped
+  UNCHANGED: 'unchanged',
+  WITHIN_THRESHOLD: 'within_threshold',
+  IN_PROGRESS: 'in_progress',
+  FLAGGED_MANUALLY: 'flagged_manually',
+  // failed
+  NOT_FOUND: 'not_found',
+  INVALID_CONFIG: 'invalid_config',
+  NOT_DEPLOYED: 'not_deployed',
+  DATA_FAILURE: 'data_failure',
+  INVALID_VALUE: 'invalid_value',
+  GUARD_VIOLATION: 'guard_violation',
+  TX_PENDING: 'tx_pending',
+  NONCE_TOO_LOW: 'nonce_too_low',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  TX_REPLACEMENT: 'tx_replacement',
+  BROADCAST_FAILED: 'broadcast_failed',
+  TX_REVERTED: 'tx_reverted',
+  FEE_CAP_EXCEEDED: 'fee_cap_exceeded',
+  RPC_UNAVAILABLE: 'rpc_unavailable',
+  ERROR: 'error'
+};
+
+// Broadcast error codes (see signAndBroadcastTransaction and sendTrackedTransaction) -> failure reasons
+const BROADCAST_ERROR_REASONS = {
+  TX_PENDING: UPDATE_REASONS.TX_PENDING,
+  NONCE_TOO_LOW: UPDATE_REASONS.NONCE_TOO_LOW,
+  INSUFFICIENT_FUNDS: UPDATE_REASONS.INSUFFICIENT_FUNDS,
+  TX_REPLACEMENT: UPDATE_REASONS.TX_REPLACEMENT,
+  BROADCAST_FAILED: UPDATE_REASONS.BROADCAST_FAILED,
+  FEE_CAP_EXCEEDED: UPDATE_REASONS.FEE_CAP_EXCEEDED
+};
+
+// Failures that are not retried early (nothing will have changed by then)
+const NON_RETRYABLE_REASONS = [UPDATE_REASONS.NOT_FOUND, UPDATE_REASONS.INVALID_CONFIG, UPDATE_REASONS.IN_PROGRESS];
+
+// Oracles with a run in progress in this process (route and scheduler alike)
+const updatesInProgress = new Set();
+
+/**
+ * Run the update pipeline for one oracle
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Publish even if the update policy would skip
+ * @param {string} [options.trigger] - 'manual' (default) or 'scheduler'
+ * @param {string} [options.runId] - Scheduler run the attempt belongs to
+ * @returns {Promise<Object>} Update result (see above)
+ */
+export async function runOracleUpdate(oracleId, { force = false, trigger = 'manual', runId = null } = {}) {
+  const startedAt = new Date();
+  const result = await runPipelineOnce(oracleId, { force });
+
+  if (result.status === 'failed' && !NON_RETRYABLE_REASONS.includes(result.reason)) {
+    try {
+      Object.assign(result, scheduleRetry(oracleId, result));
+    } catch (error) {
+      console.error(`[OracleUpdater] Failed to schedule retry for oracle ${oracleId}:`, error);
+    }
+  }
+
+  // Unknown oracles have no history to write to
+  if (result.reason !== UPDATE_REASONS.NOT_FOUND) {
+    try {
+      recordUpdateAttempt({ oracleId, runId, trigger, startedAt, result });
+    } catch (error) {
+      console.error(`[OracleUpdater] Failed to record update attempt for oracle ${oracleId}:`, error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the IDs of oracles whose update is currently running
+ * @returns {string[]} Oracle IDs
+ */
+export function getUpdatesInProgress() {
+  return Array.from(updatesInProgress);
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Run the pipeline unless it is already running for the oracle, turning
+ * unexpected errors into a failed result
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} options - {force}
+ * @returns {Promise<Object>} Update result
+ */
+async function runPipelineOnce(oracleId, { force }) {
+  if (updatesInProgress.has(oracleId)) {
+    return skipped(oracleId, UPDATE_REASONS.IN_PROGRESS, 'An update for this oracle is already running');
+  }
+
+  updatesInProgress.add(oracleId);
+  try {
+    return await executePipeline(oracleId, { force });
+  } catch (error) {
+    console.error(`[OracleUpdater] Update of oracle ${oracleId} failed:`, error);
+
+    // Update oracle configuration with error status
+    try {
+      updateOracleConfig(oracleId, {
+        hasError: true,
+        errorMessage: error.message,
+        lastErrorAt: new Date().toISOString()
+      });
+    } catch (configError) {
+      console.error('[OracleUpdater] Failed to update oracle config with error:', configError);
+    }
+
+    return failed(oracleId, BROADCAST_ERROR_REASONS[error.code] || UPDATE_REASONS.ERROR, error.message || 'Failed to update oracle');
+  } finally {
+    updatesInProgress.delete(oracleId);
+  }
+}
+
+/**
+ * Fetch, check and publish a new value (errors from signing/broadcasting propagate)
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} options - {force}
+ * @returns {Promise<Object>} Update result
+ */
+async function executePipeline(oracleId, { force }) {
+  // ========================================================================
+  // VALIDATION AND SETUP
+  // ========================================================================
+
+  const oracleConfig = getOracleConfig(oracleId);
+  if (!oracleConfig) {
+    return failed(oracleId, UPDATE_REASONS.NOT_FOUND, 'Oracle not found');
+  }
+
+  // Reject malformed configs instead of guessing defaults (records are migrated on load)
+  const configValidation = validateOracleConfig(oracleConfig);
+  if (!configValidation.valid) {
+    return failed(oracleId, UPDATE_REASONS.INVALID_CONFIG, `Invalid oracle configuration: ${configValidation.errors.join('; ')}`);
+  }
+
+  const { priceMultiplier } = oracleConfig;
+  const chainId = getOracleChainId(oracleConfig);
+
+  // Get current blockchain value (and error flag) for comparison
+  let currentValue;
+  let currentHasError;
+  try {
+    const oracleData = await getOracle(oracleId, chainId);
+    currentValue = Number(oracleData[0]); // Convert BigInt to number
+    currentHasError = oracleData[3];
+  } catch (error) {
+    if (isRpcFailure(error)) {
+      return failed(oracleId, UPDATE_REASONS.RPC_UNAVAILABLE, `No RPC endpoint of the oracle's chain is reachable: ${error.shortMessage || error.message}`);
+    }
+    return failed(oracleId, UPDATE_REASONS.NOT_DEPLOYED, 'Oracle not found on blockchain. It may not have been deployed yet.');
+  }
+
+  // A successful update clears the on-chain flag, so a flag set by an operator
+  // holds back publishing until they clear it with PUT /api/oracles/[id]/error
+  if (currentHasError && oracleConfig.onChainErrorSource === 'manual') {
+    const checkedAt = new Date();
+    updateOracleConfig(oracleId, {
+      lastCheckedAt: checkedAt.toISOString(),
+      nextUpdate: getNextRunTime(oracleConfig, checkedAt).toISOString()
+    });
+    return skipped(oracleId, UPDATE_REASONS.FLAGGED_MANUALLY, 'Oracle was flagged manually - clear the error flag to resume updates', {
+      oldValue: currentValue
+    });
+  }
+
+  // ========================================================================
+  // DATA FETCHING AND PROCESSING
+  // ========================================================================
+
+  // Fetch latest data from all configured sources and aggregate it
+  let rawPrice;
+  let sourceValues;
+  let degraded;
+  try {
+    const aggregated = await fetchAggregatedValue(oracleConfig);
+    rawPrice = aggregated.value;
+    sourceValues = aggregated.sources;
+    degraded = aggregated.degraded;
+    console.log(`[OracleUpdater] ${oracleId}: aggregated raw price ${rawPrice} (${aggregated.strategy} of ${aggregated.successCount} source(s))`);
+  } catch (error) {
+    return dataFailure(oracleId, `Failed to fetch data from API: ${error.message}`, { sources: error.sources, degraded: Boolean(error.degraded) });
+  }
+
+  // Convert to cents using configured multiplier
+  const newValue = Math.round(rawPrice * priceMultiplier);
+
+  // Validate the final value
+  if (isNaN(newValue)) {
+    return dataFailure(oracleId, `Invalid final value calculated: ${newValue} from rawPrice: ${rawPrice} * multiplier: ${priceMultiplier}`, {}, UPDATE_REASONS.INVALID_VALUE);
+  }
+
+  // Hold back values that fail the oracle's outlier/deviation guards
+  const guardCheck = checkValueGuards(oracleConfig.guards, {
+    rawValue: rawPrice,
+    newValue,
+    currentValue,
+    sources: sourceValues
+  });
+  if (!guardCheck.passed) {
+    const { flaggedOnChain } = await recordGuardViolation(oracleId, guardCheck.violations, rawPrice);
+    return failed(oracleId, UPDATE_REASONS.GUARD_VIOLATION, `Value held back by guards: ${guardCheck.violations.map(v => v.message).join('; ')}`, {
+      violations: guardCheck.violations,
+      oldValue: currentValue,
+      newValue,
+      sources: sourceValues,
+      degraded,
+      flaggedOnChain
+    });
+  }
+
+  // Decide whether to publish (avoid unnecessary transactions).
+  // An automatically flagged oracle is always republished, since a successful update clears the on-chain flag.
+  const now = new Date();
+  const nextCheck = getNextRunTime(oracleConfig, now);
+  const policyDecision = evaluateUpdatePolicy(oracleConfig, { newValue, currentValue, now });
+  const clearsAutoFlag = currentHasError && oracleConfig.onChainErrorSource === 'auto';
+
+  if (!policyDecision.publish && !clearsAutoFlag && !force) {
+    updateOracleConfig(oracleId, {
+      consecutiveFailures: 0,
+      retryAttempt: 0,
+      nextRetryAt: null,
+      degraded,
+      lastCheckedAt: now.toISOString(),
+      nextUpdate: nextCheck.toISOString()
+    });
+    return skipped(oracleId, policyDecision.reason, policyDecision.reason === UPDATE_REASONS.UNCHANGED
+      ? 'Oracle value unchanged - no update needed'
+      : 'Oracle value within deviation threshold - no update needed', {
+      oldValue: currentValue,
+      newValue,
+      deviationBps: policyDecision.deviationBps,
+      sources: sourceValues,
+      degraded
+    });
+  }
+
+  // ========================================================================
+  // BLOCKCHAIN UPDATE
+  // ========================================================================
+
+  // Get derivation path for signing
+  const derivationPath = getDerivationPath(oracleId);
+
+  // Prepare, sign and broadcast the transaction with the wallet's next nonce, then wait for its receipt
+  const txResult = await sendTrackedTransaction(
+    (nonce) => updateOracle(oracleId, newValue, derivationPath, { nonce, chainId }),
+    derivationPath,
+    { oracleId, kind: 'update', chainId, from: oracleConfig.walletAddress }
+  );
+  const txRecord = await waitForConfirmation(txResult.hash);
+
+  if (txRecord.status === 'reverted') {
+    const message = `Update transaction reverted: ${txRecord.revertReason}`;
+    updateOracleConfig(oracleId, {
+      hasError: true,
+      errorMessage: message,
+      lastErrorAt: new Date().toISOString(),
+      lastTxHash: txResult.hash
+    });
+    return failed(oracleId, UPDATE_REASONS.TX_REVERTED, message, {
+      oldValue: currentValue,
+      newValue,
+      txHash: txResult.hash,
+      blockNumber: txRecord.blockNumber,
+      revertReason: txRecord.revertReason
+    });
+  }
+
+  // ========================================================================
+  // UPDATE LOCAL CONFIGURATION
+  // ========================================================================
+
+  // Update oracle configuration with latest publish and check times
+  updateOracleConfig(oracleId, {
+    lastUpdate: now.toISOString(),
+    lastCheckedAt: now.toISOString(),
+    nextUpdate: nextCheck.toISOString(),
+    hasError: false,
+    errorMessage: '',
+    consecutiveFailures: 0,
+    retryAttempt: 0,
+    nextRetryAt: null,
+    degraded,
+    onChainError: false,
+    onChainErrorSource: null,
+    onChainErrorAt: null,
+    lastTxHash: txResult.hash,
+    lastValue: newValue,
+    lastSourceValues: sourceValues
+  });
+
+  let reason = policyDecision.reason;
+  if (!policyDecision.publish) {
+    reason = clearsAutoFlag ? UPDATE_REASONS.CLEAR_ERROR : UPDATE_REASONS.FORCED;
+  }
+
+  return {
+    oracleId,
+    status: 'published',
+    reason,
+    message: 'Oracle updated successfully',
+    oldValue: currentValue,
+    newValue,
+    change: newValue - currentValue,
+    deviationBps: policyDecision.deviationBps,
+    sources: sourceValues,
+    degraded,
+    txHash: txResult.hash,
+    txStatus: txRecord.status,
+    blockNumber: txRecord.blockNumber
+  };
+}
+
+// ============================================================================
+// RETRIES
+// ============================================================================
+
+/**
+ * Schedule the retry of a failed run with exponential backoff
+ * The retry is dropped once the oracle's retry policy is exhausted, or when
+ * the regular schedule would run the oracle sooner anyway.
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} result - Failed update result
+ * @returns {Object} {retryAttempt, nextRetryAt}
+ */
+function scheduleRetry(oracleId, result) {
+  const config = getOracleConfig(oracleId);
+  const now = new Date();
+  const retryAttempt = (config.retryAttempt || 0) + 1;
+  const delayMs = getRetryDelayMs(config.retryPolicy, retryAttempt);
+
+  const regularRun = getNextRunTime(config, now);
+  let nextRetry = delayMs === null ? null : skipBlackouts(config.schedule, new Date(now.getTime() + delayMs));
+  if (nextRetry && nextRetry >= regularRun) {
+    nextRetry = null;
+  }
+
+  updateOracleConfig(oracleId, {
+    lastCheckedAt: now.toISOString(),
+    nextUpdate: (nextRetry || regularRun).toISOString(),
+    retryAttempt,
+    nextRetryAt: nextRetry ? nextRetry.toISOString() : null,
+    ...(result.degraded !== undefined ? { degraded: result.degraded } : {})
+  });
+
+  if (nextRetry) {
+    console.log(`[OracleUpdater] 🔁 Oracle ${oracleId} failed (${result.reason}) - retry ${retryAttempt} at ${nextRetry.toISOString()}`);
+  } else {
+    console.log(`[OracleUpdater] Oracle ${oracleId} failed (${result.reason}) - next run at ${regularRun.toISOString()}`);
+  }
+
+  return { retryAttempt, nextRetryAt: nextRetry ? nextRetry.toISOString() : null };
+}
+
+// ============================================================================
+// RESULT HELPERS
+// ============================================================================
+
+function skipped(oracleId, reason, message, details = {}) {
+  return { oracleId, status: 'skipped', reason, message, ...details };
+}
+
+function failed(oracleId, reason, error, details = {}) {
+  return { oracleId, status: 'failed', reason, message: error, error, ...details };
+}
+
+/**
+ * Record a data fetch/extraction failure and build the failed result
+ * After enough consecutive failures the oracle is flagged on-chain
+ * @param {string} oracleId - Oracle ID
+ * @param {string} message - Failure description
+ * @param {Object} details - Extra result fields (e.g. per-source results)
+ * @param {string} reason - Failure reason
+ * @returns {Promise<Object>} Update result
+ */
+async function dataFailure(oracleId, message, details = {}, reason = UPDATE_REASONS.DATA_FAILURE) {
+  const { consecutiveFailures, flaggedOnChain } = await recordDataFailure(oracleId, message);
+  return failed(oracleId, reason, message, { ...details, consecutiveFailures, flaggedOnChain });
+}
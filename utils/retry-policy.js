@@ -0,0 +1,90 @@
+// ============================================================================
+// RETRY POLICY
+// ============================================================================
+
+/**
+ * When to retry an oracle whose update failed
+ *
+ * A failed update is retried with exponential backoff instead of on every
+ * scheduler tick. Once `maxAttempts` retries have failed, the oracle falls
+ * back to its regular schedule until an update succeeds again. A retry is
+ * never later than the next regular run.
+ *
+ * retryPolicy: {
+ *   maxAttempts: number,          // Retries after a failure (default 5, 0 disables retries)
+ *   initialDelaySeconds: number,  // Delay before the first retry (default 60)
+ *   maxDelaySeconds: number,      // Upper bound for the delay (default 1800)
+ *   multiplier: number,           // Growth factor per retry (default 2)
+ *   jitter: number                // Random +/- fraction of the delay, 0-1 (default 0.2)
+ * }
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  initialDelaySeconds: 60,
+  maxDelaySeconds: 1800,
+  multiplier: 2,
+  jitter: 0.2
+};
+
+/**
+ * Validate retry policy settings before they are saved
+ * @param {Object} policy - Retry policy settings
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateRetryPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return { valid: true };
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'retryPolicy must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(policy)) {
+    if (!(key in DEFAULT_RETRY_POLICY)) {
+      return { valid: false, error: `Unknown retry policy setting '${key}'` };
+    }
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      return { valid: false, error: `retryPolicy.${key} must be a non-negative number` };
+    }
+  }
+
+  if (policy.maxAttempts !== undefined && !Number.isInteger(policy.maxAttempts)) {
+    return { valid: false, error: 'retryPolicy.maxAttempts must be an integer' };
+  }
+
+  if (policy.multiplier !== undefined && policy.multiplier < 1) {
+    return { valid: false, error: 'retryPolicy.multiplier must be at least 1' };
+  }
+
+  if (policy.jitter !== undefined && policy.jitter > 1) {
+    return { valid: false, error: 'retryPolicy.jitter must be between 0 and 1' };
+  }
+
+  const { initialDelaySeconds, maxDelaySeconds } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  if (initialDelaySeconds > maxDelaySeconds) {
+    return { valid: false, error: 'retryPolicy.initialDelaySeconds cannot exceed maxDelaySeconds' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Calculate the delay before a retry
+ * @param {Object} policy - Oracle's retry policy (may be undefined)
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number|null} Delay in milliseconds, or null if no retries are left
+ */
+export function getRetryDelayMs(policy, attempt) {
+  const { maxAttempts, initialDelaySeconds, maxDelaySeconds, multiplier, jitter } = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+  if (attempt > maxAttempts) {
+    return null;
+  }
+
+  const delaySeconds = Math.min(maxDelaySeconds, initialDelaySeconds * Math.pow(multiplier, attempt - 1));
+  const jitterFactor = 1 + (Math.random() * 2 - 1) * jitter;
+
+  return Math.round(delaySeconds * jitterFactor * 1000);
+}
@@ -0,0 +1,303 @@
+import { getChain } from './chains.js';
+
+// ============================================================================
+// RPC ENDPOINT POOL
+// ============================================================================
+
+/**
+ * Health-checked RPC endpoint selection per chain
+ *
+ * Every chain lists one or more `rpcUrls` (see utils/chains.js). Endpoints
+ * are probed with `eth_blockNumber` at most every
+ * ORACLE_RPC_HEALTH_CHECK_SECONDS; the healthy endpoint with the lowest
+ * latency becomes the chain's active endpoint. An endpoint is unhealthy
+ * when it errors, times out, or is more than ORACLE_RPC_MAX_BLOCK_LAG
+ * blocks behind the highest block reported by the others.
+ *
+ * Calls made through withRpcFailover move on to the next endpoint when the
+ * node fails (network errors, timeouts, 5xx); contract reverts and other
+ * answers from a working node are passed through. A failed endpoint is
+ * skipped for ORACLE_RPC_COOLDOWN_SECONDS, then tried again.
+ *
+ * Health is per process (not persisted): each process probes its own view
+ * of the network. Endpoint state:
+ * {
+ *   url: string,
+ *   healthy: boolean,
+ *   latencyMs: number|null,
+ *   blockNumber: number|null,
+ *   blocksBehind: number|null,
+ *   failures: number,            // Consecutive failures
+ *   lastError: string|null,
+ *   lastCheckedAt: string|null,
+ *   unhealthyUntil: string|null  // End of the cooldown of an unhealthy endpoint
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.ORACLE_RPC_HEALTH_CHECK_SECONDS || '30', 10) * 1000;
+const MAX_BLOCK_LAG = parseInt(process.env.ORACLE_RPC_MAX_BLOCK_LAG || '5', 10);
+const COOLDOWN_MS = parseInt(process.env.ORACLE_RPC_COOLDOWN_SECONDS || '60', 10) * 1000;
+
+// Probe requests slower than this count as failed
+const PROBE_TIMEOUT_MS = 5000;
+
+// ethers error codes and viem error names of a node that failed to answer
+const RPC_FAILURE_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'BAD_DATA', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+const RPC_FAILURE_NAMES = ['HttpRequestError', 'TimeoutError', 'WebSocketRequestError', 'AbortError'];
+
+// Pools by chain ID, created on first use
+const pools = new Map();
+
+/**
+ * Get the endpoint pool of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} {chainId, name, endpoints: Map<url, state>, activeUrl, checkedAt, checking}
+ */
+function getPool(chainId) {
+  if (!pools.has(chainId)) {
+    const chain = getChain(chainId);
+    pools.set(chainId, {
+      chainId,
+      name: chain.name,
+      endpoints: new Map(chain.rpcUrls.map((url) => [url, {
+        url,
+        healthy: true,
+        latencyMs: null,
+        blockNumber: null,
+        blocksBehind: null,
+        failures: 0,
+        lastError: null,
+        lastCheckedAt: null,
+        unhealthyUntil: null
+      }])),
+      activeUrl: chain.rpcUrls[0] || null,
+      checkedAt: null,
+      checking: null
+    });
+  }
+  return pools.get(chainId);
+}
+
+/**
+ * Mark an endpoint unhealthy for a cooldown
+ * @param {Object} endpoint - Endpoint state (modified)
+ * @param {string} message - Reason
+ */
+function markUnhealthy(endpoint, message) {
+  endpoint.healthy = false;
+  endpoint.failures++;
+  endpoint.lastError = message;
+  endpoint.unhealthyUntil = new Date(Date.now() + COOLDOWN_MS).toISOString();
+}
+
+/**
+ * Pick the active endpoint of a pool
+ * Healthy endpoints (or unhealthy ones whose cooldown is over) are ranked by
+ * latency, unprobed ones last in list order. Without any, the endpoint whose
+ * cooldown ends first is tried rather than failing outright.
+ * @param {Object} pool - Endpoint pool (activeUrl is updated)
+ * @param {Set<string>} [exclude] - URLs already tried for the current call
+ * @returns {string|null} Endpoint URL, or null if every endpoint was excluded
+ */
+function selectEndpoint(pool, exclude = new Set()) {
+  const now = Date.now();
+  const candidates = Array.from(pool.endpoints.values()).filter((endpoint) => !exclude.has(endpoint.url));
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const available = candidates
+    .filter((endpoint) => endpoint.healthy || now >= new Date(endpoint.unhealthyUntil).getTime())
+    .sort((a, b) => (a.latencyMs === null ? Infinity : a.latencyMs) - (b.latencyMs === null ? Infinity : b.latencyMs));
+  const selected = available.length > 0
+    ? available[0]
+    : candidates.sort((a, b) => new Date(a.unhealthyUntil) - new Date(b.unhealthyUntil))[0];
+
+  if (selected.url !== pool.activeUrl) {
+    console.log(`[RpcPool] ${pool.name}: active RPC endpoint is now ${selected.url}`);
+    pool.activeUrl = selected.url;
+  }
+  return selected.url;
+}
+
+/**
+ * Ask an endpoint for its latest block
+ * @param {string} url - RPC URL
+ * @returns {Promise<Object>} {blockNumber, latencyMs}
+ * @throws {Error} On network errors, timeouts, HTTP errors and JSON-RPC errors
+ */
+async function probeEndpoint(url) {
+  const startedAt = Date.now();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }),
+    signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  if (body.error || typeof body.result !== 'string') {
+    throw new Error(body.error ? body.error.message : 'Invalid eth_blockNumber response');
+  }
+
+  return { blockNumber: parseInt(body.result, 16), latencyMs: Date.now() - startedAt };
+}
+
+// ============================================================================
+// HEALTH CHECKS
+// ============================================================================
+
+/**
+ * Probe every endpoint of a chain and re-select its active endpoint
+ * Concurrent calls share one round of probes.
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} RPC status of the chain (see getRpcStatus)
+ */
+export async function checkRpcHealth(chainId) {
+  const pool = getPool(chainId);
+
+  if (!pool.checking) {
+    pool.checking = (async () => {
+      const endpoints = Array.from(pool.endpoints.values());
+      const probes = await Promise.allSettled(endpoints.map((endpoint) => probeEndpoint(endpoint.url)));
+      const checkedAt = new Date().toISOString();
+      const highestBlock = Math.max(0, ...probes.filter((probe) => probe.status === 'fulfilled').map((probe) => probe.value.blockNumber));
+
+      endpoints.forEach((endpoint, index) => {
+        const probe = probes[index];
+        endpoint.lastCheckedAt = checkedAt;
+
+        if (probe.status === 'rejected') {
+          endpoint.latencyMs = null;
+          markUnhealthy(endpoint, probe.reason.message || String(probe.reason));
+          return;
+        }
+
+        endpoint.latencyMs = probe.value.latencyMs;
+        endpoint.blockNumber = probe.value.blockNumber;
+        endpoint.blocksBehind = highestBlock - probe.value.blockNumber;
+
+        if (endpoint.blocksBehind > MAX_BLOCK_LAG) {
+          markUnhealthy(endpoint, `${endpoint.blocksBehind} blocks behind`);
+        } else {
+          endpoint.healthy = true;
+          endpoint.failures = 0;
+          endpoint.lastError = null;
+          endpoint.unhealthyUntil = null;
+        }
+      });
+
+      pool.checkedAt = checkedAt;
+      selectEndpoint(pool);
+    })().finally(() => {
+      pool.checking = null;
+    });
+  }
+
+  await pool.checking;
+  return getRpcStatus(chainId);
+}
+
+/**
+ * Get the RPC endpoint states of a chain (as of the last health check)
+ * @param {number} chainId - Chain ID
+ * @returns {Object} {chainId, name, activeUrl, healthy, checkedAt, endpoints}
+ */
+export function getRpcStatus(chainId) {
+  const pool = getPool(chainId);
+  const endpoints = Array.from(pool.endpoints.values()).map((endpoint) => ({ ...endpoint }));
+
+  return {
+    chainId,
+    name: pool.name,
+    activeUrl: pool.activeUrl,
+    healthy: endpoints.some((endpoint) => endpoint.healthy),
+    checkedAt: pool.checkedAt,
+    endpoints
+  };
+}
+
+// ============================================================================
+// ENDPOINT SELECTION
+// ============================================================================
+
+/**
+ * Get the active RPC endpoint of a chain without waiting for a health check
+ * @param {number} chainId - Chain ID
+ * @returns {string|null} Endpoint URL
+ */
+export function getActiveRpcUrl(chainId) {
+  return selectEndpoint(getPool(chainId));
+}
+
+/**
+ * Check whether an error means the RPC node failed, rather than answering
+ * (e.g. with a contract revert or a rejected transaction)
+ * @param {Error} error - Error from ethers, viem or fetch
+ * @returns {boolean} True if another endpoint may succeed
+ */
+export function isRpcFailure(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (RPC_FAILURE_CODES.includes(current.code) || RPC_FAILURE_NAMES.includes(current.name)) {
+      return true;
+    }
+    if (current.name === 'TypeError' && current.message === 'fetch failed') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Run an RPC operation on the chain's active endpoint, failing over to the
+ * next endpoint when the node fails
+ * @param {number} chainId - Chain ID
+ * @param {Function} operation - async (rpcUrl) => result
+ * @returns {Promise<*>} Result of the operation
+ * @throws {Error} Errors that aren't RPC failures, or the last RPC failure once every endpoint was tried
+ */
+export async function withRpcFailover(chainId, operation) {
+  const pool = getPool(chainId);
+
+  // Probe the endpoints on first use, then in the background once the last check is stale
+  if (!pool.checkedAt) {
+    await checkRpcHealth(chainId);
+  } else if (Date.now() - new Date(pool.checkedAt).getTime() >= HEALTH_CHECK_INTERVAL_MS) {
+    checkRpcHealth(chainId).catch((error) => console.error(`[RpcPool] ${pool.name}: health check failed:`, error.message));
+  }
+
+  const tried = new Set();
+  let lastError;
+  let url;
+
+  while ((url = selectEndpoint(pool, tried)) !== null) {
+    tried.add(url);
+    const endpoint = pool.endpoints.get(url);
+
+    try {
+      const result = await operation(url);
+      if (!endpoint.healthy) {
+        console.log(`[RpcPool] ${pool.name}: ${url} is answering again`);
+        Object.assign(endpoint, { healthy: true, failures: 0, lastError: null, unhealthyUntil: null });
+      }
+      return result;
+    } catch (error) {
+      if (!isRpcFailure(error)) {
+        throw error;
+      }
+
+      lastError = error;
+      markUnhealthy(endpoint, error.shortMessage || error.message);
+      console.warn(`[RpcPool] ${pool.name}: ${url} failed (${endpoint.lastError})${tried.size < pool.endpoints.size ? ' - failing over' : ''}`);
+    }
+  }
+
+  throw lastError || new Error(`No RPC endpoint configured for ${pool.name}`);
+}
@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import { getStore } from './storage.js';
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+/**
+ * Persistent log of scheduler ticks and oracle update attempts
+ *
+ * Scheduler runs (collection `scheduler-runs`), one per tick of the active scheduler:
+ * {
+ *   id, startedAt, finishedAt, durationMs, holderId,
+ *   status: 'running' | 'completed' | 'overlap' | 'error',
+ *   dueOracleIds: string[],
+ *   skipped: [{oracleId, reason}],   // Oracles the tick didn't attempt, and why
+ *   results: [{oracleId, status, reason}],
+ *   error?: string
+ * }
+ *
+ * Update attempts (collection `oracle-history-<oracleId>`), one per pipeline run:
+ * {
+ *   id, oracleId, runId, trigger: 'scheduler' | 'manual',
+ *   startedAt, finishedAt, durationMs,
+ *   status, reason, message, oldValue, newValue, txHash, error
+ * }
+ *
+ * Both are pruned by age and count on every write.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const HISTORY_DAYS = parseFloat(process.env.ORACLE_HISTORY_DAYS || '7');
+const MAX_RUNS = parseInt(process.env.ORACLE_HISTORY_MAX_RUNS || '5000', 10);
+const MAX_ATTEMPTS_PER_ORACLE = parseInt(process.env.ORACLE_HISTORY_MAX_ATTEMPTS || '1000', 10);
+
+const RUNS_COLLECTION = 'scheduler-runs';
+const ATTEMPTS_COLLECTION_PREFIX = 'oracle-history-';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create a time-ordered record ID
+ * @returns {string} Record ID
+ */
+function createRecordId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Get the attempts collection of an oracle
+ * @param {string} oracleId - Oracle ID
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the ID isn't a valid oracle ID (it becomes part of a file name)
+ */
+function getAttemptStore(oracleId) {
+  if (!/^[a-z0-9-_]+$/.test(oracleId)) {
+    throw new Error(`Invalid oracle ID '${oracleId}'`);
+  }
+  return getStore(`${ATTEMPTS_COLLECTION_PREFIX}${oracleId}`);
+}
+
+/**
+ * Remove records older than HISTORY_DAYS and beyond maxCount (oldest first)
+ * @param {Object} tx - Transaction record operations
+ * @param {number} maxCount - Maximum number of records to keep
+ */
+function pruneRecords(tx, maxCount) {
+  const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const records = Object.values(tx.list()).sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  records.forEach((record, index) => {
+    if (index >= maxCount || new Date(record.startedAt).getTime() < cutoff) {
+      tx.delete(record.id);
+    }
+  });
+}
+
+/**
+ * Filter and order history records, newest first
+ * @param {Object[]} records - History records
+ * @param {Object} filters - {limit, since, until, status}
+ * @returns {Object[]} Matching records
+ */
+function queryRecords(records, { limit = 50, since, until, status } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  return records
+    .filter((record) => {
+      const time = new Date(record.startedAt).getTime();
+      return time >= sinceTime && time <= untilTime && (!status || record.status === status);
+    })
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Parse history filters from API query parameters
+ * @param {Object} query - {limit, since, until, status}
+ * @returns {Object} Filters for listSchedulerRuns/getOracleHistory
+ * @throws {Error} If a parameter is invalid
+ */
+export function parseHistoryFilters({ limit, since, until, status } = {}) {
+  const filters = { limit: 50 };
+
+  if (limit !== undefined) {
+    filters.limit = parseInt(limit, 10);
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+      throw new Error('limit must be a number between 1 and 1000');
+    }
+  }
+
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value !== undefined) {
+      if (isNaN(new Date(value).getTime())) {
+        throw new Error(`${name} must be a valid date`);
+      }
+      filters[name] = value;
+    }
+  }
+
+  if (status !== undefined) {
+    filters.status = status;
+  }
+
+  return filters;
+}
+
+// ============================================================================
+// SCHEDULER RUNS
+// ============================================================================
+
+/**
+ * Persist the start of a scheduler tick
+ * @param {Object} details - {holderId}
+ * @returns {Object} Run record (pass it to finishSchedulerRun)
+ */
+export function startSchedulerRun({ holderId = null } = {}) {
+  const run = {
+    id: createRecordId(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    holderId,
+    status: 'running',
+    dueOracleIds: [],
+    skipped: [],
+    results: []
+  };
+
+  getStore(RUNS_COLLECTION).transaction((tx) => {
+    tx.put(run.id, run);
+    pruneRecords(tx, MAX_RUNS);
+  });
+
+  return run;
+}
+
+/**
+ * Persist the outcome of a scheduler tick
+ * @param {Object} run - Run record from startSchedulerRun
+ * @param {Object} outcome - {status, dueOracleIds, skipped, results, error}
+ * @returns {Object} Finished run record
+ */
+export function finishSchedulerRun(run, { status = 'completed', dueOracleIds = [], skipped = [], results = [], error } = {}) {
+  const finishedAt = new Date();
+  const finished = {
+    ...run,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+    status,
+    dueOracleIds,
+    skipped,
+    results: results.map(({ oracleId, status: resultStatus, reason }) => ({ oracleId, status: resultStatus, reason })),
+    ...(error ? { error } : {})
+  };
+
+  getStore(RUNS_COLLECTION).put(run.id, finished);
+  return finished;
+}
+
+/**
+ * List scheduler runs, newest first
+ * @param {Object} [filters] - {limit, since, until, status}
+ * @returns {Object[]} Run records
+ */
+export function listSchedulerRuns(filters) {
+  return queryRecords(Object.values(getStore(RUNS_COLLECTION).list()), filters);
+}
+
+// ============================================================================
+// ORACLE UPDATE ATTEMPTS
+// ============================================================================
+
+/**
+ * Persist one run of the update pipeline
+ * @param {Object} attempt - {oracleId, runId, trigger, startedAt, result}
+ * @returns {Object} Attempt record
+ */
+export function recordUpdateAttempt({ oracleId, runId = null, trigger = 'manual', startedAt, result }) {
+  const finishedAt = new Date();
+  const record = {
+    id: createRecordId(),
+    oracleId,
+    runId,
+    trigger,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    status: result.status,
+    reason: result.reason,
+    message: result.message,
+    oldValue: result.oldValue !== undefined ? result.oldValue : null,
+    newValue: result.newValue !== undefined ? result.newValue : null,
+    txHash: result.txHash || null,
+    error: result.error || null
+  };
+
+  getAttemptStore(oracleId).transaction((tx) => {
+    tx.put(record.id, record);
+    pruneRecords(tx, MAX_ATTEMPTS_PER_ORACLE);
+  });
+
+  return record;
+}
+
+/**
+ * List the update attempts of an oracle, newest first
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} [filters] - {limit, since, until, status}
+ * @returns {Object[]} Attempt records
+ */
+export function getOracleHistory(oracleId, filters) {
+  return queryRecords(Object.values(getAttemptStore(oracleId).list()), filters);
+}
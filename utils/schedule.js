@@ -0,0 +1,548 @@
+// ============================================================================
+// UPDATE SCHEDULES
+// ============================================================================
+
+/**
+ * When an oracle is checked for an update
+ *
+ * By default an oracle is checked every `updateInterval` minutes. An optional
+ * `schedule` switches it to a cron expression, evaluated in a timezone, and
+ * can block out time windows in which no check runs:
+ *
+ * schedule: {
+ *   cron: string,        // 5-field cron, e.g. '*\/5 9-16 * * MON-FRI' (optional)
+ *   timezone: string,    // IANA timezone for cron and blackouts (default: 'UTC')
+ *   blackouts: [         // Optional, interval and cron schedules alike
+ *     { start: 'HH:MM', end: 'HH:MM', days: [0-6] }, // Daily window, optionally on some weekdays only
+ *     { from: ISO date, until: ISO date }            // One-off window
+ *   ]
+ * }
+ *
+ * A daily window whose end is before its start runs past midnight and one
+ * whose start equals its end covers the whole day; `days` refers to the day
+ * the window starts on. This module has no server-only imports so
+ * the wizard can use it to preview fire times.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const MINUTE_MS = 60 * 1000;
+
+// Bounds of a fire time search, shared by all its loops (it runs inside API
+// requests, so it must stay cheap): how far ahead to look - enough for
+// '0 0 29 2 *' - and how many times the calendar may be evaluated on the way
+const SEARCH_HORIZON_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+const MAX_SEARCH_STEPS = 20000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// CRON PARSING
+// ============================================================================
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ *
+ * Supports `*`, ranges (`1-5`), steps (`*\/15`, `9-17/2`), lists (`1,15`),
+ * month and weekday names (`JAN`, `MON-FRI`) and the `@hourly`, `@daily`,
+ * `@weekly`, `@monthly` and `@yearly` macros. Weekday 7 is Sunday, like 0.
+ *
+ * @param {string} expression - Cron expression
+ * @returns {Object} Allowed values per field plus dayOfMonthRestricted/dayOfWeekRestricted
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field);
+  });
+
+  // Sunday is both 0 and 7
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Like standard cron: when both day fields are restricted, either one may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*' && parts[2] !== '?';
+  parsed.dayOfWeekRestricted = parts[4] !== '*' && parts[4] !== '?';
+
+  return parsed;
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} If the field is malformed or out of range
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  const toNumber = (token) => {
+    const nameIndex = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+    if (nameIndex !== -1) {
+      return nameIndex + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} value '${token}'`);
+    }
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+      throw new Error(`${field.name} value ${value} is out of range (${field.min}-${field.max})`);
+    }
+    return value;
+  };
+
+  for (const item of text.split(',')) {
+    const [rangeText, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid ${field.name} step '${stepText}'`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*' || rangeText === '?') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [startText, endText] = rangeText.split('-');
+      start = toNumber(startText);
+      end = toNumber(endText);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range '${rangeText}'`);
+      }
+    } else {
+      start = toNumber(rangeText);
+      // `5/15` means "from 5, every 15"
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// ============================================================================
+// TIMEZONES
+// ============================================================================
+
+const formatterCache = new Map();
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone, e.g. 'America/New_York'
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock fields of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} {year, month (1-12), day, hour, minute, weekday (0 = Sunday)}
+ */
+function getZonedParts(date, timezone) {
+  let formatter = formatterCache.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatterCache.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate schedule settings before they are saved
+ * @param {Object} schedule - Schedule settings
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateSchedule(schedule) {
+  if (schedule === undefined || schedule === null) {
+    return { valid: true };
+  }
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { valid: false, error: 'schedule must be an object' };
+  }
+
+  for (const key of Object.keys(schedule)) {
+    if (!['cron', 'timezone', 'blackouts'].includes(key)) {
+      return { valid: false, error: `Unknown schedule setting '${key}'` };
+    }
+  }
+
+  if (schedule.cron !== undefined) {
+    try {
+      parseCronExpression(schedule.cron);
+    } catch (error) {
+      return { valid: false, error: `schedule.cron: ${error.message}` };
+    }
+  }
+
+  if (schedule.timezone !== undefined && (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone))) {
+    return { valid: false, error: `schedule.timezone '${schedule.timezone}' is not a valid IANA timezone` };
+  }
+
+  if (schedule.blackouts !== undefined) {
+    if (!Array.isArray(schedule.blackouts)) {
+      return { valid: false, error: 'schedule.blackouts must be an array' };
+    }
+
+    for (const [index, blackout] of schedule.blackouts.entries()) {
+      const error = validateBlackout(blackout);
+      if (error) {
+        return { valid: false, error: `schedule.blackouts[${index}]: ${error}` };
+      }
+    }
+  }
+
+  // A well-formed schedule may still never fire (e.g. '0 0 31 2 *', or blackouts covering every fire time)
+  try {
+    getNextRunTime({ schedule, updateInterval: 1 }, new Date());
+  } catch (error) {
+    return { valid: false, error: `schedule: ${error.message}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a single blackout window
+ * @param {Object} blackout - Blackout window
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBlackout(blackout) {
+  if (!blackout || typeof blackout !== 'object') {
+    return 'must be an object';
+  }
+
+  if (blackout.from !== undefined || blackout.until !== undefined) {
+    const from = new Date(blackout.from);
+    const until = new Date(blackout.until);
+    if (isNaN(from.getTime()) || isNaN(until.getTime())) {
+      return 'from and until must be valid dates';
+    }
+    if (from >= until) {
+      return 'from must be before until';
+    }
+    return null;
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!timePattern.test(blackout.start || '') || !timePattern.test(blackout.end || '')) {
+    return 'start and end must be times formatted as HH:MM (or use from/until dates)';
+  }
+  if (blackout.days !== undefined) {
+    if (!Array.isArray(blackout.days) || blackout.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// BLACKOUT WINDOWS
+// ============================================================================
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Find the blackout window covering a moment
+ * @param {Object} schedule - Schedule settings (may be undefined)
+ * @param {Date} date - Moment to check
+ * @returns {Date|null} When the covering blackout ends, or null if none covers it
+ */
+export function getBlackoutEnd(schedule, date) {
+  if (!schedule || !Array.isArray(schedule.blackouts) || schedule.blackouts.length === 0) {
+    return null;
+  }
+
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const parts = getZonedParts(date, timezone);
+  const minuteOfDay = parts.hour * 60 + parts.minute;
+
+  for (const blackout of schedule.blackouts) {
+    if (blackout.from !== undefined) {
+      const from = new Date(blackout.from);
+      const until = new Date(blackout.until);
+      if (date >= from && date < until) {
+        return until;
+      }
+      continue;
+    }
+
+    const start = toMinutes(blackout.start);
+    const end = toMinutes(blackout.end);
+    const onDay = (weekday) => !blackout.days || blackout.days.includes(weekday);
+
+    let minutesLeft = null;
+    if (start === end) {
+      if (onDay(parts.weekday)) {
+        minutesLeft = 24 * 60 - minuteOfDay;
+      }
+    } else if (start < end) {
+      if (minuteOfDay >= start && minuteOfDay < end && onDay(parts.weekday)) {
+        minutesLeft = end - minuteOfDay;
+      }
+    } else if (minuteOfDay >= start && onDay(parts.weekday)) {
+      // Started today, ends tomorrow
+      minutesLeft = 24 * 60 - minuteOfDay + end;
+    } else if (minuteOfDay < end && onDay((parts.weekday + 6) % 7)) {
+      // Started yesterday
+      minutesLeft = end - minuteOfDay;
+    }
+
+    if (minutesLeft !== null) {
+      const minuteStart = Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS;
+      return new Date(minuteStart + minutesLeft * MINUTE_MS);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a moment falls into one of the schedule's blackout windows
+ * @param {Object} schedule - Schedule settings (may be undefined)
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True if blacked out
+ */
+export function isInBlackout(schedule, date) {
+  return getBlackoutEnd(schedule, date) !== null;
+}
+
+/**
+ * Move a moment past any blackout windows covering it
+ * @param {Object} schedule - Schedule settings (may be undefined)
+ * @param {Date} date - Candidate time
+ * @returns {Date} The candidate, or the first moment after the blackout(s)
+ */
+export function skipBlackouts(schedule, date) {
+  return skipBlackoutsWithin(schedule, date, createSearch(date));
+}
+
+/**
+ * Move a moment past any blackout windows covering it, within a search's bounds
+ * @param {Object} schedule - Schedule settings (may be undefined)
+ * @param {Date} date - Candidate time
+ * @param {Object} search - Search bounds (see createSearch)
+ * @returns {Date} The candidate, or the first moment after the blackout(s)
+ * @throws {Error} If the blackouts cover the whole search horizon
+ */
+function skipBlackoutsWithin(schedule, date, search) {
+  let candidate = date;
+
+  while (takeSearchStep(search, candidate)) {
+    const blackoutEnd = getBlackoutEnd(schedule, candidate);
+    if (!blackoutEnd) {
+      return candidate;
+    }
+    candidate = blackoutEnd;
+  }
+
+  throw new Error('Schedule is blacked out for the foreseeable future (no time outside the blackout windows within 5 years)');
+}
+
+// ============================================================================
+// FIRE TIMES
+// ============================================================================
+
+/**
+ * Start a bounded fire time search
+ * @param {Date} from - Search start
+ * @returns {Object} {horizon: number (ms timestamp), steps: number (left)}
+ */
+function createSearch(from) {
+  return { horizon: from.getTime() + SEARCH_HORIZON_MS, steps: MAX_SEARCH_STEPS };
+}
+
+/**
+ * Count one calendar evaluation against a search's bounds
+ * @param {Object} search - Search bounds (see createSearch)
+ * @param {Date|number} time - Time about to be evaluated
+ * @returns {boolean} False once the time is past the horizon or the steps are used up
+ */
+function takeSearchStep(search, time) {
+  if (search.steps <= 0 || Number(time) > search.horizon) {
+    return false;
+  }
+  search.steps--;
+  return true;
+}
+
+/**
+ * Find the first minute strictly after `after` that matches a cron expression
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} after - Search start (exclusive)
+ * @param {string} timezone - IANA timezone the expression is evaluated in
+ * @param {Object} search - Search bounds (see createSearch)
+ * @returns {Date|null} Next matching minute, or null if none is within the search bounds (e.g. '0 0 31 2 *')
+ */
+function nextCronTime(cron, after, timezone, search) {
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (takeSearchStep(search, time)) {
+    const parts = getZonedParts(new Date(time), timezone);
+    const minutesToNextDay = 24 * 60 - (parts.hour * 60 + parts.minute);
+    const minutesToNextHour = 60 - parts.minute;
+
+    if (!cron.month.has(parts.month)) {
+      const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+      time += ((daysInMonth - parts.day) * 24 * 60 + minutesToNextDay) * MINUTE_MS;
+      continue;
+    }
+
+    const dayOfMonthMatches = cron.dayOfMonth.has(parts.day);
+    const dayOfWeekMatches = cron.dayOfWeek.has(parts.weekday);
+    const dayMatches = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+      ? dayOfMonthMatches || dayOfWeekMatches
+      : dayOfMonthMatches && dayOfWeekMatches;
+
+    if (!dayMatches) {
+      time += minutesToNextDay * MINUTE_MS;
+      continue;
+    }
+
+    if (!cron.hour.has(parts.hour)) {
+      const nextHour = [...cron.hour].sort((a, b) => a - b).find((hour) => hour > parts.hour);
+      time += (nextHour !== undefined ? (nextHour - parts.hour) * 60 - parts.minute : minutesToNextDay) * MINUTE_MS;
+      continue;
+    }
+
+    if (!cron.minute.has(parts.minute)) {
+      const nextMinute = [...cron.minute].sort((a, b) => a - b).find((minute) => minute > parts.minute);
+      time += (nextMinute !== undefined ? nextMinute - parts.minute : minutesToNextHour) * MINUTE_MS;
+      continue;
+    }
+
+    return new Date(time);
+  }
+
+  return null;
+}
+
+/**
+ * Calculate when an oracle should next be checked
+ * @param {Object} config - Oracle configuration (updateInterval, schedule)
+ * @param {Date} after - Time of the last check
+ * @returns {Date} Next check time (never inside a blackout window)
+ */
+export function getNextRunTime(config, after) {
+  const schedule = config.schedule;
+
+  if (schedule && schedule.cron) {
+    const cron = parseCronExpression(schedule.cron);
+    const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+
+    const search = createSearch(after);
+
+    let candidate = nextCronTime(cron, after, timezone, search);
+    if (!candidate) {
+      throw new Error('Cron expression never fires (no matching time within 5 years)');
+    }
+
+    while (candidate && takeSearchStep(search, candidate)) {
+      const blackoutEnd = getBlackoutEnd(schedule, candidate);
+      if (!blackoutEnd) {
+        return candidate;
+      }
+      // First fire time at or after the end of the blackout
+      candidate = nextCronTime(cron, new Date(blackoutEnd.getTime() - 1), timezone, search);
+    }
+
+    throw new Error('Schedule is blacked out for the foreseeable future (no fire time outside the blackout windows within 5 years)');
+  }
+
+  const next = new Date(after.getTime() + config.updateInterval * MINUTE_MS);
+  return skipBlackoutsWithin(schedule, next, createSearch(next));
+}
+
+/**
+ * List the next fire times of a schedule (used for previews)
+ * @param {Object} config - Oracle configuration (updateInterval, schedule)
+ * @param {number} count - Number of fire times
+ * @param {Date} [from] - Start time (default: now)
+ * @returns {Date[]} Upcoming fire times
+ */
+export function getNextFireTimes(config, count = 5, from = new Date()) {
+  const times = [];
+  let after = from;
+
+  for (let index = 0; index < count; index++) {
+    after = getNextRunTime(config, after);
+    times.push(after);
+  }
+
+  return times;
+}
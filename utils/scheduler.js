@@ -1,5 +1,16 @@
-import { loadOracleConfigs } from './oracle-manager.js';
+import { loadOracleConfigs, resumeOracle } from './oracle-manager.js';
+import { validateOracleConfig } from './oracle-schema.js';
 import { getOracle } from './theta.js';
+import { getNextRunTime } from './schedule.js';
+import { runOracleUpdate, UPDATE_REASONS } from './oracle-updater.js';
+import { getStore } from './storage.js';
+import { createLease } from './lease.js';
+import { startSchedulerRun, finishSchedulerRun } from './run-history.js';
+import { replaceStuckTransactions } from './tx-tracker.js';
+import { getOracleChainId } from './chains.js';
+import { isRpcFailure } from './rpc-pool.js';
+import { runTopUps } from './treasury.js';
+import { startAlertMonitor } from './alerts.js';
 
 // ============================================================================
 // ORACLE SCHEDULER SYSTEM
@@ -10,54 +21,172 @@ import { getOracle } from './theta.js';
  * 
  * This scheduler:
  * - Runs every minute to check for due updates
- * - Uses lastUpdate + updateInterval to determine if update is needed
- * - Calls the update API endpoint for each due oracle
+ * - Skips paused (isActive: false) and archived oracles
+ * - Uses lastCheckedAt (or lastUpdate) + updateInterval, or the oracle's cron schedule,
+ *   to determine if a check is needed (see utils/schedule.js)
+ * - Runs the update pipeline (utils/oracle-updater.js) for each due oracle, up to
+ *   ORACLE_SCHEDULER_CONCURRENCY updates in parallel
+ * - Serializes updates that share a wallet (each oracle normally has its own
+ *   derived wallet, so there is no shared nonce between oracles)
+ * - Skips a tick while the previous cycle is still running
+ * - Only runs cycles while it holds the scheduler lease, so exactly one
+ *   process (container, or module instance after a hot reload) is active
+ * - Records every tick and update attempt (see utils/run-history.js)
+ * - Re-sends transactions stuck in the mempool with bumped fees (see utils/tx-tracker.js)
+ * - Starts the alert monitor on auto-start (see utils/alerts.js); it keeps running
+ *   while the scheduler is stopped
  * - Handles errors gracefully and continues running
  */
 
+// Maximum number of oracle updates running at the same time
+const MAX_CONCURRENT_UPDATES = Math.max(1, parseInt(process.env.ORACLE_SCHEDULER_CONCURRENCY || '5', 10) || 5);
+
+// Leader lease lifetime - renewed every tick, so a dead leader is replaced after this long
+const LEASE_TTL_SECONDS = Math.max(90, parseInt(process.env.ORACLE_SCHEDULER_LEASE_SECONDS || '180', 10) || 180);
+
 let schedulerInterval = null;
 let isRunning = false;
+let cycleInProgress = false; // True while a scheduler cycle is running
 let updatingOracles = new Set(); // Track oracles currently being updated
+let activeUpdates = 0; // Updates holding a concurrency slot
+const slotWaiters = []; // Updates waiting for a concurrency slot
+const walletQueues = new Map(); // Wallet address -> tail of that wallet's update queue
+let lease = null; // Scheduler leader lease (created on start)
+let isLeader = false;
+
+// ============================================================================
+// CONCURRENCY CONTROL
+// ============================================================================
+
+/**
+ * Run a task once one of the MAX_CONCURRENT_UPDATES slots is free
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+async function withConcurrencyLimit(task) {
+  if (activeUpdates < MAX_CONCURRENT_UPDATES) {
+    activeUpdates++;
+  } else {
+    // The releasing task hands its slot over directly
+    await new Promise(resolve => slotWaiters.push(resolve));
+  }
+  
+  try {
+    return await task();
+  } finally {
+    const next = slotWaiters.shift();
+    if (next) {
+      next();
+    } else {
+      activeUpdates--;
+    }
+  }
+}
+
+/**
+ * Queue a task behind earlier tasks for the same wallet
+ * Transactions from one wallet must not race each other for a nonce.
+ * @param {string} walletKey - Wallet address (or another per-wallet key)
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+function enqueueForWallet(walletKey, task) {
+  const previous = walletQueues.get(walletKey) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  
+  walletQueues.set(walletKey, tail);
+  tail.then(() => {
+    if (walletQueues.get(walletKey) === tail) {
+      walletQueues.delete(walletKey);
+    }
+  });
+  
+  return run;
+}
 
 // ============================================================================
 // SCHEDULER FUNCTIONS
 // ============================================================================
 
 /**
- * Calculate the next update time for an oracle
+ * Calculate the next check time for an oracle
+ * The update route decides whether a check actually publishes (see utils/update-policy.js),
+ * so the interval counts from the last check (including failed ones), not the last publish
  * @param {Object} oracle - Oracle configuration
- * @returns {Date|null} Next update time or null if never updated
+ * @returns {Date|null} Next check time, or null if the schedule can't be evaluated
  */
 export function calculateNextUpdate(oracle) {
-  if (!oracle.lastUpdate) {
-    return new Date(); // Update immediately if never updated
-  }
-  
-  const lastUpdate = new Date(oracle.lastUpdate);
-  const intervalMs = (oracle.updateInterval || oracle.updateIntervalMinutes || 60) * 60 * 1000; // Convert minutes to milliseconds
+  const lastCheck = oracle.lastCheckedAt || oracle.lastUpdate;
   
-  return new Date(lastUpdate.getTime() + intervalMs);
+  try {
+    if (!lastCheck) {
+      // Never updated: check right away on interval schedules, at the first fire time on cron schedules
+      const now = new Date();
+      return oracle.schedule && oracle.schedule.cron
+        ? getNextRunTime(oracle, new Date(oracle.createdAt || now.getTime() - 60 * 1000))
+        : getNextRunTime({ ...oracle, updateInterval: 0 }, now);
+    }
+    
+    const regularRun = getNextRunTime(oracle, new Date(lastCheck));
+    
+    // Failed updates are retried with backoff (see utils/retry-policy.js)
+    if (oracle.nextRetryAt && new Date(oracle.nextRetryAt) < regularRun) {
+      return new Date(oracle.nextRetryAt);
+    }
+    
+    return regularRun;
+  } catch (error) {
+    console.error(`[Scheduler] Cannot evaluate schedule of oracle ${oracle.name}:`, error.message);
+    return null;
+  }
 }
 
 /**
  * Get all oracles that are due for an update
+ * @param {Array} [skipped] - Receives {oracleId, reason} for oracles left out (except archived and not yet due)
  * @returns {Promise<Array>} Array of oracle configs that need updating
  */
-export async function getOraclesDueForUpdate() {
+export async function getOraclesDueForUpdate(skipped = []) {
   try {
     const configs = loadOracleConfigs();
     const currentTime = new Date();
     const dueOracles = [];
     
     for (const [oracleId, config] of Object.entries(configs)) {
+      // Skip malformed configs - they are reported when the store is loaded
+      if (!validateOracleConfig(config).valid) {
+        console.log(`Skipping oracle ${oracleId} - invalid configuration`);
+        skipped.push({ oracleId, reason: 'invalid_config' });
+        continue;
+      }
+      
+      // Archived oracles are kept for reference only
+      if (config.archived) {
+        continue;
+      }
+      
+      // Skip paused oracles, resuming those whose pause-until time has passed
+      if (config.isActive === false) {
+        if (config.pausedUntil && currentTime >= new Date(config.pausedUntil)) {
+          console.log(`[Scheduler] ▶️ Pause expired for oracle ${oracleId} - resuming`);
+          resumeOracle(oracleId);
+        } else {
+          skipped.push({ oracleId, reason: 'paused' });
+          continue;
+        }
+      }
+      
       try {
         // Check if oracle exists on blockchain first
-        await getOracle(oracleId);
+        await getOracle(oracleId, getOracleChainId(config));
         
         // Calculate next update time
         const nextUpdate = calculateNextUpdate(config);
         
-        if (nextUpdate && currentTime >= nextUpdate) {
+        if (!nextUpdate) {
+          skipped.push({ oracleId, reason: 'schedule_error' });
+        } else if (currentTime >= nextUpdate) {
           dueOracles.push({
             ...config,
             id: oracleId,
@@ -65,8 +194,9 @@ export async function getOraclesDueForUpdate() {
           });
         }
       } catch (error) {
-        // Skip oracles that don't exist on blockchain
+        // Skip oracles that don't exist on blockchain, or whose chain can't be reached right now
         console.log(`Skipping oracle ${oracleId} - not deployed or error:`, error.message);
+        skipped.push({ oracleId, reason: isRpcFailure(error) ? 'rpc_unavailable' : 'not_deployed' });
       }
     }
     
@@ -78,15 +208,16 @@ export async function getOraclesDueForUpdate() {
 }
 
 /**
- * Execute an oracle update by calling the update API
+ * Execute an oracle update through the shared update pipeline
  * @param {string} oracleId - Oracle ID to update
- * @returns {Promise<boolean>} True if update was successful
+ * @param {string} [runId] - Scheduler run the update belongs to (for the history)
+ * @returns {Promise<Object>} Update result (see utils/oracle-updater.js)
  */
-export async function executeOracleUpdate(oracleId) {
+export async function executeOracleUpdate(oracleId, runId = null) {
   // Check if oracle is already being updated
   if (updatingOracles.has(oracleId)) {
     console.log(`[Scheduler] ⏭️ Skipping oracle ${oracleId} - already updating`);
-    return false;
+    return { oracleId, status: 'skipped', reason: UPDATE_REASONS.IN_PROGRESS, message: 'Already updating' };
   }
   
   try {
@@ -94,47 +225,92 @@ export async function executeOracleUpdate(oracleId) {
     updatingOracles.add(oracleId);
     console.log(`[Scheduler] 🔄 Updating oracle: ${oracleId}`);
     
-    // Call the update API endpoint
-    const response = await fetch(`http://localhost:3000/api/oracles/${oracleId}/update`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    const result = await response.json();
+    const result = await runOracleUpdate(oracleId, { trigger: 'scheduler', runId });
     
-    if (result.success) {
-      console.log(`[Scheduler] ✅ Successfully updated oracle ${oracleId}`);
-      return true;
+    if (result.status === 'published') {
+      console.log(`[Scheduler] ✅ Published oracle ${oracleId} (${result.reason}): ${result.oldValue} → ${result.newValue}`);
+    } else if (result.status === 'skipped') {
+      console.log(`[Scheduler] ⏸️ Oracle ${oracleId} not published (${result.reason})`);
+    } else if (result.reason === UPDATE_REASONS.TX_PENDING) {
+      console.log(`[Scheduler] ⏳ Oracle ${oracleId} has pending transaction - will retry later`);
+    } else if (result.reason === UPDATE_REASONS.NONCE_TOO_LOW) {
+      console.log(`[Scheduler] 🔄 Oracle ${oracleId} nonce issue - may have been processed already`);
     } else {
-      // Handle specific error cases
-      if (result.error && result.error.includes('already pending')) {
-        console.log(`[Scheduler] ⏳ Oracle ${oracleId} has pending transaction - will retry later`);
-      } else if (result.error && result.error.includes('Nonce error')) {
-        console.log(`[Scheduler] 🔄 Oracle ${oracleId} nonce issue - may have been processed already`);
-      } else {
-        console.error(`[Scheduler] ❌ Failed to update oracle ${oracleId}:`, result.error);
-      }
-      return false;
+      console.error(`[Scheduler] ❌ Failed to update oracle ${oracleId} (${result.reason}):`, result.error);
     }
-  } catch (error) {
-    console.error(`[Scheduler] ❌ Error updating oracle ${oracleId}:`, error);
-    return false;
+    
+    return result;
   } finally {
     // Always remove from updating set when done
     updatingOracles.delete(oracleId);
   }
 }
 
+/**
+ * Take or renew the scheduler lease
+ * @returns {boolean} True if this process is the active scheduler
+ */
+function renewLeadership() {
+  let leader;
+  try {
+    leader = lease.acquire();
+  } catch (error) {
+    console.error('[Scheduler] Failed to renew scheduler lease:', error.message);
+    leader = false;
+  }
+  
+  if (leader && !isLeader) {
+    console.log(`[Scheduler] 👑 Acquired scheduler lease (${lease.holderId})`);
+  } else if (!leader && isLeader) {
+    console.log('[Scheduler] Lost scheduler lease - standing by');
+  }
+  
+  isLeader = leader;
+  return leader;
+}
+
 /**
  * Main scheduler loop - checks for due updates every minute
  */
 async function schedulerLoop() {
+  // Renew the lease every tick, even while a long cycle is still running
+  if (!renewLeadership()) {
+    const { holderId, expiresAt } = lease.getInfo();
+    console.log(`[Scheduler] Standing by - lease held by ${holderId} until ${expiresAt}`);
+    return;
+  }
+  
+  // Don't stack a new cycle on top of one that is still running
+  if (cycleInProgress) {
+    console.log('[Scheduler] ⏭️ Previous cycle still running - skipping this tick');
+    const run = recordRunStart();
+    recordRunFinish(run, { status: 'overlap' });
+    return;
+  }
+  
+  cycleInProgress = true;
+  const run = recordRunStart();
+  const outcome = { status: 'completed', dueOracleIds: [], skipped: [], results: [] };
+  
   try {
+    // Unstick pending transactions first, so new updates don't queue behind them
+    try {
+      await replaceStuckTransactions();
+    } catch (error) {
+      console.error('[Scheduler] Error replacing stuck transactions:', error);
+    }
+    
+    // Refill low oracle wallets from the treasury (see utils/treasury.js)
+    try {
+      await runTopUps();
+    } catch (error) {
+      console.error('[Scheduler] Error topping up oracle wallets:', error);
+    }
+    
     console.log('[Scheduler] Checking for oracle updates...');
     
-    const dueOracles = await getOraclesDueForUpdate();
+    const dueOracles = await getOraclesDueForUpdate(outcome.skipped);
+    outcome.dueOracleIds = dueOracles.map(oracle => oracle.id);
     
     if (dueOracles.length === 0) {
       console.log('[Scheduler] No oracles due for update');
@@ -143,6 +319,9 @@ async function schedulerLoop() {
     
     // Filter out oracles that are already being updated
     const availableOracles = dueOracles.filter(oracle => !updatingOracles.has(oracle.id));
+    dueOracles
+      .filter(oracle => updatingOracles.has(oracle.id))
+      .forEach(oracle => outcome.skipped.push({ oracleId: oracle.id, reason: UPDATE_REASONS.IN_PROGRESS }));
     
     if (availableOracles.length === 0) {
       console.log('[Scheduler] All due oracles are already being updated');
@@ -152,16 +331,53 @@ async function schedulerLoop() {
     console.log(`[Scheduler] Found ${availableOracles.length} oracle(s) due for update:`, 
       availableOracles.map(o => o.id).join(', '));
     
-    // Update each oracle sequentially to avoid overwhelming the system
-    for (const oracle of availableOracles) {
-      await executeOracleUpdate(oracle.id);
-      
-      // Longer delay between updates to prevent nonce conflicts
-      await new Promise(resolve => setTimeout(resolve, 60000)); // 1 minute instead of 2
-    }
+    // Update in parallel, one at a time per wallet
+    const results = await Promise.all(availableOracles.map(oracle => {
+      const walletKey = oracle.walletAddress || oracle.derivationPath || oracle.id;
+      return enqueueForWallet(walletKey, () => withConcurrencyLimit(() => executeOracleUpdate(oracle.id, run && run.id)));
+    }));
+    outcome.results = results;
+    
+    const count = (status) => results.filter(result => result.status === status).length;
+    console.log(`[Scheduler] Cycle finished: ${count('published')} published, ${count('skipped')} skipped, ${count('failed')} failed`);
     
   } catch (error) {
     console.error('[Scheduler] Error in scheduler loop:', error);
+    outcome.status = 'error';
+    outcome.error = error.message;
+  } finally {
+    recordRunFinish(run, outcome);
+    cycleInProgress = false;
+  }
+}
+
+/**
+ * Persist the start of a tick (history failures never stop the scheduler)
+ * @returns {Object|null} Run record
+ */
+function recordRunStart() {
+  try {
+    return startSchedulerRun({ holderId: lease.holderId });
+  } catch (error) {
+    console.error('[Scheduler] Failed to record scheduler run:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist the outcome of a tick
+ * @param {Object|null} run - Run record from recordRunStart
+ * @param {Object} outcome - {status, dueOracleIds, skipped, results, error}
+ */
+function recordRunFinish(run, outcome) {
+  if (!run) {
+    return;
+  }
+  
+  try {
+    finishSchedulerRun(run, outcome);
+  } catch (error) {
+    console.error('[Scheduler] Failed to record scheduler run:', error.message);
   }
 }
 
@@ -182,6 +398,10 @@ export function startScheduler() {
   console.log('[Scheduler] 🚀 Starting oracle scheduler...');
   isRunning = true;
   
+  if (!lease) {
+    lease = createLease(getStore('leases'), 'scheduler', { ttlMs: LEASE_TTL_SECONDS * 1000 });
+  }
+  
   // Run immediately on start
   schedulerLoop();
   
@@ -207,19 +427,55 @@ export function stopScheduler() {
     schedulerInterval = null;
   }
   
+  // Hand over to a standby process right away instead of waiting for expiry
+  releaseLeadership();
+  
   isRunning = false;
   console.log('[Scheduler] ✅ Scheduler stopped');
 }
 
+/**
+ * Release the scheduler lease if this process holds it
+ */
+function releaseLeadership() {
+  if (!lease || !isLeader) {
+    return;
+  }
+  
+  try {
+    lease.release();
+    console.log('[Scheduler] Released scheduler lease');
+  } catch (error) {
+    console.error('[Scheduler] Failed to release scheduler lease:', error.message);
+  }
+  isLeader = false;
+}
+
 /**
  * Get scheduler status
  * @returns {Object} Status information
  */
 export function getSchedulerStatus() {
+  let leaseInfo = null;
+  if (lease) {
+    try {
+      const { holderId, acquiredAt, expiresAt, expired, ownHolderId } = lease.getInfo();
+      leaseInfo = { holderId, acquiredAt, expiresAt, expired, ownHolderId, ttlSeconds: LEASE_TTL_SECONDS };
+    } catch (error) {
+      leaseInfo = { error: error.message };
+    }
+  }
+  
   return {
     isRunning,
+    isLeader,
+    lease: leaseInfo,
     intervalId: schedulerInterval ? 'active' : null,
     checkIntervalSeconds: 60,
+    cycleInProgress,
+    maxConcurrentUpdates: MAX_CONCURRENT_UPDATES,
+    activeUpdates,
+    queuedUpdates: slotWaiters.length,
     currentlyUpdating: Array.from(updatingOracles),
     updatingCount: updatingOracles.size
   };
@@ -235,5 +491,9 @@ if (typeof window === 'undefined') { // Only run on server side
   // Small delay to ensure the app is fully initialized
   setTimeout(() => {
     startScheduler();
+    startAlertMonitor(); // Keeps running when the scheduler is stopped (see utils/alerts.js)
   }, 5000); // Start after 5 seconds
+  
+  // Let a standby replica take over immediately on shutdown
+  process.once('exit', releaseLeadership);
 } 
\ No newline at end of file
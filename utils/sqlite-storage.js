@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// ============================================================================
+// SQLITE STORAGE ADAPTER
+// ============================================================================
+
+/**
+ * Storage adapter backed by an embedded SQLite database.
+ *
+ * All collections share one database file and a single `records` table
+ * keyed by (collection, id). Each record is stored as a JSON document, so
+ * the adapter returns exactly the same objects as the JSON file adapter.
+ * Writes only touch the rows that changed, and transactions take SQLite's
+ * write lock up front so concurrent requests and processes are serialized.
+ */
+
+// Open database connections keyed by file path (shared between collections)
+const connections = new Map();
+
+/**
+ * Open (or reuse) a database connection and ensure the schema exists
+ * @param {string} dbFile - Path of the SQLite database file
+ * @returns {Database} better-sqlite3 connection
+ */
+function openDatabase(dbFile) {
+  if (connections.has(dbFile)) {
+    return connections.get(dbFile);
+  }
+
+  const dir = path.dirname(dbFile);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  connections.set(dbFile, db);
+  return db;
+}
+
+/**
+ * Create a SQLite storage adapter for one collection
+ * @param {string} dbFile - Path of the SQLite database file
+ * @param {string} collection - Collection name (e.g. "oracles")
+ * @param {Object} [options]
+ * @param {string} [options.importFrom] - JSON file to import when the collection is empty
+ * @returns {Object} Storage adapter: {type, get, put, list, delete, transaction}
+ */
+export function createSqliteStorage(dbFile, collection, { importFrom } = {}) {
+  const db = openDatabase(dbFile);
+
+  const statements = {
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    list: db.prepare('SELECT id, data FROM records WHERE collection = ? ORDER BY rowid'),
+    put: db.prepare(`
+      INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM records WHERE collection = ?')
+  };
+
+  const operations = {
+    get: (id) => {
+      const row = statements.get.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    put: (id, record) => {
+      statements.put.run(collection, id, JSON.stringify(record), new Date().toISOString());
+    },
+    delete: (id) => statements.delete.run(collection, id).changes > 0,
+    list: () => {
+      const records = {};
+      for (const row of statements.list.all(collection)) {
+        records[row.id] = JSON.parse(row.data);
+      }
+      return records;
+    }
+  };
+
+  /**
+   * Run a function inside an IMMEDIATE transaction (write lock taken up front)
+   * @param {Function} fn - Receives record operations, returns any value
+   * @returns {*} Return value of fn
+   */
+  const transaction = (fn) => db.transaction(() => fn(operations)).immediate();
+
+  // One-time import of an existing JSON file so switching adapters keeps data
+  if (importFrom && statements.count.get(collection).count === 0 && fs.existsSync(importFrom)) {
+    try {
+      const data = fs.readFileSync(importFrom, 'utf8');
+      const records = data.trim() ? JSON.parse(data) : {};
+      transaction((tx) => {
+        for (const [id, record] of Object.entries(records)) {
+          tx.put(id, record);
+        }
+      });
+      console.log(`[Storage] Imported ${Object.keys(records).length} record(s) from ${importFrom} into SQLite`);
+    } catch (error) {
+      console.error(`[Storage] Failed to import ${importFrom} into SQLite:`, error);
+    }
+  }
+
+  return {
+    type: 'sqlite',
+    ...operations,
+    transaction
+  };
+}
@@ -0,0 +1,71 @@
+import path from 'path';
+import { createJsonStorage } from './json-storage.js';
+import { createSqliteStorage } from './sqlite-storage.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Storage backend selection
+ *
+ * ORACLE_STORAGE=json   (default) - one JSON file per collection in data/
+ * ORACLE_STORAGE=sqlite           - embedded SQLite database (data/oracles.db)
+ * ORACLE_SQLITE_FILE              - optional override for the SQLite file path
+ */
+export const DATA_DIR = path.join(process.cwd(), 'data');
+const STORAGE_TYPE = (process.env.ORACLE_STORAGE || 'json').toLowerCase();
+const SQLITE_FILE = process.env.ORACLE_SQLITE_FILE || path.join(DATA_DIR, 'oracles.db');
+
+// Collections of short-lived state and logs - not worth a backup per write (matched by prefix)
+const UNBACKED_COLLECTIONS = ['leases', 'scheduler-runs', 'oracle-history-', 'circuit-breakers', 'transactions', 'nonces', 'alerts'];
+
+// Adapters keyed by collection name (one per process)
+const stores = new Map();
+
+// ============================================================================
+// STORAGE ACCESS
+// ============================================================================
+
+/**
+ * Get the storage adapter for a collection
+ *
+ * Every adapter exposes the same synchronous interface:
+ * - get(id)          -> record or null
+ * - put(id, record)  -> void
+ * - list()           -> records keyed by ID
+ * - delete(id)       -> true if a record was removed
+ * - transaction(fn)  -> runs fn({get, put, list, delete}) atomically, returns its result
+ *
+ * @param {string} collection - Collection name (default "oracles")
+ * @returns {Object} Storage adapter
+ * @throws {Error} If ORACLE_STORAGE names an unknown backend
+ */
+export function getStore(collection = 'oracles') {
+  if (stores.has(collection)) {
+    return stores.get(collection);
+  }
+
+  const jsonFile = path.join(DATA_DIR, `${collection}.json`);
+  let store;
+
+  if (STORAGE_TYPE === 'json') {
+    const backups = !UNBACKED_COLLECTIONS.some((prefix) => collection.startsWith(prefix));
+    store = createJsonStorage(jsonFile, { backups });
+  } else if (STORAGE_TYPE === 'sqlite') {
+    store = createSqliteStorage(SQLITE_FILE, collection, { importFrom: jsonFile });
+  } else {
+    throw new Error(`Unknown ORACLE_STORAGE backend '${STORAGE_TYPE}' (expected 'json' or 'sqlite')`);
+  }
+
+  stores.set(collection, store);
+  return store;
+}
+
+/**
+ * Get the name of the active storage backend
+ * @returns {string} 'json' or 'sqlite'
+ */
+export function getStorageType() {
+  return STORAGE_TYPE;
+}
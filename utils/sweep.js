@@ -0,0 +1,156 @@
+import { getOracleConfig, getDerivationPathReservation } from './oracle-manager.js';
+import { prepareSweep, convertToDecimal } from './theta.js';
+import { sendTrackedTransaction, listTrackedTransactions, getMaxFeePerGasCap } from './tx-tracker.js';
+import { deriveWalletAddress, getDerivationPath } from './wallet-manager.js';
+import { getTreasuryAddress } from './treasury.js';
+import { getChain, getOracleChainId, DEFAULT_CHAIN_ID } from './chains.js';
+
+// ============================================================================
+// WALLET SWEEPS
+// ============================================================================
+
+/**
+ * Recover the funds left in the wallet of a retired oracle
+ *
+ * Only archived and deleted oracles can be swept: their derivation paths
+ * are reserved (see utils/oracle-manager.js), so nothing else spends from
+ * the wallet. A sweep sends the whole balance minus the most its gas can
+ * cost (see prepareSweep in utils/theta.js) to the given address, or to the
+ * treasury wallet (see utils/treasury.js) if none is given. It goes through
+ * the transaction tracker as kind 'sweep'; stuck sweeps are not replaced,
+ * since the bumped fee would come out of an already spent balance.
+ *
+ * Sweep summary (amounts in Wei as strings, plus formatted in native currency):
+ * {
+ *   oracleId, chainId, from, to, symbol,
+ *   balance, balanceFormatted,
+ *   amount, amountFormatted,          // Sent to `to`
+ *   maxGasCost, maxGasCostFormatted,  // Reserved for gas (unused gas stays in the wallet)
+ *   gasLimit: string,
+ *   maxFeePerGasGwei: number
+ * }
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create a sweep error carrying a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - NOT_FOUND, NOT_RETIRED, INVALID_TARGET, TX_PENDING or FEE_CAP_EXCEEDED
+ * @returns {Error} Error with `code` set
+ */
+function sweepError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Find the wallet of a retired oracle
+ * @param {string} oracleId - Oracle ID
+ * @returns {Object} {derivationPath, walletAddress, chainId} (walletAddress/chainId may be null)
+ * @throws {Error} NOT_FOUND or NOT_RETIRED (with `code`)
+ */
+function getRetiredWallet(oracleId) {
+  const config = getOracleConfig(oracleId);
+
+  if (config) {
+    if (!config.archived) {
+      throw sweepError(`Oracle '${oracleId}' is still in use - archive or delete it before sweeping its wallet`, 'NOT_RETIRED');
+    }
+    return {
+      derivationPath: config.derivationPath || getDerivationPath(oracleId),
+      walletAddress: config.walletAddress || null,
+      chainId: getOracleChainId(config)
+    };
+  }
+
+  const derivationPath = getDerivationPath(oracleId);
+  const reservation = getDerivationPathReservation(derivationPath);
+  if (!reservation) {
+    throw sweepError(`Oracle '${oracleId}' not found`, 'NOT_FOUND');
+  }
+
+  return {
+    derivationPath,
+    walletAddress: reservation.walletAddress,
+    chainId: reservation.chainId !== undefined ? reservation.chainId : null
+  };
+}
+
+// ============================================================================
+// SWEEPS
+// ============================================================================
+
+/**
+ * Sweep the wallet of an archived or deleted oracle
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} [options] - {to, chainId, dryRun}
+ *   (chainId defaults to the oracle's chain; dryRun prepares the transfer without signing it)
+ * @returns {Promise<Object>} Sweep summary (see above), plus `txHash` unless dryRun
+ * @throws {Error} With `code`: NOT_FOUND, NOT_RETIRED, INVALID_TARGET, TX_PENDING,
+ *   FEE_CAP_EXCEEDED, INSUFFICIENT_FUNDS, or a broadcast error code from signAndBroadcastTransaction
+ */
+export async function sweepWallet(oracleId, { to, chainId, dryRun = false } = {}) {
+  const wallet = getRetiredWallet(oracleId);
+  const resolvedChainId = chainId !== undefined ? chainId : (wallet.chainId !== null ? wallet.chainId : DEFAULT_CHAIN_ID);
+  const chain = getChain(resolvedChainId);
+  const from = wallet.walletAddress || await deriveWalletAddress(wallet.derivationPath);
+  const target = to || await getTreasuryAddress();
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(target)) {
+    throw sweepError('to must be an address (0x followed by 40 hex characters)', 'INVALID_TARGET');
+  }
+  if (target.toLowerCase() === from.toLowerCase()) {
+    throw sweepError('Cannot sweep a wallet to itself', 'INVALID_TARGET');
+  }
+
+  // The balance must not change under the sweep
+  const pending = listTrackedTransactions({ oracleId, status: 'pending', limit: Infinity })
+    .filter((record) => record.from && record.from.toLowerCase() === from.toLowerCase());
+  if (pending.length > 0) {
+    throw sweepError(`Wallet has a pending transaction (${pending[0].hash}) - wait for it to be mined`, 'TX_PENDING');
+  }
+
+  const feeCap = getMaxFeePerGasCap(oracleId);
+  let prepared;
+
+  const prepare = async (nonce) => {
+    prepared = await prepareSweep(wallet.derivationPath, target, { nonce, chainId: resolvedChainId });
+
+    const { maxFeePerGas } = prepared.transaction;
+    if (feeCap !== null && maxFeePerGas !== undefined && BigInt(maxFeePerGas) > feeCap) {
+      throw sweepError(`Network fees too high: max fee ${(Number(maxFeePerGas) / 1e9).toFixed(2)} gwei exceeds the cap of ${(Number(feeCap) / 1e9).toFixed(2)} gwei.`, 'FEE_CAP_EXCEEDED');
+    }
+    return prepared;
+  };
+
+  let txHash;
+  if (dryRun) {
+    await prepare(undefined);
+  } else {
+    const txResult = await sendTrackedTransaction(prepare, wallet.derivationPath, { oracleId, kind: 'sweep', chainId: resolvedChainId, from });
+    txHash = txResult.hash;
+    console.log(`[Sweep] 🧹 Swept ${convertToDecimal(prepared.value, 18)} ${chain.nativeSymbol} from ${oracleId} to ${target}: ${txHash}`);
+  }
+
+  const { transaction, balance, value, maxGasCost } = prepared;
+  return {
+    oracleId,
+    chainId: resolvedChainId,
+    from,
+    to: target,
+    symbol: chain.nativeSymbol,
+    balance: balance.toString(),
+    balanceFormatted: convertToDecimal(balance, 18),
+    amount: value.toString(),
+    amountFormatted: convertToDecimal(value, 18),
+    maxGasCost: maxGasCost.toString(),
+    maxGasCostFormatted: convertToDecimal(maxGasCost, 18),
+    gasLimit: transaction.gas.toString(),
+    maxFeePerGasGwei: Number(transaction.maxFeePerGas !== undefined ? transaction.maxFeePerGas : transaction.gasPrice) / 1e9,
+    ...(txHash ? { txHash } : {})
+  };
+}
@@ -1,16 +1,18 @@
 import { contracts, chainAdapters, utils } from "chainsig.js";
 import { createPublicClient, http, serializeTransaction, toBytes, keccak256, recoverTransactionAddress, recoverAddress } from "viem";
-import { Contract, JsonRpcProvider } from "ethers";
+import { Contract, Interface, JsonRpcProvider } from "ethers";
 import { signWithAgent, getAgentAccount } from '@neardefi/shade-agent-js';
+import { getChain, DEFAULT_CHAIN_ID } from './chains.js';
+import { getActiveRpcUrl, withRpcFailover } from './rpc-pool.js';
 
 const { toRSV } = utils.cryptography;
 
 // Configuration
 const contractId = process.env.NEXT_PUBLIC_contractId || `v1.signer-prod.testnet`;
 
-// Sepolia testnet configuration
-export const thetaTestnetRpcUrl = 'https://sepolia.drpc.org';
-export const oracleContractAddress = '0xb4f409B7304505398c1895358A3C336dca6a8C47';
+// Chains, RPC URLs and oracle contract addresses live in the chain registry (utils/chains.js).
+// Functions below take an optional chainId and use the default chain without one, and
+// fail over between the chain's RPC endpoints (utils/rpc-pool.js).
 
 // Smart contract ABI for oracle operations
 export const oracleContractAbi = [
@@ -305,20 +307,88 @@ const MPC_CONTRACT = new contracts.ChainSignatureContract({
   contractId: `v1.signer-prod.testnet`,
 });
 
-// Create viem public client for Ethereum operations
-const publicClient = createPublicClient({
-    transport: http(thetaTestnetRpcUrl),
-});
+// Oracle contract interface for encoding calls and decoding errors (same on every chain)
+const oracleInterface = new Interface(oracleContractAbi);
+
+// RPC clients per chain and endpoint, created on first use
+const rpcClients = new Map();
+
+/**
+ * Resolve a chain ID to its registry entry
+ * @param {number} [chainId] - Chain ID (the default chain if omitted or null)
+ * @returns {Object} Chain (see utils/chains.js)
+ */
+function resolveChain(chainId) {
+  return getChain(chainId === undefined || chainId === null ? DEFAULT_CHAIN_ID : chainId);
+}
+
+/**
+ * Get the clients of one RPC endpoint of a chain
+ * @param {Object} chain - Chain (see utils/chains.js)
+ * @param {string} rpcUrl - RPC endpoint
+ * @returns {Object} {chain, evm, provider, contract} (contract is null if not deployed on the chain)
+ */
+function getRpcClients(chain, rpcUrl) {
+  const key = `${chain.chainId}:${rpcUrl}`;
+
+  if (!rpcClients.has(key)) {
+    // Create viem public client for Ethereum operations
+    const publicClient = createPublicClient({
+      transport: http(rpcUrl),
+    });
+
+    // Initialize EVM adapter for cross-chain operations
+    const evm = new chainAdapters.evm.EVM({
+      publicClient,
+      contract: MPC_CONTRACT
+    });
+
+    // Create ethers contract instance for read operations
+    const provider = new JsonRpcProvider(rpcUrl, chain.chainId, { staticNetwork: true });
+    const contract = chain.contractAddress ? new Contract(chain.contractAddress, oracleContractAbi, provider) : null;
+
+    rpcClients.set(key, { chain, evm, provider, contract });
+  }
+
+  return rpcClients.get(key);
+}
+
+/**
+ * Run an RPC operation with the clients of a chain, failing over between its endpoints
+ * @param {number} [chainId] - Chain ID (the default chain if omitted or null)
+ * @param {Function} operation - async ({chain, evm, provider, contract}) => result
+ * @returns {Promise<*>} Result of the operation
+ */
+function withChainClients(chainId, operation) {
+  const chain = resolveChain(chainId);
+  return withRpcFailover(chain.chainId, (rpcUrl) => operation(getRpcClients(chain, rpcUrl)));
+}
+
+/**
+ * Get the oracle contract from a chain's clients
+ * @param {Object} clients - Clients from withChainClients
+ * @returns {Contract} Ethers contract instance
+ * @throws {Error} If the oracle contract isn't deployed on the chain
+ */
+function requireOracleContract({ chain, contract }) {
+  if (!contract) {
+    throw new Error(`The oracle contract is not deployed on ${chain.name}`);
+  }
+  return contract;
+}
 
-// Initialize EVM adapter for cross-chain operations
-export const Evm = (new chainAdapters.evm.EVM({
-    publicClient,
-    contract: MPC_CONTRACT
-}));
+/**
+ * Get the chain signature EVM adapter of a chain's active RPC endpoint
+ * @param {number} chainId - Chain ID (the default chain if omitted)
+ * @returns {Object} chainsig.js EVM adapter
+ */
+export function getEvm(chainId) {
+  const chain = resolveChain(chainId);
+  return getRpcClients(chain, getActiveRpcUrl(chain.chainId)).evm;
+}
 
-// Create ethers contract instance for read operations
-const provider = new JsonRpcProvider(thetaTestnetRpcUrl);
-const contract = new Contract(oracleContractAddress, oracleContractAbi, provider);
+// EVM adapter of the default chain (derived addresses are the same on every chain)
+export const Evm = getEvm(DEFAULT_CHAIN_ID);
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -333,6 +403,29 @@ function stringToBytes32(str) {
   return keccak256(new TextEncoder().encode(str));
 }
 
+/**
+ * Create a broadcast error carrying a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - TX_REPLACEMENT, INSUFFICIENT_FUNDS, TX_PENDING, NONCE_TOO_LOW or BROADCAST_FAILED
+ * @returns {Error} Error with `code` set
+ */
+function broadcastError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a broadcast error means the node already has this transaction
+ * or its nonce (on a failed-over retry, the first node relayed it before failing)
+ * @param {Error} error - Broadcast error
+ * @returns {boolean} True for 'already known' and 'nonce too low' rejections
+ */
+function isAlreadyBroadcast(error) {
+  const text = `${error.message || ''} ${error.details || ''}`;
+  return text.includes('already known') || text.includes('ALREADY_EXISTS') || text.includes('nonce too low');
+}
+
 /**
  * Convert BigInt balance to decimal string with specified precision
  * @param {BigInt} bigIntValue - Raw balance value
@@ -360,11 +453,12 @@ export function convertToDecimal(bigIntValue, decimals, decimalPlaces = 6) {
 /**
  * Get wallet balance using ethers provider (more reliable than Evm.getBalance)
  * @param {string} address - Ethereum wallet address
- * @returns {Promise<BigInt>} Balance in Wei
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<BigInt>} Balance in Wei (of the chain's native currency)
  */
-export async function getWalletBalanceEthers(address) {
+export async function getWalletBalanceEthers(address, chainId) {
   try {
-    const balance = await provider.getBalance(address);
+    const balance = await withChainClients(chainId, ({ provider }) => provider.getBalance(address));
     return BigInt(balance.toString());
   } catch (error) {
     console.error('Error getting wallet balance:', error);
@@ -372,45 +466,144 @@ export async function getWalletBalanceEthers(address) {
   }
 }
 
+/**
+ * Get the latest block number
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<number>} Block number
+ */
+export async function getBlockNumber(chainId) {
+  return await withChainClients(chainId, ({ provider }) => provider.getBlockNumber());
+}
+
+/**
+ * Get the time a block was mined
+ * @param {number} blockNumber - Block number
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<Date|null>} Block time, or null if the block isn't known
+ */
+export async function getBlockTimestamp(blockNumber, chainId) {
+  const block = await withChainClients(chainId, ({ provider }) => provider.getBlock(blockNumber));
+  return block ? new Date(block.timestamp * 1000) : null;
+}
+
+/**
+ * Get the number of transactions sent from an address
+ * @param {string} address - Wallet address
+ * @param {string} blockTag - 'latest' (mined) or 'pending' (including the node's mempool)
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<number>} Transaction count, i.e. the next nonce
+ */
+export async function getTransactionCount(address, blockTag = 'latest', chainId) {
+  return await withChainClients(chainId, ({ provider }) => provider.getTransactionCount(address, blockTag));
+}
+
+/**
+ * Get the current EIP-1559 fee suggestion of the network
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<Object>} {gasPrice, maxFeePerGas, maxPriorityFeePerGas} in Wei (bigint; gasPrice is what a transaction pays now)
+ */
+export async function getFeeData(chainId) {
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = await withChainClients(chainId, ({ provider }) => provider.getFeeData());
+  return { gasPrice, maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Get the receipt of a mined transaction
+ * @param {string} hash - Transaction hash
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<Object|null>} Receipt, or null if the transaction isn't mined yet
+ */
+export async function getTransactionReceipt(hash, chainId) {
+  return await withChainClients(chainId, ({ provider }) => provider.getTransactionReceipt(hash));
+}
+
+/**
+ * Wait until a transaction is mined and has enough confirmations
+ * @param {string} hash - Transaction hash
+ * @param {number} confirmations - Blocks to wait for (1 = mined)
+ * @param {number} timeoutMs - Maximum wait
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
+ * @returns {Promise<Object|null>} Receipt, or null if the wait timed out
+ */
+export async function waitForTransactionReceipt(hash, confirmations, timeoutMs, chainId) {
+  return await withChainClients(chainId, async ({ provider }) => {
+    try {
+      return await provider.waitForTransaction(hash, confirmations, timeoutMs);
+    } catch (error) {
+      // The wait timing out is an answer, not an RPC failure (those carry the failed `request`)
+      if (error.code === 'TIMEOUT' && !error.request) {
+        return null;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Work out why a mined transaction reverted by replaying it against the
+ * state before its block, decoding the oracle contract's custom errors
+ * @param {Object} tx - {from, to, data, chainId}
+ * @param {number} blockNumber - Block the transaction was mined in
+ * @returns {Promise<string>} Custom error name (e.g. 'OracleNotExists') or the revert message
+ */
+export async function getRevertReason({ from, to, data, chainId }, blockNumber) {
+  try {
+    await withChainClients(chainId, ({ provider }) => provider.call({ from, to, data, blockTag: blockNumber - 1 }));
+    return 'execution reverted';
+  } catch (error) {
+    if (error.data) {
+      const decoded = oracleInterface.parseError(error.data);
+      if (decoded) {
+        return decoded.name;
+      }
+    }
+    return error.shortMessage || error.message || 'execution reverted';
+  }
+}
+
 /**
  * Get oracle data from the smart contract
  * @param {string} oracleIdString - Human-readable oracle ID
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {Array} [value, lastUpdateBlock, creator, hasError, description]
  */
-export async function getOracle(oracleIdString) {
+export async function getOracle(oracleIdString, chainId) {
   const oracleId = stringToBytes32(oracleIdString);
-  return await contract.getOracle(oracleId);
+  return await withChainClients(chainId, (clients) => requireOracleContract(clients).getOracle(oracleId));
 }
 
 /**
  * Get the creator address of an oracle
  * @param {string} oracleIdString - Human-readable oracle ID
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {string} Creator's Ethereum address
  */
-export async function getOracleCreator(oracleIdString) {
+export async function getOracleCreator(oracleIdString, chainId) {
   const oracleId = stringToBytes32(oracleIdString);
-  return await contract.getOracleCreator(oracleId);
+  return await withChainClients(chainId, (clients) => requireOracleContract(clients).getOracleCreator(oracleId));
 }
 
 /**
  * Check if an oracle exists on the blockchain
  * @param {string} oracleIdString - Human-readable oracle ID
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {boolean} True if oracle exists
  */
-export async function checkOracleExists(oracleIdString) {
+export async function checkOracleExists(oracleIdString, chainId) {
   const oracleId = stringToBytes32(oracleIdString);
-  return await contract.oracleExists(oracleId);
+  return await withChainClients(chainId, (clients) => requireOracleContract(clients).oracleExists(oracleId));
 }
 
 /**
  * Get oracle price with fallback for backward compatibility
  * @param {string} oracleIdString - Oracle ID (default: 'eth-price')
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {BigInt} Oracle value in cents, or default value if not found
  */
-export async function getContractPrice(oracleIdString = 'eth-price') {
+export async function getContractPrice(oracleIdString = 'eth-price', chainId) {
   try {
     const oracleId = stringToBytes32(oracleIdString);
-    const oracleData = await contract.getOracle(oracleId);
+    const oracleData = await withChainClients(chainId, (clients) => requireOracleContract(clients).getOracle(oracleId));
     return oracleData[0]; // Return the value (first element)
   } catch (error) {
     console.log('Error getting contract price, returning default:', error);
@@ -429,26 +622,29 @@ export async function getContractPrice(oracleIdString = 'eth-price') {
  * @param {number} initialValue - Initial price value in cents
  * @param {string} description - Oracle description
  * @param {string} derivationPath - Key derivation path for signing
+ * @param {Object} [options] - {nonce, chainId} (nonce: see utils/nonce-manager.js, the network's count if omitted)
  * @returns {Object} {transaction, hashesToSign, senderAddress}
  */
-export async function createOracle(oracleIdString, initialValue, description, derivationPath) {
+export async function createOracle(oracleIdString, initialValue, description, derivationPath, { nonce, chainId } = {}) {
   const oracleId = stringToBytes32(oracleIdString);
   
   // Derive wallet address for this oracle
-  const { address: senderAddress } = await Evm.deriveAddressAndPublicKey(
+  const evm = getEvm(chainId);
+  const { address: senderAddress } = await evm.deriveAddressAndPublicKey(
     contractId,
     derivationPath
   );
   
   // Encode function call data
-  const data = contract.interface.encodeFunctionData('createOracle', [oracleId, initialValue, description]);
+  const data = oracleInterface.encodeFunctionData('createOracle', [oracleId, initialValue, description]);
   
-  // Prepare unsigned transaction (nonce handled automatically)
-  const { transaction, hashesToSign } = await Evm.prepareTransactionForSigning({
+  // Prepare unsigned transaction (gas and fees are estimated over the chain's RPC)
+  const { transaction, hashesToSign } = await withChainClients(chainId, (clients) => clients.evm.prepareTransactionForSigning({
     from: senderAddress,
-    to: oracleContractAddress,
+    to: requireOracleContract(clients).target,
     data,
-  });
+    ...(nonce !== undefined ? { nonce } : {}),
+  }));
 
   return { transaction, hashesToSign, senderAddress };
 }
@@ -458,26 +654,29 @@ export async function createOracle(oracleIdString, initialValue, description, de
  * @param {string} oracleIdString - Human-readable oracle ID
  * @param {number} newValue - New price value in cents
  * @param {string} derivationPath - Key derivation path for signing
+ * @param {Object} [options] - {nonce, chainId} (nonce: see utils/nonce-manager.js, the network's count if omitted)
  * @returns {Object} {transaction, hashesToSign, senderAddress}
  */
-export async function updateOracle(oracleIdString, newValue, derivationPath) {
+export async function updateOracle(oracleIdString, newValue, derivationPath, { nonce, chainId } = {}) {
   const oracleId = stringToBytes32(oracleIdString);
   
   // Derive wallet address for this oracle
-  const { address: senderAddress } = await Evm.deriveAddressAndPublicKey(
+  const evm = getEvm(chainId);
+  const { address: senderAddress } = await evm.deriveAddressAndPublicKey(
     contractId,
     derivationPath
   );
   
   // Encode function call data
-  const data = contract.interface.encodeFunctionData('updateOracle', [oracleId, newValue]);
+  const data = oracleInterface.encodeFunctionData('updateOracle', [oracleId, newValue]);
   
-  // Prepare unsigned transaction (nonce handled automatically)
-  const { transaction, hashesToSign } = await Evm.prepareTransactionForSigning({
+  // Prepare unsigned transaction (gas and fees are estimated over the chain's RPC)
+  const { transaction, hashesToSign } = await withChainClients(chainId, (clients) => clients.evm.prepareTransactionForSigning({
     from: senderAddress,
-    to: oracleContractAddress,
+    to: requireOracleContract(clients).target,
     data,
-  });
+    ...(nonce !== undefined ? { nonce } : {}),
+  }));
   
   return { transaction, hashesToSign, senderAddress };
 }
@@ -487,30 +686,128 @@ export async function updateOracle(oracleIdString, newValue, derivationPath) {
  * @param {string} oracleIdString - Human-readable oracle ID
  * @param {boolean} errorStatus - True to mark as error, false to clear
  * @param {string} derivationPath - Key derivation path for signing
+ * @param {Object} [options] - {nonce, chainId} (nonce: see utils/nonce-manager.js, the network's count if omitted)
  * @returns {Object} {transaction, hashesToSign, senderAddress}
  */
-export async function setOracleError(oracleIdString, errorStatus, derivationPath) {
+export async function setOracleError(oracleIdString, errorStatus, derivationPath, { nonce, chainId } = {}) {
   const oracleId = stringToBytes32(oracleIdString);
   
   // Derive wallet address for this oracle
-  const { address: senderAddress } = await Evm.deriveAddressAndPublicKey(
+  const evm = getEvm(chainId);
+  const { address: senderAddress } = await evm.deriveAddressAndPublicKey(
     contractId,
     derivationPath
   );
   
   // Encode function call data
-  const data = contract.interface.encodeFunctionData('setOracleError', [oracleId, errorStatus]);
+  const data = oracleInterface.encodeFunctionData('setOracleError', [oracleId, errorStatus]);
   
-  // Prepare unsigned transaction
-  const { transaction, hashesToSign } = await Evm.prepareTransactionForSigning({
+  // Prepare unsigned transaction (gas and fees are estimated over the chain's RPC)
+  const { transaction, hashesToSign } = await withChainClients(chainId, (clients) => clients.evm.prepareTransactionForSigning({
     from: senderAddress,
-    to: oracleContractAddress,
+    to: requireOracleContract(clients).target,
     data,
-  });
+    ...(nonce !== undefined ? { nonce } : {}),
+  }));
 
   return { transaction, hashesToSign, senderAddress };
 }
 
+/**
+ * Prepare a native-token transfer (e.g. a treasury top-up, see utils/treasury.js)
+ * @param {string} derivationPath - Key derivation path of the sender
+ * @param {string} to - Recipient address
+ * @param {bigint} value - Amount in Wei
+ * @param {Object} [options] - {nonce, chainId} (nonce: see utils/nonce-manager.js, the network's count if omitted)
+ * @returns {Object} {transaction, hashesToSign, senderAddress}
+ */
+export async function prepareTransfer(derivationPath, to, value, { nonce, chainId } = {}) {
+  const evm = getEvm(chainId);
+  const { address: senderAddress } = await evm.deriveAddressAndPublicKey(
+    contractId,
+    derivationPath
+  );
+
+  const { transaction, hashesToSign } = await withChainClients(chainId, (clients) => clients.evm.prepareTransactionForSigning({
+    from: senderAddress,
+    to,
+    value,
+    ...(nonce !== undefined ? { nonce } : {}),
+  }));
+
+  return { transaction, hashesToSign, senderAddress };
+}
+
+/**
+ * Prepare a transfer of a wallet's whole balance, less the most its gas can cost
+ * Gas and fees come from Evm.prepareTransactionForSigning; the value is the
+ * balance minus gas limit x max fee per gas, so the transfer always pays for
+ * itself (some dust stays behind when the block's base fee is below the max fee).
+ * @param {string} derivationPath - Key derivation path of the wallet
+ * @param {string} to - Recipient address
+ * @param {Object} [options] - {nonce, chainId} (nonce: see utils/nonce-manager.js, the network's count if omitted)
+ * @returns {Object} {transaction, hashesToSign, senderAddress, balance, value, maxGasCost} (amounts in Wei, bigint)
+ * @throws {Error} INSUFFICIENT_FUNDS (with `code`) if the balance doesn't cover the gas
+ */
+export async function prepareSweep(derivationPath, to, { nonce, chainId } = {}) {
+  const evm = getEvm(chainId);
+  const { address: senderAddress } = await evm.deriveAddressAndPublicKey(
+    contractId,
+    derivationPath
+  );
+
+  const [{ transaction: template }, balance] = await Promise.all([
+    withChainClients(chainId, (clients) => clients.evm.prepareTransactionForSigning({
+      from: senderAddress,
+      to,
+      value: 0n,
+      ...(nonce !== undefined ? { nonce } : {}),
+    })),
+    getWalletBalanceEthers(senderAddress, chainId)
+  ]);
+
+  const maxGasCost = BigInt(template.gas) * BigInt(template.maxFeePerGas !== undefined ? template.maxFeePerGas : template.gasPrice);
+  if (balance <= maxGasCost) {
+    throw broadcastError(`Balance of ${convertToDecimal(balance, 18)} doesn't cover the gas of ${convertToDecimal(maxGasCost, 18)}.`, 'INSUFFICIENT_FUNDS');
+  }
+
+  const value = balance - maxGasCost;
+  const transaction = { ...template, value };
+
+  // Same signing payload as Evm.prepareTransactionForSigning
+  const { from, ...serializable } = transaction;
+  const hashesToSign = [Array.from(toBytes(keccak256(serializeTransaction(serializable))))];
+
+  return { transaction, hashesToSign, senderAddress, balance, value, maxGasCost };
+}
+
+/**
+ * Prepare a replacement of a sent transaction: same nonce and payload, new fees
+ * @param {Object} sent - Tracked transaction {from, to, data, value, nonce, gasLimit, chainId} (see utils/tx-tracker.js)
+ * @param {Object} fees - {maxFeePerGas, maxPriorityFeePerGas} in Wei (bigint)
+ * @returns {Object} {transaction, hashesToSign}
+ */
+export function prepareReplacementTransaction(sent, { maxFeePerGas, maxPriorityFeePerGas }) {
+  const transaction = {
+    type: 'eip1559',
+    from: sent.from,
+    to: sent.to,
+    data: sent.data,
+    value: BigInt(sent.value || 0),
+    nonce: sent.nonce,
+    gas: BigInt(sent.gasLimit),
+    chainId: sent.chainId,
+    maxFeePerGas,
+    maxPriorityFeePerGas
+  };
+
+  // Same signing payload as Evm.prepareTransactionForSigning
+  const { from, ...serializable } = transaction;
+  const hashesToSign = [Array.from(toBytes(keccak256(serializeTransaction(serializable))))];
+
+  return { transaction, hashesToSign };
+}
+
 /**
  * Sign and broadcast a prepared transaction using Shade Agent
  * @param {Object} transaction - Prepared transaction object
@@ -524,33 +821,48 @@ export async function signAndBroadcastTransaction(transaction, hashesToSign, der
     const signRes = await signWithAgent(derivationPath, hashesToSign[0]);
     
     // Finalize transaction with signature
-    const signedTransaction = Evm.finalizeTransactionSigning({
+    const signedTransaction = getEvm(transaction.chainId).finalizeTransactionSigning({
       transaction,
       rsvSignatures: [toRSV(signRes)],
     });
     
-    // Broadcast to network
-    const txResult = await Evm.broadcastTx(signedTransaction);
+    // Broadcast to network (another endpoint is tried if the node doesn't answer)
+    let attempts = 0;
+    const txResult = await withChainClients(transaction.chainId, async ({ evm }) => {
+      attempts++;
+      try {
+        return await evm.broadcastTx(signedTransaction);
+      } catch (error) {
+        // The failed endpoint may have relayed the transaction before failing - it is sent,
+        // so report its hash instead of an error that would release the nonce
+        if (attempts > 1 && isAlreadyBroadcast(error)) {
+          const hash = keccak256(signedTransaction);
+          console.warn(`[Theta] Transaction ${hash} was already broadcast before failover - tracking it as sent`);
+          return { hash };
+        }
+        throw error;
+      }
+    });
     
     return txResult;
   } catch (error) {
     console.error('Error signing and broadcasting transaction:', error);
     
-    // Provide more specific error messages
+    // Provide more specific error messages (with a code callers can branch on)
     if (error.message && error.message.includes('could not replace existing tx')) {
-      throw new Error('Transaction replacement error - please wait a moment before trying again.');
+      throw broadcastError('Transaction replacement error - please wait a moment before trying again.', 'TX_REPLACEMENT');
     } else if (error.message && error.message.includes('insufficient funds')) {
-      throw new Error('Insufficient funds for transaction.');
+      throw broadcastError('Insufficient funds for transaction.', 'INSUFFICIENT_FUNDS');
     } else if (error.message && error.message.includes('already known')) {
-      throw new Error('Transaction already pending - please wait for confirmation.');
+      throw broadcastError('Transaction already pending - please wait for confirmation.', 'TX_PENDING');
     } else if (error.details && error.details.includes('ALREADY_EXISTS')) {
-      throw new Error('Transaction already pending - please wait for confirmation.');
+      throw broadcastError('Transaction already pending - please wait for confirmation.', 'TX_PENDING');
     } else if (error.message && error.message.includes('nonce too low')) {
-      throw new Error('Nonce error - transaction may have already been processed.');
+      throw broadcastError('Nonce error - transaction may have already been processed.', 'NONCE_TOO_LOW');
     } else if (error.details && error.details.includes('nonce too low')) {
-      throw new Error('Nonce error - transaction may have already been processed.');
+      throw broadcastError('Nonce error - transaction may have already been processed.', 'NONCE_TOO_LOW');
     } else {
-      throw new Error('Failed to broadcast transaction.');
+      throw broadcastError('Failed to broadcast transaction.', 'BROADCAST_FAILED');
     }
   }
 }
@@ -0,0 +1,437 @@
+import crypto from 'crypto';
+import { getStore } from './storage.js';
+import { loadOracleConfigs, getOracleConfig } from './oracle-manager.js';
+import { prepareTransfer, getWalletBalanceEthers, convertToDecimal } from './theta.js';
+import { sendTrackedTransaction, getTrackedTransaction } from './tx-tracker.js';
+import { deriveWalletAddress } from './wallet-manager.js';
+import { getChain, listChains, getOracleChainId } from './chains.js';
+
+// ============================================================================
+// TREASURY
+// ============================================================================
+
+/**
+ * Automatic top-ups of oracle wallets from a treasury wallet
+ *
+ * The treasury is a wallet derived from ORACLE_TREASURY_PATH and signed
+ * through the same Shade agent as the oracle wallets. Oracles with a
+ * `topUp` policy are refilled to `targetBalance` once their balance drops
+ * below `minBalance` (amounts in the chain's native currency):
+ *
+ * topUp: {
+ *   enabled: boolean,        // Default true
+ *   minBalance: number,      // Refill below this balance
+ *   targetBalance: number,   // Refill up to this balance
+ *   dailyCap: number         // Most this oracle receives per rolling 24 hours (optional)
+ * }
+ *
+ * The scheduler runs runTopUps every tick while ORACLE_TREASURY_ENABLED is
+ * set. Top-ups are native-token transfers sent through the transaction
+ * tracker (kind 'top_up'), so they get managed nonces and stuck transaction
+ * replacement. On top of the per-oracle cap, the treasury sends at most
+ * ORACLE_TREASURY_DAILY_CAP per chain per rolling 24 hours (0 = uncapped).
+ * An oracle isn't topped up again while its last top-up is pending.
+ *
+ * Every top-up is recorded in the ledger (collection `treasury-ledger`),
+ * which is never pruned. The amount is reserved in the ledger before the
+ * transfer is sent, so concurrent top-ups can't exceed the caps:
+ * {
+ *   id, oracleId, chainId,
+ *   trigger: 'scheduler' | 'create' | 'manual',
+ *   from, to: string,
+ *   amount, balanceBefore: string,  // Wei
+ *   amountFormatted: string,        // Native currency
+ *   txHash: string|null,            // Follows replacements of a stuck transfer
+ *   status: 'sending' | 'pending' | 'confirmed' | 'reverted' | 'failed' | 'dropped' | 'unknown',
+ *   error: string|null,
+ *   createdAt, updatedAt: string
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const TREASURY_DERIVATION_PATH = process.env.ORACLE_TREASURY_PATH || 'treasury';
+
+const TREASURY_ENABLED = process.env.ORACLE_TREASURY_ENABLED === 'true';
+const TREASURY_DAILY_CAP = parseFloat(process.env.ORACLE_TREASURY_DAILY_CAP || '0.1');
+
+const LEDGER_COLLECTION = 'treasury-ledger';
+
+// Statuses of top-ups that move (or may still move) funds, counted against the caps
+const SPENDING_STATUSES = ['sending', 'pending', 'confirmed', 'unknown'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A 'sending' top-up older than this was abandoned (e.g. the process stopped while signing)
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const TOP_UP_POLICY_KEYS = ['enabled', 'minBalance', 'targetBalance', 'dailyCap'];
+
+let treasuryAddress = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Convert an amount in native currency to Wei (gwei precision)
+ * @param {number} amount - Amount in native currency
+ * @returns {bigint} Amount in Wei
+ */
+function toWei(amount) {
+  return BigInt(Math.round(amount * 1e9)) * 1000000000n;
+}
+
+/**
+ * Format a Wei amount in native currency
+ * @param {bigint} wei - Amount in Wei
+ * @returns {string} Amount in native currency
+ */
+function formatWei(wei) {
+  return convertToDecimal(wei, 18, 6);
+}
+
+/**
+ * Add up the top-ups of the last 24 hours
+ * @param {Object[]} entries - Ledger entries
+ * @param {Function} match - (entry) => boolean
+ * @returns {bigint} Amount in Wei
+ */
+function sumSpentToday(entries, match) {
+  const since = Date.now() - DAY_MS;
+
+  return entries
+    .filter((entry) => SPENDING_STATUSES.includes(entry.status) && new Date(entry.createdAt).getTime() >= since && match(entry))
+    .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+}
+
+/**
+ * Update a ledger entry
+ * @param {string} id - Entry ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Updated entry
+ */
+function updateLedgerEntry(id, changes) {
+  return getStore(LEDGER_COLLECTION).transaction((tx) => {
+    const entry = { ...tx.get(id), ...changes, updatedAt: new Date().toISOString() };
+    tx.put(id, entry);
+    return entry;
+  });
+}
+
+/**
+ * Refresh an oracle's pending top-ups from their tracked transactions
+ * @param {string} oracleId - Oracle ID
+ * @returns {Promise<Object[]>} Top-ups still pending
+ */
+async function refreshPendingTopUps(oracleId) {
+  const pending = Object.values(getStore(LEDGER_COLLECTION).list())
+    .filter((entry) => entry.oracleId === oracleId && entry.status === 'pending');
+
+  const stillPending = [];
+  for (const entry of pending) {
+    let record = await getTrackedTransaction(entry.txHash);
+
+    // A stuck transfer may have been replaced (the original can still be the one mined)
+    while (record && record.status === 'replaced' && record.replacedBy) {
+      record = await getTrackedTransaction(record.replacedBy);
+    }
+
+    if (!record) {
+      updateLedgerEntry(entry.id, { status: 'unknown', error: 'Transaction is no longer tracked' });
+    } else if (record.status !== 'pending') {
+      updateLedgerEntry(entry.id, { status: record.status, txHash: record.hash, error: record.revertReason || null });
+    } else {
+      stillPending.push(record.hash !== entry.txHash ? updateLedgerEntry(entry.id, { txHash: record.hash }) : entry);
+    }
+  }
+
+  return stillPending;
+}
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Check whether the treasury sends top-ups (ORACLE_TREASURY_ENABLED)
+ * @returns {boolean} True if enabled
+ */
+export function isTreasuryEnabled() {
+  return TREASURY_ENABLED;
+}
+
+/**
+ * Validate a top-up policy before it is saved
+ * @param {Object} policy - Top-up policy
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateTopUpPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return { valid: true };
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'topUp must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(policy)) {
+    if (!TOP_UP_POLICY_KEYS.includes(key)) {
+      return { valid: false, error: `Unknown top-up setting '${key}'` };
+    }
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        return { valid: false, error: 'topUp.enabled must be a boolean' };
+      }
+    } else if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      return { valid: false, error: `topUp.${key} must be a non-negative number` };
+    }
+  }
+
+  if (policy.minBalance === undefined || policy.targetBalance === undefined) {
+    return { valid: false, error: 'topUp requires minBalance and targetBalance' };
+  }
+
+  if (policy.targetBalance <= policy.minBalance) {
+    return { valid: false, error: 'topUp.targetBalance must be greater than minBalance' };
+  }
+
+  if (policy.dailyCap !== undefined && policy.dailyCap === 0) {
+    return { valid: false, error: 'topUp.dailyCap must be greater than 0 (omit it for no per-oracle cap)' };
+  }
+
+  return { valid: true };
+}
+
+// ============================================================================
+// TOP-UPS
+// ============================================================================
+
+/**
+ * Get the treasury wallet address
+ * @returns {Promise<string>} Address derived from ORACLE_TREASURY_PATH
+ */
+export async function getTreasuryAddress() {
+  if (!treasuryAddress) {
+    treasuryAddress = await deriveWalletAddress(TREASURY_DERIVATION_PATH);
+  }
+  return treasuryAddress;
+}
+
+/**
+ * Top up a wallet from the treasury if it is below its policy's minimum
+ * @param {string} oracleId - Oracle ID the wallet belongs to
+ * @param {Object} options - {chainId, address, policy, minimumBalance, trigger}
+ *   (minimumBalance: a Wei amount the wallet must reach on top of the policy, e.g. the creation cost)
+ * @returns {Promise<Object>} {oracleId, outcome: 'sufficient'|'pending'|'capped'|'treasury_empty'|'sent'|'failed', amount?, txHash?, entryId?, error?}
+ */
+export async function topUpWallet(oracleId, { chainId, address, policy, minimumBalance = 0n, trigger = 'manual' }) {
+  const result = (outcome, details = {}) => ({ oracleId, outcome, ...details });
+
+  if (!TREASURY_ENABLED) {
+    return result('failed', { error: 'Treasury top-ups are disabled (ORACLE_TREASURY_ENABLED)' });
+  }
+
+  const pending = await refreshPendingTopUps(oracleId);
+  if (pending.length > 0) {
+    return result('pending', { txHash: pending[0].txHash, entryId: pending[0].id });
+  }
+
+  const balance = await getWalletBalanceEthers(address, chainId);
+  const threshold = [toWei(policy.minBalance), minimumBalance].reduce((a, b) => (a > b ? a : b));
+  if (balance >= threshold) {
+    return result('sufficient');
+  }
+
+  const target = [toWei(policy.targetBalance), minimumBalance].reduce((a, b) => (a > b ? a : b));
+  const from = await getTreasuryAddress();
+  const treasuryBalance = await getWalletBalanceEthers(from, chainId);
+  const chain = getChain(chainId);
+
+  // Reserve the amount in the ledger, clamped by the caps
+  const entry = getStore(LEDGER_COLLECTION).transaction((tx) => {
+    const entries = Object.values(tx.list());
+
+    // Another call may be sending to this wallet since the pending check (it read the same balance)
+    const inFlight = entries.find((item) => item.oracleId === oracleId && (item.status === 'pending'
+      || (item.status === 'sending' && Date.now() - new Date(item.createdAt).getTime() < SENDING_TIMEOUT_MS)));
+    if (inFlight) {
+      return { inFlight };
+    }
+
+    let amount = target - balance;
+
+    if (policy.dailyCap !== undefined) {
+      const remaining = toWei(policy.dailyCap) - sumSpentToday(entries, (item) => item.oracleId === oracleId);
+      amount = remaining < amount ? remaining : amount;
+    }
+    if (TREASURY_DAILY_CAP > 0) {
+      const remaining = toWei(TREASURY_DAILY_CAP) - sumSpentToday(entries, (item) => item.chainId === chainId);
+      amount = remaining < amount ? remaining : amount;
+    }
+    if (amount <= 0n || amount > treasuryBalance) {
+      return { amount };
+    }
+
+    const now = new Date().toISOString();
+    const reserved = {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      oracleId,
+      chainId,
+      trigger,
+      from,
+      to: address,
+      amount: amount.toString(),
+      amountFormatted: formatWei(amount),
+      balanceBefore: balance.toString(),
+      txHash: null,
+      status: 'sending',
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    tx.put(reserved.id, reserved);
+    return reserved;
+  });
+
+  if (entry.inFlight) {
+    return result('pending', { txHash: entry.inFlight.txHash, entryId: entry.inFlight.id });
+  }
+  if (!entry.id) {
+    if (entry.amount <= 0n) {
+      console.warn(`[Treasury] ⚠️ Daily cap reached - not topping up ${oracleId} on ${chain.name}`);
+      return result('capped');
+    }
+    console.warn(`[Treasury] ⚠️ Treasury has ${formatWei(treasuryBalance)} ${chain.nativeSymbol} on ${chain.name} - cannot top up ${oracleId} with ${formatWei(entry.amount)}`);
+    return result('treasury_empty', { amount: formatWei(entry.amount) });
+  }
+
+  try {
+    const txResult = await sendTrackedTransaction(
+      (nonce) => prepareTransfer(TREASURY_DERIVATION_PATH, address, BigInt(entry.amount), { nonce, chainId }),
+      TREASURY_DERIVATION_PATH,
+      { oracleId, kind: 'top_up', chainId, from }
+    );
+
+    updateLedgerEntry(entry.id, { status: 'pending', txHash: txResult.hash });
+    console.log(`[Treasury] 💸 Topping up ${oracleId} with ${entry.amountFormatted} ${chain.nativeSymbol}: ${txResult.hash}`);
+    return result('sent', { amount: entry.amountFormatted, txHash: txResult.hash, entryId: entry.id });
+  } catch (error) {
+    updateLedgerEntry(entry.id, { status: 'failed', error: error.message });
+    console.error(`[Treasury] Failed to top up ${oracleId}:`, error.message);
+    return result('failed', { entryId: entry.id, error: error.message });
+  }
+}
+
+/**
+ * Top up an oracle's wallet according to its `topUp` policy
+ * @param {string} oracleId - Oracle ID
+ * @param {Object} [options] - {trigger}
+ * @returns {Promise<Object>} Outcome (see topUpWallet)
+ * @throws {Error} If the oracle doesn't exist or has no top-up policy
+ */
+export async function topUpOracle(oracleId, { trigger = 'manual' } = {}) {
+  const config = getOracleConfig(oracleId);
+  if (!config) {
+    throw new Error(`Oracle '${oracleId}' not found`);
+  }
+  if (!config.topUp) {
+    throw new Error(`Oracle '${oracleId}' has no top-up policy`);
+  }
+
+  return topUpWallet(oracleId, {
+    chainId: getOracleChainId(config),
+    address: config.walletAddress || await deriveWalletAddress(config.derivationPath || oracleId),
+    policy: config.topUp,
+    trigger
+  });
+}
+
+/**
+ * Top up every active oracle with an enabled top-up policy (run by the scheduler)
+ * @returns {Promise<Object[]>} Outcomes (see topUpWallet)
+ */
+export async function runTopUps() {
+  if (!TREASURY_ENABLED) {
+    return [];
+  }
+
+  const oracleIds = Object.values(loadOracleConfigs())
+    .filter((config) => config.topUp && config.topUp.enabled !== false && config.isActive !== false && !config.archived)
+    .map((config) => config.name);
+
+  const outcomes = [];
+  for (const oracleId of oracleIds) {
+    try {
+      outcomes.push(await topUpOracle(oracleId, { trigger: 'scheduler' }));
+    } catch (error) {
+      console.error(`[Treasury] Error topping up ${oracleId}:`, error.message);
+      outcomes.push({ oracleId, outcome: 'failed', error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+// ============================================================================
+// STATUS AND LEDGER
+// ============================================================================
+
+/**
+ * Get the treasury's address, balances and remaining daily allowance per chain
+ * @returns {Promise<Object>} {enabled, derivationPath, address, dailyCap, chains}
+ */
+export async function getTreasuryStatus() {
+  const address = await getTreasuryAddress();
+  const entries = Object.values(getStore(LEDGER_COLLECTION).list());
+
+  const chains = await Promise.all(listChains({ deployedOnly: true }).map(async (chain) => {
+    const spent = sumSpentToday(entries, (entry) => entry.chainId === chain.chainId);
+    let balance = null;
+    try {
+      balance = formatWei(await getWalletBalanceEthers(address, chain.chainId));
+    } catch (error) {
+      console.error(`[Treasury] Failed to read balance on ${chain.name}:`, error.message);
+    }
+
+    return {
+      chainId: chain.chainId,
+      name: chain.name,
+      nativeSymbol: chain.nativeSymbol,
+      balance,
+      spentToday: formatWei(spent),
+      remainingToday: TREASURY_DAILY_CAP > 0 ? formatWei(toWei(TREASURY_DAILY_CAP) > spent ? toWei(TREASURY_DAILY_CAP) - spent : 0n) : null
+    };
+  }));
+
+  return {
+    enabled: TREASURY_ENABLED,
+    derivationPath: TREASURY_DERIVATION_PATH,
+    address,
+    dailyCap: TREASURY_DAILY_CAP > 0 ? TREASURY_DAILY_CAP : null,
+    chains
+  };
+}
+
+/**
+ * List ledger entries, newest first
+ * @param {Object} [filters] - {oracleId, chainId, status, since, until, limit}
+ * @returns {Object[]} Ledger entries
+ */
+export function listTopUps({ oracleId, chainId, status, since, until, limit = 50 } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  return Object.values(getStore(LEDGER_COLLECTION).list())
+    .filter((entry) => {
+      const time = new Date(entry.createdAt).getTime();
+      return time >= sinceTime && time <= untilTime
+        && (!oracleId || entry.oracleId === oracleId)
+        && (chainId === undefined || entry.chainId === chainId)
+        && (!status || entry.status === status);
+    })
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+}
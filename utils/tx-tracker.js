@@ -0,0 +1,489 @@
+import { getStore } from './storage.js';
+import { getOracleConfig, updateOracleConfig } from './oracle-manager.js';
+import { getDerivationPath, deriveWalletAddress } from './wallet-manager.js';
+import { reserveNonce, markNonceBroadcast, releaseNonce } from './nonce-manager.js';
+import {
+  signAndBroadcastTransaction, prepareReplacementTransaction, getFeeData, getTransactionCount,
+  getBlockNumber, getTransactionReceipt, waitForTransactionReceipt, getRevertReason
+} from './theta.js';
+
+// ============================================================================
+// TRANSACTION TRACKING
+// ============================================================================
+
+/**
+ * Record of every transaction the app sends, followed until it is confirmed
+ *
+ * Transactions are sent through sendTrackedTransaction, which takes the nonce
+ * from the wallet's nonce manager (utils/nonce-manager.js) and stores the
+ * transaction in the `transactions` collection (keyed by hash) as soon as it
+ * is in the mempool. waitForConfirmation then waits for the receipt and the
+ * configured number of confirmations, and decodes the oracle contract's
+ * custom error when the transaction reverted.
+ *
+ * Transactions still pending after ORACLE_TX_STUCK_SECONDS are re-signed
+ * with the same nonce and fees bumped by ORACLE_TX_FEE_BUMP_PERCENT (see
+ * replaceStuckTransactions, run by the scheduler). No transaction of an
+ * oracle is ever sent with a max fee above the oracle's `maxFeePerGasGwei`
+ * (or ORACLE_MAX_FEE_PER_GAS_GWEI). When the nonce of a stuck transaction
+ * turns out to be used already (an earlier version of it was mined, or
+ * another transaction took the nonce), the mined record is confirmed and
+ * the others are closed as 'replaced' or 'dropped' instead of bumped again.
+ *
+ * Transaction record:
+ * {
+ *   hash: string,
+ *   oracleId: string,
+ *   kind: 'create' | 'update' | 'set_error' | 'top_up' | 'sweep',  // top_up: sent by the treasury (see utils/treasury.js)
+ *   from, to, data, value, chainId,
+ *   derivationPath: string,                                // Signing path (replacements are signed with it)
+ *   nonce: number,
+ *   gasLimit, maxFeePerGas, maxPriorityFeePerGas: string,  // Wei, as sent
+ *   status: 'pending' | 'confirmed' | 'reverted' | 'replaced' | 'dropped',  // dropped: nonce used by an untracked transaction
+ *   replaces: string|null,                                 // Hash of the stuck transaction this one replaced
+ *   replacedBy: string|null,                               // Hash of the replacement, or of the transaction mined with the nonce (status 'replaced')
+ *   replacementCount: number,                              // Fee bumps so far for this nonce
+ *   replacementBlocked: string|null,                       // Why the last bump wasn't sent (e.g. fee cap)
+ *   confirmations: number,
+ *   blockNumber: number|null,
+ *   gasUsed, effectiveGasPrice: string|null,               // From the receipt
+ *   revertReason: string|null,                             // e.g. 'OracleNotExists'
+ *   broadcastAt, minedAt, updatedAt: string
+ * }
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIRMATIONS = parseInt(process.env.ORACLE_TX_CONFIRMATIONS || '1', 10);
+const CONFIRMATION_TIMEOUT_MS = parseInt(process.env.ORACLE_TX_TIMEOUT_SECONDS || '120', 10) * 1000;
+
+// Stuck transaction replacement
+const STUCK_AFTER_MS = parseInt(process.env.ORACLE_TX_STUCK_SECONDS || '300', 10) * 1000;
+const FEE_BUMP_PERCENT = BigInt(Math.max(10, parseInt(process.env.ORACLE_TX_FEE_BUMP_PERCENT || '20', 10))); // Nodes require at least 10%
+const MAX_REPLACEMENTS = parseInt(process.env.ORACLE_TX_MAX_REPLACEMENTS || '3', 10);
+
+// Default max fee per gas cap (per oracle: `maxFeePerGasGwei`)
+const DEFAULT_MAX_FEE_PER_GAS_GWEI = parseFloat(process.env.ORACLE_MAX_FEE_PER_GAS_GWEI || '100');
+
+// Finished transactions are kept as long as the run history (see utils/run-history.js)
+const HISTORY_DAYS = parseFloat(process.env.ORACLE_HISTORY_DAYS || '7');
+
+const TRANSACTIONS_COLLECTION = 'transactions';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Convert an optional bigint/number transaction field to a JSON-safe string
+ * @param {bigint|number|undefined} value - Field value
+ * @returns {string|null} Decimal string, or null if missing
+ */
+function toDecimalString(value) {
+  return value === undefined || value === null ? null : value.toString();
+}
+
+/**
+ * Get the max fee per gas an oracle's transactions may pay
+ * @param {string} oracleId - Oracle ID (oracles being created use the default)
+ * @returns {bigint|null} Cap in Wei, or null if uncapped (cap set to 0)
+ */
+export function getMaxFeePerGasCap(oracleId) {
+  const config = getOracleConfig(oracleId);
+  const gwei = config && config.maxFeePerGasGwei !== undefined ? config.maxFeePerGasGwei : DEFAULT_MAX_FEE_PER_GAS_GWEI;
+
+  return gwei > 0 ? BigInt(Math.round(gwei * 1e9)) : null;
+}
+
+/**
+ * Create a send error carrying a machine-readable code (like theta.js broadcast errors)
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with `code` set
+ */
+function trackerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Format a Wei amount as gwei for log and error messages
+ * @param {bigint} wei - Amount in Wei
+ * @returns {string} Amount in gwei
+ */
+function formatGwei(wei) {
+  return `${(Number(wei) / 1e9).toFixed(2)} gwei`;
+}
+
+/**
+ * Remove finished transactions older than HISTORY_DAYS (pending ones are kept)
+ * @param {Object} tx - Transaction record operations
+ */
+function pruneTransactions(tx) {
+  const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const record of Object.values(tx.list())) {
+    if (record.status !== 'pending' && new Date(record.broadcastAt).getTime() < cutoff) {
+      tx.delete(record.hash);
+    }
+  }
+}
+
+/**
+ * Apply a receipt to a transaction record
+ * @param {Object} record - Transaction record
+ * @param {Object} receipt - Transaction receipt
+ * @param {number} latestBlock - Current block number
+ * @returns {Promise<Object>} Updated record (not yet saved)
+ */
+async function applyReceipt(record, receipt, latestBlock) {
+  const reverted = receipt.status === 0;
+
+  return {
+    ...record,
+    status: reverted ? 'reverted' : 'confirmed',
+    confirmations: Math.max(0, latestBlock - receipt.blockNumber + 1),
+    blockNumber: receipt.blockNumber,
+    gasUsed: toDecimalString(receipt.gasUsed),
+    effectiveGasPrice: toDecimalString(receipt.gasPrice),
+    revertReason: reverted ? await getRevertReason(record, receipt.blockNumber) : null,
+    minedAt: record.minedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// ============================================================================
+// TRACKING
+// ============================================================================
+
+/**
+ * Prepare, sign and broadcast a transaction with a managed nonce, and start tracking it
+ * @param {Function} prepare - async (nonce) => {transaction, hashesToSign}, e.g. a theta.js prepare function
+ * @param {string} derivationPath - Key derivation path for signing
+ * @param {Object} details - {oracleId, kind, chainId, from} (`from` is derived from the oracle ID if omitted;
+ *   pass it when signing with another path, e.g. the treasury's)
+ * @returns {Promise<Object>} Broadcast result with hash
+ * @throws {Error} Preparation errors, broadcast errors from signAndBroadcastTransaction, or FEE_CAP_EXCEEDED (with `code`)
+ */
+export async function sendTrackedTransaction(prepare, derivationPath, { oracleId, kind, chainId, from }) {
+  const address = from || await deriveWalletAddress(oracleId);
+  const nonce = await reserveNonce(address, chainId);
+
+  let txResult;
+  try {
+    const { transaction, hashesToSign } = await prepare(nonce);
+    txResult = await broadcastTrackedTransaction(transaction, hashesToSign, derivationPath, { oracleId, kind });
+  } catch (error) {
+    // Nothing was sent with this nonce - free it for the next transaction
+    releaseNonce(address, chainId, nonce);
+    throw error;
+  }
+
+  markNonceBroadcast(address, chainId, nonce, txResult.hash);
+  return txResult;
+}
+
+/**
+ * Sign and broadcast a prepared transaction and start tracking it
+ * @param {Object} transaction - Prepared transaction (from Evm.prepareTransactionForSigning)
+ * @param {Array} hashesToSign - Hashes to sign
+ * @param {string} derivationPath - Key derivation path for signing
+ * @param {Object} details - {oracleId, kind}
+ * @returns {Promise<Object>} Broadcast result with hash
+ * @throws {Error} Broadcast errors from signAndBroadcastTransaction, or FEE_CAP_EXCEEDED (with `code`)
+ */
+async function broadcastTrackedTransaction(transaction, hashesToSign, derivationPath, { oracleId, kind }) {
+  const feeCap = getMaxFeePerGasCap(oracleId);
+  if (feeCap !== null && transaction.maxFeePerGas !== undefined && BigInt(transaction.maxFeePerGas) > feeCap) {
+    throw trackerError(
+      `Network fees too high: max fee ${formatGwei(BigInt(transaction.maxFeePerGas))} exceeds the cap of ${formatGwei(feeCap)}.`,
+      'FEE_CAP_EXCEEDED'
+    );
+  }
+
+  const txResult = await signAndBroadcastTransaction(transaction, hashesToSign, derivationPath);
+  const now = new Date().toISOString();
+
+  const record = {
+    hash: txResult.hash,
+    oracleId,
+    kind,
+    from: transaction.from || null,
+    to: transaction.to || null,
+    data: transaction.data || null,
+    value: toDecimalString(transaction.value),
+    chainId: transaction.chainId !== undefined ? Number(transaction.chainId) : null,
+    derivationPath,
+    nonce: transaction.nonce !== undefined ? Number(transaction.nonce) : null,
+    gasLimit: toDecimalString(transaction.gas),
+    maxFeePerGas: toDecimalString(transaction.maxFeePerGas),
+    maxPriorityFeePerGas: toDecimalString(transaction.maxPriorityFeePerGas),
+    status: 'pending',
+    confirmations: 0,
+    blockNumber: null,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    revertReason: null,
+    replaces: null,
+    replacedBy: null,
+    replacementCount: 0,
+    replacementBlocked: null,
+    broadcastAt: now,
+    minedAt: null,
+    updatedAt: now
+  };
+
+  try {
+    getStore(TRANSACTIONS_COLLECTION).transaction((tx) => {
+      tx.put(record.hash, record);
+      pruneTransactions(tx);
+    });
+  } catch (error) {
+    // The transaction is already in the mempool; losing the record must not fail the caller
+    console.error(`[TxTracker] Failed to record transaction ${record.hash}:`, error);
+  }
+
+  console.log(`[TxTracker] 📤 ${kind} transaction for ${oracleId} broadcast: ${record.hash} (nonce ${record.nonce})`);
+  return txResult;
+}
+
+/**
+ * Wait for a tracked transaction to be mined and confirmed
+ * @param {string} hash - Transaction hash
+ * @param {Object} [options] - {confirmations, timeoutMs}
+ * @returns {Promise<Object>} Transaction record; status stays 'pending' if the wait timed out
+ */
+export async function waitForConfirmation(hash, { confirmations = CONFIRMATIONS, timeoutMs = CONFIRMATION_TIMEOUT_MS } = {}) {
+  const store = getStore(TRANSACTIONS_COLLECTION);
+  const record = store.get(hash) || { hash, chainId: null, status: 'pending', confirmations: 0 };
+  const receipt = await waitForTransactionReceipt(hash, confirmations, timeoutMs, record.chainId);
+
+  if (!receipt) {
+    console.warn(`[TxTracker] ⏳ Transaction ${hash} not confirmed after ${timeoutMs / 1000}s`);
+    return record;
+  }
+
+  const updated = await applyReceipt(record, receipt, await getBlockNumber(record.chainId));
+  store.put(hash, updated);
+
+  if (updated.status === 'reverted') {
+    console.error(`[TxTracker] ❌ Transaction ${hash} reverted: ${updated.revertReason}`);
+  } else {
+    console.log(`[TxTracker] ✅ Transaction ${hash} confirmed in block ${updated.blockNumber}`);
+  }
+
+  return updated;
+}
+
+/**
+ * Get a tracked transaction, refreshing its receipt and confirmations from the chain
+ * (a replaced transaction may still be the one that gets mined)
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<Object|null>} Transaction record, or null if it isn't tracked
+ */
+export async function getTrackedTransaction(hash) {
+  const store = getStore(TRANSACTIONS_COLLECTION);
+  const record = store.get(hash);
+
+  if (!record || (!['pending', 'replaced'].includes(record.status) && record.confirmations >= CONFIRMATIONS)) {
+    return record;
+  }
+
+  const receipt = await getTransactionReceipt(hash, record.chainId);
+  if (!receipt) {
+    return record;
+  }
+
+  const updated = await applyReceipt(record, receipt, await getBlockNumber(record.chainId));
+  store.put(hash, updated);
+  return updated;
+}
+
+/**
+ * List tracked transactions, newest first
+ * @param {Object} [filters] - {oracleId, status, limit}
+ * @returns {Object[]} Transaction records
+ */
+export function listTrackedTransactions({ oracleId, status, limit = 50 } = {}) {
+  return Object.values(getStore(TRANSACTIONS_COLLECTION).list())
+    .filter((record) => (!oracleId || record.oracleId === oracleId) && (!status || record.status === status))
+    .sort((a, b) => new Date(b.broadcastAt) - new Date(a.broadcastAt))
+    .slice(0, limit);
+}
+
+// ============================================================================
+// STUCK TRANSACTIONS
+// ============================================================================
+
+/**
+ * Close the records of a nonce that is already used on-chain
+ *
+ * Of the tracked transactions sharing the nonce (a stuck transaction and its
+ * replacements), the one with a receipt gets its receipt applied and the
+ * pending ones are marked 'replaced' by it. If none was mined, the nonce was
+ * taken by a transaction the tracker doesn't know and they are 'dropped'.
+ *
+ * @param {Object} record - Pending transaction record
+ * @returns {Promise<Object>} {hash, outcome: 'mined'|'nonce_used', minedHash: string|null}
+ */
+async function settleUsedNonce(record) {
+  const store = getStore(TRANSACTIONS_COLLECTION);
+  const siblings = Object.values(store.list()).filter((item) => item.nonce === record.nonce
+    && item.chainId === record.chainId
+    && (item.from || '').toLowerCase() === record.from.toLowerCase());
+
+  let mined = null;
+  for (const sibling of siblings) {
+    const receipt = await getTransactionReceipt(sibling.hash, sibling.chainId);
+    if (receipt) {
+      mined = { ...(await applyReceipt(sibling, receipt, await getBlockNumber(sibling.chainId))), replacedBy: null };
+      break;
+    }
+  }
+
+  const now = new Date().toISOString();
+  store.transaction((tx) => {
+    if (mined) {
+      tx.put(mined.hash, mined);
+    }
+    for (const sibling of siblings) {
+      const current = tx.get(sibling.hash);
+      if (current && current.status === 'pending' && (!mined || current.hash !== mined.hash)) {
+        tx.put(current.hash, mined
+          ? { ...current, status: 'replaced', replacedBy: mined.hash, updatedAt: now }
+          : { ...current, status: 'dropped', updatedAt: now });
+      }
+    }
+  });
+
+  if (mined && mined.kind === 'update' && getOracleConfig(mined.oracleId)) {
+    updateOracleConfig(mined.oracleId, { lastTxHash: mined.hash });
+  }
+
+  if (mined && mined.hash === record.hash) {
+    return { hash: record.hash, outcome: 'mined', minedHash: mined.hash };
+  }
+  console.warn(mined
+    ? `[TxTracker] Nonce ${record.nonce} of ${record.from} was used by ${mined.hash} - closing ${record.hash}`
+    : `[TxTracker] ⚠️ Nonce ${record.nonce} of ${record.from} was used by an untracked transaction - dropping ${record.hash}`);
+  return { hash: record.hash, outcome: 'nonce_used', minedHash: mined ? mined.hash : null };
+}
+
+/**
+ * Re-send pending transactions older than ORACLE_TX_STUCK_SECONDS with bumped fees
+ * @returns {Promise<Object[]>} [{hash, outcome: 'mined'|'nonce_used'|'replaced'|'blocked'|'failed', replacementHash?, minedHash?, error?}]
+ */
+export async function replaceStuckTransactions() {
+  const cutoff = Date.now() - STUCK_AFTER_MS;
+  const stuck = listTrackedTransactions({ status: 'pending', limit: Infinity })
+    .filter((record) => new Date(record.broadcastAt).getTime() < cutoff);
+
+  const outcomes = [];
+  for (const record of stuck) {
+    try {
+      outcomes.push(await replaceStuckTransaction(record));
+    } catch (error) {
+      console.error(`[TxTracker] Failed to replace stuck transaction ${record.hash}:`, error.message);
+      outcomes.push({ hash: record.hash, outcome: 'failed', error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Replace one stuck transaction: same nonce, fees bumped (and at least the network's current ones)
+ * @param {Object} record - Pending transaction record
+ * @returns {Promise<Object>} {hash, outcome, replacementHash?, error?}
+ */
+async function replaceStuckTransaction(record) {
+  const store = getStore(TRANSACTIONS_COLLECTION);
+
+  // It may have been mined since we last looked
+  const receipt = await getTransactionReceipt(record.hash, record.chainId);
+  if (receipt) {
+    store.put(record.hash, await applyReceipt(record, receipt, await getBlockNumber(record.chainId)));
+    return { hash: record.hash, outcome: 'mined' };
+  }
+
+  // An earlier version of this transaction (or another one) may have been mined with the nonce
+  const nonceUsed = async () => record.from && record.nonce !== null
+    && await getTransactionCount(record.from, 'latest', record.chainId) > record.nonce;
+  if (await nonceUsed()) {
+    return settleUsedNonce(record);
+  }
+
+  const block = (reason) => {
+    if (record.replacementBlocked !== reason) {
+      console.warn(`[TxTracker] ⚠️ Not replacing stuck transaction ${record.hash}: ${reason}`);
+      store.put(record.hash, { ...record, replacementBlocked: reason, updatedAt: new Date().toISOString() });
+    }
+    return { hash: record.hash, outcome: 'blocked', error: reason };
+  };
+
+  if (record.kind === 'sweep') {
+    return block('a sweep spends the whole balance and cannot pay higher fees');
+  }
+  if (record.replacementCount >= MAX_REPLACEMENTS) {
+    return block(`already replaced ${record.replacementCount} time(s)`);
+  }
+  if (!record.maxFeePerGas || !record.maxPriorityFeePerGas || !record.gasLimit) {
+    return block('not an EIP-1559 transaction');
+  }
+
+  const bump = (wei) => (BigInt(wei) * (100n + FEE_BUMP_PERCENT) + 99n) / 100n;
+  const network = await getFeeData(record.chainId);
+  const maxPriorityFeePerGas = [bump(record.maxPriorityFeePerGas), network.maxPriorityFeePerGas || 0n].reduce((a, b) => (a > b ? a : b));
+  let maxFeePerGas = [bump(record.maxFeePerGas), network.maxFeePerGas || 0n].reduce((a, b) => (a > b ? a : b));
+  if (maxFeePerGas < maxPriorityFeePerGas) {
+    maxFeePerGas = maxPriorityFeePerGas;
+  }
+
+  const feeCap = getMaxFeePerGasCap(record.oracleId);
+  if (feeCap !== null && maxFeePerGas > feeCap) {
+    return block(`bumped max fee ${formatGwei(maxFeePerGas)} would exceed the cap of ${formatGwei(feeCap)}`);
+  }
+
+  const { transaction, hashesToSign } = prepareReplacementTransaction(record, { maxFeePerGas, maxPriorityFeePerGas });
+  let txResult;
+  try {
+    txResult = await signAndBroadcastTransaction(transaction, hashesToSign, record.derivationPath || getDerivationPath(record.oracleId));
+  } catch (error) {
+    // The nonce was mined between the check above and the broadcast
+    if (error.code === 'NONCE_TOO_LOW' && await nonceUsed()) {
+      return settleUsedNonce(record);
+    }
+    throw error;
+  }
+  const now = new Date().toISOString();
+
+  store.transaction((tx) => {
+    tx.put(txResult.hash, {
+      ...record,
+      hash: txResult.hash,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+      replaces: record.hash,
+      replacedBy: null,
+      replacementCount: record.replacementCount + 1,
+      replacementBlocked: null,
+      broadcastAt: now,
+      updatedAt: now
+    });
+    tx.put(record.hash, { ...record, status: 'replaced', replacedBy: txResult.hash, updatedAt: now });
+  });
+
+  if (record.from) {
+    markNonceBroadcast(record.from, record.chainId, record.nonce, txResult.hash);
+  }
+
+  if (record.kind === 'update' && getOracleConfig(record.oracleId)) {
+    updateOracleConfig(record.oracleId, { lastTxHash: txResult.hash });
+  }
+
+  console.log(`[TxTracker] ⛽ Replaced stuck transaction ${record.hash} (nonce ${record.nonce}) with ${txResult.hash} at ${formatGwei(maxFeePerGas)}`);
+  return { hash: record.hash, outcome: 'replaced', replacementHash: txResult.hash };
+}
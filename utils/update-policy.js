@@ -0,0 +1,101 @@
+// ============================================================================
+// UPDATE POLICY
+// ============================================================================
+
+/**
+ * Decide whether a freshly fetched value should be published on-chain
+ *
+ * Without an `updatePolicy`, every changed value is published (the oracle's
+ * `updateInterval` is both the polling and the publishing frequency).
+ *
+ * With a Chainlink-style policy, `updateInterval` only controls how often the
+ * source is polled, and a value is published when:
+ * - it moved at least `deviationThresholdBps` basis points from the on-chain value, or
+ * - `heartbeatMinutes` have passed since the last publish, even if it didn't move
+ *
+ * updatePolicy: {
+ *   deviationThresholdBps: number, // 1 bps = 0.01%
+ *   heartbeatMinutes: number
+ * }
+ */
+
+/**
+ * Validate update policy settings before they are saved
+ * @param {Object} policy - Update policy settings
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateUpdatePolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return { valid: true };
+  }
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'updatePolicy must be an object' };
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!['deviationThresholdBps', 'heartbeatMinutes'].includes(key)) {
+      return { valid: false, error: `Unknown update policy setting '${key}'` };
+    }
+  }
+
+  const { deviationThresholdBps, heartbeatMinutes } = policy;
+
+  if (deviationThresholdBps !== undefined && (typeof deviationThresholdBps !== 'number' || deviationThresholdBps <= 0)) {
+    return { valid: false, error: 'updatePolicy.deviationThresholdBps must be a positive number' };
+  }
+
+  if (heartbeatMinutes !== undefined && (typeof heartbeatMinutes !== 'number' || heartbeatMinutes <= 0)) {
+    return { valid: false, error: 'updatePolicy.heartbeatMinutes must be a positive number' };
+  }
+
+  if (deviationThresholdBps === undefined && heartbeatMinutes === undefined) {
+    return { valid: false, error: 'updatePolicy needs deviationThresholdBps and/or heartbeatMinutes' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Evaluate an oracle's update policy for a new value
+ * @param {Object} config - Oracle configuration
+ * @param {Object} values
+ * @param {number} values.newValue - Scaled value that would be published
+ * @param {number} values.currentValue - Scaled value currently on-chain
+ * @param {Date} [values.now] - Evaluation time
+ * @returns {Object} {publish: boolean, reason: string, deviationBps?: number}
+ *   reason is one of 'changed', 'unchanged', 'deviation', 'heartbeat', 'within_threshold'
+ */
+export function evaluateUpdatePolicy(config, { newValue, currentValue, now = new Date() }) {
+  const policy = config.updatePolicy;
+
+  if (!policy) {
+    return newValue === currentValue
+      ? { publish: false, reason: 'unchanged' }
+      : { publish: true, reason: 'changed' };
+  }
+
+  const deviationBps = currentValue
+    ? Math.abs(newValue - currentValue) / Math.abs(currentValue) * 10000
+    : (newValue === currentValue ? 0 : Infinity);
+
+  if (policy.deviationThresholdBps !== undefined && deviationBps >= policy.deviationThresholdBps) {
+    return { publish: true, reason: 'deviation', deviationBps };
+  }
+
+  if (policy.heartbeatMinutes !== undefined) {
+    const lastPublish = config.lastUpdate ? new Date(config.lastUpdate) : null;
+    const heartbeatMs = policy.heartbeatMinutes * 60 * 1000;
+
+    if (!lastPublish || now.getTime() - lastPublish.getTime() >= heartbeatMs) {
+      return { publish: true, reason: 'heartbeat', deviationBps };
+    }
+  }
+
+  // Heartbeat-only policies still publish real changes
+  if (policy.deviationThresholdBps === undefined && newValue !== currentValue) {
+    return { publish: true, reason: 'changed', deviationBps };
+  }
+
+  return { publish: false, reason: 'within_threshold', deviationBps };
+}
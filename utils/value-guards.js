@@ -0,0 +1,118 @@
+// ============================================================================
+// VALUE GUARDS
+// ============================================================================
+
+/**
+ * Sanity checks run on a freshly fetched value before it is published
+ *
+ * Configured per oracle in `guards` (every guard is optional):
+ * {
+ *   minValue: number,                  // Lowest acceptable raw value (before priceMultiplier)
+ *   maxValue: number,                  // Highest acceptable raw value (before priceMultiplier)
+ *   maxChangePercent: number,          // Max change vs. the current on-chain value
+ *   maxSourceDeviationPercent: number, // Max distance of any source from the aggregate
+ *   flagOnViolation: boolean           // Set the on-chain error flag when a value is held back
+ * }
+ */
+
+const NUMERIC_GUARDS = ['minValue', 'maxValue', 'maxChangePercent', 'maxSourceDeviationPercent'];
+
+/**
+ * Validate guard settings before they are saved
+ * @param {Object} guards - Guard settings
+ * @returns {Object} {valid: boolean, error?: string}
+ */
+export function validateGuards(guards) {
+  if (guards === undefined || guards === null) {
+    return { valid: true };
+  }
+
+  if (typeof guards !== 'object' || Array.isArray(guards)) {
+    return { valid: false, error: 'guards must be an object' };
+  }
+
+  for (const key of Object.keys(guards)) {
+    if (![...NUMERIC_GUARDS, 'flagOnViolation'].includes(key)) {
+      return { valid: false, error: `Unknown guard '${key}'` };
+    }
+  }
+
+  for (const key of NUMERIC_GUARDS) {
+    if (guards[key] !== undefined && (typeof guards[key] !== 'number' || isNaN(guards[key]))) {
+      return { valid: false, error: `guards.${key} must be a number` };
+    }
+  }
+
+  if (guards.maxChangePercent !== undefined && guards.maxChangePercent <= 0) {
+    return { valid: false, error: 'guards.maxChangePercent must be greater than 0' };
+  }
+
+  if (guards.maxSourceDeviationPercent !== undefined && guards.maxSourceDeviationPercent <= 0) {
+    return { valid: false, error: 'guards.maxSourceDeviationPercent must be greater than 0' };
+  }
+
+  if (guards.minValue !== undefined && guards.maxValue !== undefined && guards.minValue > guards.maxValue) {
+    return { valid: false, error: 'guards.minValue cannot be greater than guards.maxValue' };
+  }
+
+  if (guards.flagOnViolation !== undefined && typeof guards.flagOnViolation !== 'boolean') {
+    return { valid: false, error: 'guards.flagOnViolation must be a boolean' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check a new value against an oracle's guards
+ * @param {Object} guards - Guard settings (may be undefined)
+ * @param {Object} values
+ * @param {number} values.rawValue - Aggregated value before priceMultiplier
+ * @param {number} values.newValue - Scaled value that would be published
+ * @param {number} values.currentValue - Scaled value currently on-chain
+ * @param {Array} values.sources - Per-source results ({apiEndpoint, value})
+ * @returns {Object} {passed: boolean, violations: Array<{guard: string, message: string}>}
+ */
+export function checkValueGuards(guards, { rawValue, newValue, currentValue, sources = [] }) {
+  const violations = [];
+
+  if (!guards) {
+    return { passed: true, violations };
+  }
+
+  // Absolute bounds
+  if (guards.minValue !== undefined && rawValue < guards.minValue) {
+    violations.push({ guard: 'minValue', message: `Value ${rawValue} is below the minimum of ${guards.minValue}` });
+  }
+  if (guards.maxValue !== undefined && rawValue > guards.maxValue) {
+    violations.push({ guard: 'maxValue', message: `Value ${rawValue} is above the maximum of ${guards.maxValue}` });
+  }
+
+  // Change vs. on-chain value (skipped while the oracle still holds 0)
+  if (guards.maxChangePercent !== undefined && currentValue) {
+    const changePercent = Math.abs(newValue - currentValue) / Math.abs(currentValue) * 100;
+    if (changePercent > guards.maxChangePercent) {
+      violations.push({
+        guard: 'maxChangePercent',
+        message: `Change of ${changePercent.toFixed(2)}% vs. on-chain value exceeds ${guards.maxChangePercent}%`
+      });
+    }
+  }
+
+  // Disagreement between sources
+  if (guards.maxSourceDeviationPercent !== undefined && rawValue) {
+    for (const source of sources) {
+      if (source.value === null || source.value === undefined) {
+        continue;
+      }
+      const deviationPercent = Math.abs(source.value - rawValue) / Math.abs(rawValue) * 100;
+      if (deviationPercent > guards.maxSourceDeviationPercent) {
+        violations.push({
+          guard: 'maxSourceDeviationPercent',
+          message: `Source ${source.apiEndpoint} deviates ${deviationPercent.toFixed(2)}% from the aggregate (limit ${guards.maxSourceDeviationPercent}%)`
+        });
+      }
+    }
+  }
+
+  return { passed: violations.length === 0, violations };
+}
@@ -1,4 +1,7 @@
-import { Evm } from './theta.js';
+import { Evm, getWalletBalanceEthers } from './theta.js';
+import { getOracleConfig } from './oracle-manager.js';
+import { estimateRunway } from './gas-runway.js';
+import { DEFAULT_CHAIN_ID, getOracleChainId } from './chains.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -32,15 +35,16 @@ export async function deriveWalletAddress(oracleId) {
 }
 
 /**
- * Get the current ETH balance of an oracle's wallet
+ * Get the current native balance of an oracle's wallet
+ * (read through the chain's RPC pool, so an unresponsive node fails over)
  * @param {string} oracleId - Oracle identifier
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {Promise<BigInt>} Wallet balance in Wei (1 ETH = 10^18 Wei)
  */
-export async function getWalletBalance(oracleId) {
+export async function getWalletBalance(oracleId, chainId) {
   try {
     const address = await deriveWalletAddress(oracleId);
-    const balance = await Evm.getBalance(address);
-    return balance;
+    return await getWalletBalanceEthers(address, chainId);
   } catch (error) {
     console.error('Error getting wallet balance:', error);
     throw new Error(`Failed to get wallet balance for oracle ${oracleId}`);
@@ -57,18 +61,32 @@ export function getDerivationPath(oracleId) {
   return oracleId; // Use oracle ID directly as derivation path
 }
 
+/**
+ * Estimate how long an oracle's wallet balance lasts at current fees
+ * @param {string} oracleId - Oracle identifier
+ * @param {number} [chainId] - Chain ID (the oracle's chain, or the default chain for oracles not created yet)
+ * @returns {Promise<Object>} Runway (see utils/gas-runway.js)
+ */
+export async function getWalletRunway(oracleId, chainId) {
+  const config = getOracleConfig(oracleId);
+  const resolvedChainId = chainId !== undefined ? chainId : (config ? getOracleChainId(config) : DEFAULT_CHAIN_ID);
+  const balance = await getWalletBalance(oracleId, resolvedChainId);
+
+  return estimateRunway(oracleId, balance, { chainId: resolvedChainId, config });
+}
+
 /**
  * Check if an oracle's wallet has sufficient balance for operations
- * Minimum balance required is 0.001 ETH to cover gas costs
+ * The minimum is the worst-case gas cost of a few updates at current fees
+ * (see utils/gas-runway.js)
  * @param {string} oracleId - Oracle identifier
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {Promise<boolean>} True if wallet has sufficient balance
  */
-export async function checkSufficientBalance(oracleId) {
+export async function checkSufficientBalance(oracleId, chainId) {
   try {
-    const balance = await getWalletBalance(oracleId);
-    // 0.001 ETH = 10^16 Wei (minimum required balance)
-    const minimumBalance = BigInt('100000000000000');
-    return balance >= minimumBalance;
+    const { hasMinimum } = await getWalletRunway(oracleId, chainId);
+    return hasMinimum;
   } catch (error) {
     console.error('Error checking wallet balance:', error);
     return false;
@@ -78,13 +96,14 @@ export async function checkSufficientBalance(oracleId) {
 /**
  * Get wallet information for an oracle including address and balance
  * @param {string} oracleId - Oracle identifier
+ * @param {number} [chainId] - Chain ID (default chain if omitted)
  * @returns {Promise<Object>} Wallet info: {address, balance, hasSufficientBalance}
  */
-export async function getWalletInfo(oracleId) {
+export async function getWalletInfo(oracleId, chainId) {
   try {
     const address = await deriveWalletAddress(oracleId);
-    const balance = await getWalletBalance(oracleId);
-    const hasSufficientBalance = await checkSufficientBalance(oracleId);
+    const balance = await getWalletBalance(oracleId, chainId);
+    const hasSufficientBalance = await checkSufficientBalance(oracleId, chainId);
     
     return {
       address,